@@ -1,56 +1,191 @@
 const vscode = require('vscode');
-const { OpenAI } = require('openai');
 const fs = require('fs');
 const path = require('path');
+const { PROVIDERS, DEFAULT_PROVIDER, getSecretKeyName, createProvider } = require('./src/core/providers');
+const { AnalysisCache } = require('./src/analysisCache');
+const { AnalysisReportPanel } = require('./src/reportView');
+const { AnalysisViewProvider } = require('./src/analysisView');
+const { AnalysisHistory } = require('./src/analysisHistory');
+const { createNonce, getWebviewOptions, getContentSecurityPolicyTag, escapeHtml, renderMarkdown, validateMessage } = require('./src/webviewSecurity');
+const { DIAGNOSTIC_SOURCE, AIDiagnosticCodeActionProvider } = require('./src/codeActions');
+const { buildReport } = require('./src/core/report');
+const { EXPORT_FORMATS } = require('./src/core/exporters');
+const { ANALYSIS_PROMPT_VERSION, buildFixRequest, buildExplainPrompt, buildCodebaseQuestionPrompt } = require('./src/core/prompts');
+const { analyzeCode, extractPartialJsonString } = require('./src/core/analysis');
+const { isAbortError, throwIfAborted } = require('./src/core/abort');
+const { DEFAULT_MAX_REPAIRS } = require('./src/core/structuredOutput');
+const { RULES_FILE_NAME, parseRulesConfig, mergeRulesConfig } = require('./src/core/rules');
+const { BASELINE_FILE_NAME, parseBaseline, serializeBaseline, addToBaseline, filterBaselined } = require('./src/core/baseline');
+const { buildSuppressionComment } = require('./src/core/suppressions');
+const { getPendingChanges, readStagedFile } = require('./src/core/git');
+const { ChangeSession } = require('./src/core/changeSession');
+const { diffLines, isValidChange, getRangeText, locateChange, findOverlappingChanges, applyTextChanges } = require('./src/core/diff');
+
+const { normalizeFileOperations, describeFileOperation } = require('./src/core/fileOperations');
+const { ProjectContextBuilder } = require('./src/projectContext');
+const { CodebaseIndex } = require('./src/codebaseIndex');
+const { CodebaseQuestionPanel } = require('./src/askView');
+const { LocalEmbeddingProvider } = require('./src/core/embeddings');
+
+const PROPOSED_CHANGES_SCHEME = 'ai-assistant-proposed';
+const { getCodeFiles, DEFAULT_EXCLUDES, DEFAULT_MAX_FILE_SIZE } = require('./src/core/files');
+const { getLanguageIdFromFileExtension, isAnalyzableLanguage } = require('./src/core/languages');
+const { adjustRangeForEdit } = require('./src/core/anchoring');
+const { DEFAULT_NEVER_SEND, Redactor, describeRedactions, createRedactingProvider, isNeverSend } = require('./src/core/privacy');
+const { DEFAULT_CONCURRENCY, DEFAULT_MAX_RETRIES, BudgetExceededError, RequestBudget, createRetryingProvider, createBudgetedProvider, runQueue } = require('./src/core/workQueue');
+const { DEFAULT_MAX_PROMPT_TOKENS, DEFAULT_OVERLAP_LINES, estimateTokens, findSymbolBoundaries, splitIntoChunks, findChunkForLine } = require('./src/core/chunking');
 
 class AICodeAssistant {
     constructor(context) {
         this.context = context;
-        // Retrieve API key securely from VS Code secrets
-        this.openai = null; // Initialize later once API key is retrieved
+        // Provider is created once its API key has been retrieved from VS Code secrets
+        this.provider = null;
         this.diagnosticCollection = vscode.languages.createDiagnosticCollection('aiAssistant');
+        this.outputChannel = vscode.window.createOutputChannel('AI Code Assistant');
+        context.subscriptions.push(this.outputChannel);
+        this.analysisCache = new AnalysisCache(context);
+        this.workspaceResults = new Map(); // Latest analysis per file URI, used by the workspace report
+        this.ignoredIssues = new Set(); // Issues dismissed via the "Ignore this issue" quick fix outside workspace folders
+        this.baselines = new Map(); // Parsed .aiassistant-baseline.json per workspace folder URI
+        this.proposedContents = new Map(); // Virtual documents shown in the native diff editor
+        this.reportedRulesErrors = new Set(); // Problems in .aiassistant.json files already shown
+        this.projectContext = new ProjectContextBuilder({ isNeverSend: uri => this.isNeverSend(uri) });
+        this.codebaseIndex = new CodebaseIndex(context);
+        this.localEmbedder = new LocalEmbeddingProvider();
+        this.runningAnalyses = new Map(); // AbortController of the running single-file analysis per document URI
+        this.automaticAnalysisTimer = null; // Pending analysis of the active document after typing stops
+        this.changesPanel = null; // Preview of the latest suggested changes
+        this.analysisHistory = new AnalysisHistory(context.workspaceState);
+        this.analysisView = new AnalysisViewProvider(context, this.analysisHistory, { onRequestChanges: () => this.suggestChanges() });
+        context.subscriptions.push(
+            vscode.window.registerWebviewViewProvider(AnalysisViewProvider.viewType, this.analysisView, { webviewOptions: { retainContextWhenHidden: true } }),
+            AnalysisReportPanel.registerSerializer(context)
+        );
+        this.analysisStatus = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+        this.analysisStatus.command = 'aiAssistant.cancelAnalysis';
+        this.analysisStatus.tooltip = 'Cancel the running analysis';
+        context.subscriptions.push(this.analysisStatus);
         
-        this.initializeOpenAI(); // Call an async function to get the API key
+        this.initializeProvider(); // Call an async function to get the API key
         this.registerCommands();
         this.setupEventListeners();
+        this.loadBaselines().then(() => this.restoreCachedDiagnostics()).then(() => {
+            if (vscode.window.activeTextEditor) {
+                this.updateAnalysisView(vscode.window.activeTextEditor.document.uri);
+            }
+        });
     }
 
-    async initializeOpenAI() {
+    async initializeProvider() {
+        const settings = this.getProviderSettings();
+        const definition = PROVIDERS[settings.id];
         try {
-            const apiKey = await this.context.secrets.get('openaiApiKey');
-            if (apiKey) {
-                this.openai = new OpenAI({ apiKey: apiKey });
-            } else {
-                vscode.window.showWarningMessage('OpenAI API Key not found. Please set it via "AI Code Assistant: Set OpenAI API Key" command.');
+            settings.apiKey = await this.context.secrets.get(getSecretKeyName(settings.id));
+            if (definition?.requiresApiKey && !settings.apiKey) {
+                this.provider = null;
+                vscode.window.showWarningMessage(`${definition.label} API Key not found. Please set it via "AI Code Assistant: Set API Key" command.`);
                 this.promptForApiKey();
+                return;
             }
+            const config = vscode.workspace.getConfiguration('aiAssistant');
+            const maxRetries = config.get('analysis.maxRetries', DEFAULT_MAX_RETRIES);
+            const provider = createRetryingProvider(createProvider(settings), {
+                maxRetries,
+                onRetry: ({ attempt, delay, error }) => this.outputChannel.appendLine(
+                    `Retrying request (attempt ${attempt}/${maxRetries}) in ${Math.round(delay / 1000)}s: ${error.message}`
+                )
+            });
+            // Redacting around the retries redacts each request once, however often it is sent
+            this.provider = config.get('privacy.redaction', true)
+                ? createRedactingProvider(provider, new Redactor({ emails: config.get('privacy.redactEmails', true) }), {
+                    onRedact: redactions => this.outputChannel.appendLine(`Redacted before sending: ${describeRedactions(redactions)}`)
+                })
+                : provider;
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to retrieve OpenAI API Key: ${error.message}`);
+            this.provider = null;
+            vscode.window.showErrorMessage(`Failed to initialize AI provider: ${error.message}`);
         }
     }
 
+    getProviderSettings() {
+        const config = vscode.workspace.getConfiguration('aiAssistant');
+        const id = config.get('provider', DEFAULT_PROVIDER);
+        return {
+            id,
+            baseUrl: config.get(`${id}.baseUrl`),
+            model: config.get(`${id}.model`),
+            apiVersion: config.get(`${id}.apiVersion`),
+            embeddingModel: config.get(`${id}.embeddingModel`),
+            structuredOutputs: config.get(`${id}.structuredOutputs`)
+        };
+    }
+
     async promptForApiKey() {
+        const { id } = this.getProviderSettings();
+        const label = PROVIDERS[id]?.label || id;
         const apiKey = await vscode.window.showInputBox({
-            prompt: 'Enter your OpenAI API Key',
+            prompt: `Enter your ${label} API Key`,
             ignoreFocusOut: true, // Keep the input box open even if focus is lost
             password: true // Mask the input
         });
 
         if (apiKey) {
-            await this.context.secrets.store('openaiApiKey', apiKey);
-            this.openai = new OpenAI({ apiKey: apiKey });
-            vscode.window.showInformationMessage('OpenAI API Key successfully set!');
+            await this.context.secrets.store(getSecretKeyName(id), apiKey);
+            await this.initializeProvider();
+            if (this.provider) {
+                vscode.window.showInformationMessage(`${label} API Key successfully set!`);
+            }
         } else {
-            vscode.window.showWarningMessage('OpenAI API Key not set. AI Code Assistant features will be limited.');
+            vscode.window.showWarningMessage(`${label} API Key not set. AI Code Assistant features will be limited.`);
+        }
+    }
+
+    async selectProvider() {
+        const current = this.getProviderSettings().id;
+        const picked = await vscode.window.showQuickPick(
+            Object.entries(PROVIDERS).map(([id, definition]) => ({
+                label: definition.label,
+                description: id === current ? 'current' : undefined,
+                id
+            })),
+            { placeHolder: 'Select the AI provider for this workspace' }
+        );
+        if (!picked) {
+            return;
         }
+
+        // Provider choice is per workspace; the configuration listener re-initializes the client
+        const target = vscode.workspace.workspaceFolders ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+        await vscode.workspace.getConfiguration('aiAssistant').update('provider', picked.id, target);
     }
 
     registerCommands() {
         this.context.subscriptions.push(
             vscode.commands.registerCommand('aiAssistant.analyze', () => this.analyzeCodebase()),
+            vscode.commands.registerCommand('aiAssistant.analyzeFile', () => this.analyzeCurrentFile()),
+            vscode.commands.registerCommand('aiAssistant.reviewChanges', () => this.reviewChanges()),
             vscode.commands.registerCommand('aiAssistant.suggestChanges', () => this.suggestChanges()),
             vscode.commands.registerCommand('aiAssistant.applyChanges', (changes) => this.applyChanges(changes)),
             vscode.commands.registerCommand('aiAssistant.setApiKey', () => this.promptForApiKey()), // New command to set API key
+            vscode.commands.registerCommand('aiAssistant.selectProvider', () => this.selectProvider()),
+            vscode.commands.registerCommand('aiAssistant.clearCache', () => this.clearCache()),
+            vscode.commands.registerCommand('aiAssistant.showCache', () => this.showCache()),
+            vscode.commands.registerCommand('aiAssistant.showReport', () => this.showReport()),
+            vscode.commands.registerCommand('aiAssistant.exportReport', () => this.exportReport()),
+            vscode.commands.registerCommand('aiAssistant.fixIssue', (uri, issue) => this.fixIssue(uri, issue)),
+            vscode.commands.registerCommand('aiAssistant.explainIssue', (uri, issue) => this.explainIssue(uri, issue)),
+            vscode.commands.registerCommand('aiAssistant.ignoreIssue', (uri, issue) => this.ignoreIssue(uri, issue)),
+            vscode.commands.registerCommand('aiAssistant.suppressIssue', (uri, issue) => this.suppressIssue(uri, issue)),
+            vscode.commands.registerCommand('aiAssistant.baselineFindings', () => this.baselineFindings()),
+            vscode.commands.registerCommand('aiAssistant.askCodebase', () => this.askCodebase()),
+            vscode.commands.registerCommand('aiAssistant.updateIndex', () => this.updateIndex()),
+            vscode.commands.registerCommand('aiAssistant.cancelAnalysis', () => this.cancelAnalysis()),
+            vscode.workspace.registerTextDocumentContentProvider(PROPOSED_CHANGES_SCHEME, {
+                provideTextDocumentContent: uri => this.proposedContents.get(uri.toString()) || ''
+            }),
+            vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, new AIDiagnosticCodeActionProvider(), {
+                providedCodeActionKinds: AIDiagnosticCodeActionProvider.providedCodeActionKinds
+            }),
             vscode.commands.registerCommand('test.command', () => {
                 vscode.window.showInformationMessage('Test command works!');
             })
@@ -58,66 +193,227 @@ class AICodeAssistant {
     }
 
     setupEventListeners() {
-        // Debounce the analysis to avoid excessive API calls on rapid file changes/switches
-        let analyzeCurrentFileDebounced = this.debounce(() => this.analyzeCurrentFile(), 500);
-        vscode.workspace.onDidOpenTextDocument(analyzeCurrentFileDebounced);
-        vscode.window.onDidChangeActiveTextEditor(analyzeCurrentFileDebounced);
+        this.context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+            const providerSections = ['aiAssistant.provider', 'aiAssistant.analysis.maxRetries', 'aiAssistant.privacy.redaction', 'aiAssistant.privacy.redactEmails', ...Object.keys(PROVIDERS).map(id => `aiAssistant.${id}`)];
+            if (providerSections.some(section => event.affectsConfiguration(section))) {
+                this.initializeProvider();
+            }
+            if (event.affectsConfiguration('aiAssistant.autoAnalysis')) {
+                clearTimeout(this.automaticAnalysisTimer);
+            }
+        }));
+
+        // Automatic analysis follows aiAssistant.autoAnalysis.trigger, read on every event so
+        // that changing the setting takes effect immediately
+        vscode.window.onDidChangeActiveTextEditor(editor => {
+            if (editor) {
+                this.updateAnalysisView(editor.document.uri);
+            }
+            if (editor && this.getAutomaticTrigger(editor.document) === 'onType') {
+                this.scheduleAutomaticAnalysis(editor.document);
+            }
+        });
+        vscode.workspace.onDidSaveTextDocument(document => {
+            this.updateIndexedFile(document);
+            if (this.getAutomaticTrigger(document) === 'onSave') {
+                this.analyzeDocument(document, { automatic: true });
+            }
+        });
         vscode.workspace.onDidChangeTextDocument(event => {
-            if (event.document === vscode.window.activeTextEditor?.document) {
-                analyzeCurrentFileDebounced();
+            this.trackDiagnosticEdits(event);
+            if (event.contentChanges.length > 0 && event.document === vscode.window.activeTextEditor?.document &&
+                this.getAutomaticTrigger(event.document) === 'onType') {
+                // The running analysis describes text that no longer exists
+                this.runningAnalyses.get(event.document.uri.toString())?.abort();
+                this.scheduleAutomaticAnalysis(event.document);
             }
         });
-    }
 
-    debounce(func, delay) {
-        let timeout;
-        return function(...args) {
-            const context = this;
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func.apply(context, args), delay);
+        // The baseline is shared through version control, so it can change underneath us
+        const baselineWatcher = vscode.workspace.createFileSystemWatcher(`**/${BASELINE_FILE_NAME}`);
+        const reloadBaseline = async uri => {
+            const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+            if (workspaceFolder) {
+                await this.loadBaseline(workspaceFolder);
+                this.refreshDiagnostics();
+            }
         };
+        baselineWatcher.onDidCreate(reloadBaseline);
+        baselineWatcher.onDidChange(reloadBaseline);
+        baselineWatcher.onDidDelete(reloadBaseline);
+        this.context.subscriptions.push(baselineWatcher, vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+            await this.loadBaselines();
+            this.refreshDiagnostics();
+        }));
+    }
+
+    // Keep AI diagnostics on the code they describe while the document is edited
+    trackDiagnosticEdits(event) {
+        if (event.contentChanges.length === 0) {
+            return;
+        }
+        // The flagged code itself was edited when the result is null, so the finding no longer applies as-is
+        const followEdits = range => event.contentChanges.reduce((moved, change) => moved && adjustRangeForEdit(moved, change.range, change.text), range);
+
+        // The stored result moves too, as the diagnostics are rebuilt from it when the
+        // baseline changes and the "Ignore this issue" quick fix looks issues up by line
+        const key = event.document.uri.toString();
+        const stored = this.workspaceResults.get(key);
+        if (stored) {
+            const issues = [];
+            (stored.issues || []).forEach(issue => {
+                const range = followEdits(this.getIssueRange(issue));
+                if (range) {
+                    issues.push({ ...issue, line: range.start.line, column: range.start.character, endLine: range.end.line, endColumn: range.end.character });
+                }
+            });
+            this.workspaceResults.set(key, { ...stored, issues });
+        }
+
+        const diagnostics = this.diagnosticCollection.get(event.document.uri);
+        if (!diagnostics || diagnostics.length === 0) {
+            return;
+        }
+
+        const tracked = [];
+        for (const diagnostic of diagnostics) {
+            const range = followEdits(diagnostic.range);
+            if (range) {
+                const moved = new vscode.Diagnostic(
+                    new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character),
+                    diagnostic.message,
+                    diagnostic.severity
+                );
+                // Everything but the range stays as it was
+                moved.source = diagnostic.source;
+                moved.code = diagnostic.code;
+                moved.tags = diagnostic.tags;
+                moved.relatedInformation = diagnostic.relatedInformation;
+                tracked.push(moved);
+            }
+        }
+        this.diagnosticCollection.set(event.document.uri, tracked);
+    }
+
+    // The trigger that applies to the document: 'off', 'onSave' or 'onType'. Documents outside
+    // the configured URI schemes and languages, such as output channels and settings, are never
+    // analyzed automatically.
+    getAutomaticTrigger(document) {
+        const config = vscode.workspace.getConfiguration('aiAssistant', document.uri);
+        const schemes = config.get('autoAnalysis.uriSchemes', ['file']);
+        const languages = config.get('autoAnalysis.languages', []);
+        if (!schemes.includes(document.uri.scheme) ||
+            !isAnalyzableLanguage(document.languageId) ||
+            (languages.length > 0 && !languages.includes(document.languageId))) {
+            return 'off';
+        }
+        return config.get('autoAnalysis.trigger', 'off');
+    }
+
+    // Analyzes the document once typing has paused for the configured delay
+    scheduleAutomaticAnalysis(document) {
+        clearTimeout(this.automaticAnalysisTimer);
+        const delay = vscode.workspace.getConfiguration('aiAssistant', document.uri).get('autoAnalysis.idleDelay', 1500);
+        this.automaticAnalysisTimer = setTimeout(() => {
+            if (document === vscode.window.activeTextEditor?.document && !document.isClosed) {
+                this.analyzeDocument(document, { automatic: true });
+            }
+        }, delay);
     }
 
     async analyzeCurrentFile() {
         const editor = vscode.window.activeTextEditor;
         if (!editor) {
-            this.diagnosticCollection.clear(); // Clear diagnostics if no active editor
+            vscode.window.showInformationMessage('Open a file to analyze it.');
             return;
         }
+        return this.analyzeDocument(editor.document, { automatic: false });
+    }
 
-        const document = editor.document;
+    // Automatic analyses only update the diagnostics and report problems in the status bar;
+    // the analysis panel and error notifications are reserved for explicit requests
+    async analyzeDocument(document, { automatic }) {
         const code = document.getText();
         const languageId = document.languageId;
+        const version = document.version;
 
-        // Clear existing diagnostics for the current file before re-analyzing
-        this.diagnosticCollection.set(document.uri, []);
-
-        if (!this.openai) {
-            vscode.window.showWarningMessage('OpenAI API Key is not set. Cannot analyze current file.');
+        if (!this.provider) {
+            if (!automatic) {
+                vscode.window.showWarningMessage('AI provider is not configured. Cannot analyze current file.');
+            }
+            return;
+        }
+        if (this.isNeverSend(document.uri)) {
+            if (!automatic) {
+                this.showNeverSendMessage(document.uri);
+            }
             return;
         }
 
+        // A newer analysis of the same document replaces the running one, whose request is
+        // aborted; analyses of other documents are not affected
+        const key = document.uri.toString();
+        this.runningAnalyses.get(key)?.abort();
+        const controller = new AbortController();
+        this.runningAnalyses.set(key, controller);
+        this.analysisStatus.text = '$(sync~spin) Analyzing current file...';
+        this.analysisStatus.show();
+
         try {
-            vscode.window.setStatusBarMessage(`$(sync~spin) Analyzing current file...`, this.analyzeCode(code, languageId).then(analysis => {
-                this.displayAnalysis(analysis, document);
+            const analysis = await this.getAnalysis(code, languageId, document.uri, this.provider, {
+                signal: controller.signal,
+                onToken: ({ text, chunkIndex, chunkCount }) => {
+                    // Issues are counted as they stream in; the whole list arrives with the last token
+                    const issues = (text.match(/"severity"/g) || []).length;
+                    const part = chunkCount > 1 ? ` (part ${chunkIndex + 1}/${chunkCount})` : '';
+                    this.analysisStatus.text = `$(sync~spin) Analyzing current file${part}: ${issues} issue(s) so far`;
+                }
+            });
+            // Positions would be off if the document was edited in the meantime
+            if (controller === this.runningAnalyses.get(key) && document.version === version) {
+                await this.recordAnalysis(document.uri, analysis);
+                if (automatic) {
+                    this.applyAnalysisAsDiagnostics(analysis, document.uri);
+                } else {
+                    this.displayAnalysis(analysis, document);
+                }
                 vscode.window.setStatusBarMessage(`$(check) File analysis complete.`, 3000);
-            }).catch(error => {
-                vscode.window.showErrorMessage(`Analysis failed: ${error.message}`);
-                vscode.window.setStatusBarMessage(`$(error) Analysis failed.`, 3000);
-            }));
+            }
         } catch (error) {
-            vscode.window.showErrorMessage(`Analysis failed: ${error.message}`);
+            if (isAbortError(error)) {
+                if (controller === this.runningAnalyses.get(key) && !automatic) {
+                    vscode.window.setStatusBarMessage(`$(circle-slash) File analysis cancelled.`, 3000);
+                }
+                return;
+            }
+            if (automatic) {
+                this.outputChannel.appendLine(`Analysis of ${vscode.workspace.asRelativePath(document.uri)} failed: ${error.message}`);
+            } else {
+                vscode.window.showErrorMessage(`Analysis failed: ${error.message}`);
+            }
+            vscode.window.setStatusBarMessage(`$(error) Analysis failed.`, 3000);
+        } finally {
+            if (controller === this.runningAnalyses.get(key)) {
+                this.runningAnalyses.delete(key);
+            }
+            if (this.runningAnalyses.size === 0) {
+                this.analysisStatus.hide();
+            }
         }
     }
 
+    cancelAnalysis() {
+        this.runningAnalyses.forEach(controller => controller.abort());
+    }
+
     async analyzeCodebase() {
         if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
             vscode.window.showErrorMessage('No workspace folder open. Cannot analyze codebase.');
             return;
         }
 
-        if (!this.openai) {
-            vscode.window.showWarningMessage('OpenAI API Key is not set. Cannot analyze codebase.');
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot analyze codebase.');
             return;
         }
 
@@ -127,8 +423,10 @@ class AICodeAssistant {
             cancellable: true
         }, async (progress, token) => {
             try {
-                const workspaceFolder = vscode.workspace.workspaceFolders[0].uri.fsPath;
-                const files = await this.getCodeFiles(workspaceFolder);
+                const files = [];
+                for (const workspaceFolder of vscode.workspace.workspaceFolders) {
+                    files.push(...await getCodeFiles(workspaceFolder.uri.fsPath, this.getFileSelectionOptions(workspaceFolder)));
+                }
                 
                 if (files.length === 0) {
                     vscode.window.showInformationMessage('No supported code files found in the workspace.');
@@ -136,190 +434,459 @@ class AICodeAssistant {
                 }
 
                 progress.report({ increment: 0, message: "Processing files..." });
-                
+
+                const config = vscode.workspace.getConfiguration('aiAssistant');
+                const provider = createBudgetedProvider(this.provider, new RequestBudget({
+                    maxRequests: config.get('analysis.maxRequestsPerRun', 0),
+                    maxTokens: config.get('analysis.maxTokensPerRun', 0)
+                }));
+
+                // Cancelling also aborts the requests in flight instead of waiting for them
+                const controller = new AbortController();
+                token.onCancellationRequested(() => controller.abort());
+
                 let processed = 0;
-                let allDiagnostics = [];
-                for (const file of files) {
-                    if (token.isCancellationRequested) {
-                        vscode.window.showInformationMessage('Codebase analysis cancelled.');
-                        return;
-                    }
-                    
+                const outcomes = await runQueue(files, async file => {
                     try {
-                        const code = fs.readFileSync(file, 'utf-8');
-                        const languageId = this.getLanguageIdFromFileExtension(file);
+                        const languageId = getLanguageIdFromFileExtension(file);
                         
                         // Skip analysis if languageId is not recognized or not a common coding language
-                        if (!languageId || !['javascript', 'typescript', 'python', 'java', 'go', 'rust', 'cpp', 'csharp', 'php', 'ruby'].includes(languageId)) {
-                            processed++;
-                            progress.report({ 
-                                increment: (processed / files.length) * 100,
-                                message: `Skipping unsupported file: ${path.basename(file)}`
-                            });
-                            continue;
+                        if (!isAnalyzableLanguage(languageId)) {
+                            return 'skipped';
                         }
 
-                        const analysis = await this.analyzeCode(code, languageId);
+                        const code = await fs.promises.readFile(file, 'utf-8');
                         const documentUri = vscode.Uri.file(file);
+                        const analysis = await this.getAnalysis(code, languageId, documentUri, provider, { signal: controller.signal });
                         this.applyAnalysisAsDiagnostics(analysis, documentUri);
-
-                        // Accumulate diagnostics for a comprehensive report if desired, though current display only handles one file.
-                        // For a full codebase analysis report, you might need a different UI or approach.
-                        // allDiagnostics.push({ uri: documentUri, diagnostics: this.convertAnalysisToDiagnostics(analysis, documentUri) });
-
-                    } catch (fileError) {
-                        vscode.window.showWarningMessage(`Failed to analyze ${path.basename(file)}: ${fileError.message}`);
+                        return 'analyzed';
                     } finally {
                         processed++;
                         progress.report({ 
-                            increment: (processed / files.length) * 100,
+                            increment: 100 / files.length,
                             message: `Analyzed ${path.basename(file)} (${processed}/${files.length})`
                         });
                     }
-                }
+                }, {
+                    concurrency: config.get('analysis.concurrency', DEFAULT_CONCURRENCY),
+                    isCancelled: () => token.isCancellationRequested
+                });
                 
-                vscode.window.showInformationMessage('Codebase analysis completed. Diagnostics displayed in relevant files.');
+                this.showReport();
+                this.reportRunSummary(files, outcomes, token.isCancellationRequested);
             } catch (error) {
                 vscode.window.showErrorMessage(`Codebase analysis failed: ${error.message}`);
             }
         });
     }
 
-    async getCodeFiles(folder) {
-        // Explicitly define common code file extensions and their corresponding language IDs
-        const extensionToLanguageId = {
-            '.js': 'javascript',
-            '.ts': 'typescript',
-            '.py': 'python',
-            '.java': 'java',
-            '.go': 'go',
-            '.rs': 'rust',
-            '.cpp': 'cpp',
-            '.c': 'c', // Added C
-            '.cs': 'csharp',
-            '.php': 'php',
-            '.rb': 'ruby',
-            '.json': 'json', // Often contains configuration/data, useful for analysis
-            '.xml': 'xml',
-            '.html': 'html',
-            '.css': 'css'
-        };
-        const supportedExtensions = Object.keys(extensionToLanguageId);
-        const files = [];
-        
-        const walkDir = (dir) => {
-            const items = fs.readdirSync(dir, { withFileTypes: true });
-            for (const item of items) {
-                const fullPath = path.join(dir, item.name);
-                if (item.isDirectory()) {
-                    // Skip common ignored directories like node_modules, .git, etc.
-                    if (['node_modules', '.git', '.vscode', 'build', 'dist'].includes(item.name)) {
-                        continue;
+    // Analyzes only the changed lines of the files in a git diff, e.g. before opening a pull request
+    async reviewChanges() {
+        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder open. Cannot review changes.');
+            return;
+        }
+
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot review changes.');
+            return;
+        }
+
+        const workspaceFolder = vscode.workspace.workspaceFolders.length === 1
+            ? vscode.workspace.workspaceFolders[0]
+            : await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Workspace folder to review' });
+        if (!workspaceFolder) {
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick([
+            { label: 'Uncommitted changes', description: 'Staged and unstaged changes and new files', scope: 'uncommitted' },
+            { label: 'Staged changes', description: 'What the next commit contains', scope: 'staged' },
+            { label: 'Changes on this branch', description: 'Everything since the branch left its base branch', scope: 'branch' }
+        ], { placeHolder: 'Changes to review' });
+        if (!picked) {
+            return;
+        }
+
+        const config = vscode.workspace.getConfiguration('aiAssistant', workspaceFolder.uri);
+        let base;
+        if (picked.scope === 'branch') {
+            base = await vscode.window.showInputBox({
+                prompt: 'Base branch to compare with',
+                value: config.get('review.baseBranch', 'main'),
+                ignoreFocusOut: true
+            });
+            if (!base) {
+                return;
+            }
+        }
+
+        vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Reviewing pending changes...",
+            cancellable: true
+        }, async (progress, token) => {
+            try {
+                const root = workspaceFolder.uri.fsPath;
+                const changes = await getPendingChanges(root, { scope: picked.scope, base });
+                // The same files a codebase analysis would send, so excluded and ignored files stay private
+                const eligible = new Set(await getCodeFiles(root, this.getFileSelectionOptions(workspaceFolder)));
+                const changesByFile = new Map(changes
+                    .map(change => [path.join(root, change.file), change])
+                    .filter(([file]) => eligible.has(file) && isAnalyzableLanguage(getLanguageIdFromFileExtension(file))));
+                const files = [...changesByFile.keys()];
+
+                if (files.length === 0) {
+                    vscode.window.showInformationMessage(`No ${picked.label.toLowerCase()} in supported code files to review.`);
+                    return;
+                }
+
+                const provider = createBudgetedProvider(this.provider, new RequestBudget({
+                    maxRequests: config.get('analysis.maxRequestsPerRun', 0),
+                    maxTokens: config.get('analysis.maxTokensPerRun', 0)
+                }));
+                const controller = new AbortController();
+                token.onCancellationRequested(() => controller.abort());
+
+                const results = [];
+                const reportOnly = []; // Staged files that differ in the working tree
+                let processed = 0;
+                const outcomes = await runQueue(files, async file => {
+                    try {
+                        const change = changesByFile.get(file);
+                        // A staged review looks at the staged content, which the diff line numbers refer to
+                        const code = picked.scope === 'staged'
+                            ? await readStagedFile(root, change.file)
+                            : await fs.promises.readFile(file, 'utf-8');
+                        const uri = vscode.Uri.file(file);
+                        const languageId = getLanguageIdFromFileExtension(file);
+                        const context = await this.projectContext.build(uri, code, languageId);
+                        const analysis = await this.analyzeCode(code, languageId, uri, provider, context, {
+                            signal: controller.signal,
+                            rules: await this.getRulesConfig(uri),
+                            changedLines: change.changedLines || undefined
+                        });
+                        // Staged line numbers only fit the editor when the working copy is
+                        // unchanged since staging; otherwise the findings are only in the report
+                        if (picked.scope !== 'staged' || await this.readWorkingCopy(uri) === code) {
+                            this.applyAnalysisAsDiagnostics(analysis, uri);
+                        } else {
+                            reportOnly.push(vscode.workspace.asRelativePath(uri, false));
+                        }
+                        results.push({ file: vscode.workspace.asRelativePath(uri, false), uri: uri.toString(), analysis: this.withoutBaselined(analysis, uri) });
+                        return 'analyzed';
+                    } finally {
+                        processed++;
+                        progress.report({
+                            increment: 100 / files.length,
+                            message: `Reviewed ${path.basename(file)} (${processed}/${files.length})`
+                        });
                     }
-                    walkDir(fullPath);
-                } else if (supportedExtensions.includes(path.extname(item.name).toLowerCase())) {
-                    files.push(fullPath);
+                }, {
+                    concurrency: config.get('analysis.concurrency', DEFAULT_CONCURRENCY),
+                    isCancelled: () => token.isCancellationRequested
+                });
+
+                AnalysisReportPanel.show(this.context, buildReport(results));
+                if (reportOnly.length > 0) {
+                    this.outputChannel.appendLine(`Review: findings for ${reportOnly.join(', ')} refer to the staged content, which differs from the working tree, and are only shown in the report.`);
                 }
+                this.reportRunSummary(files, outcomes, token.isCancellationRequested, 'Review');
+            } catch (error) {
+                vscode.window.showErrorMessage(`Review of pending changes failed: ${error.message}`);
             }
-        };
-        
-        walkDir(folder);
-        return files;
+        });
+    }
+
+    // Text of the file as the editor shows it, including unsaved edits
+    async readWorkingCopy(uri) {
+        const document = vscode.workspace.textDocuments.find(candidate => candidate.uri.toString() === uri.toString());
+        return document ? document.getText() : fs.promises.readFile(uri.fsPath, 'utf-8');
     }
 
-    getLanguageIdFromFileExtension(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        const extensionToLanguageId = {
-            '.js': 'javascript',
-            '.ts': 'typescript',
-            '.py': 'python',
-            '.java': 'java',
-            '.go': 'go',
-            '.rs': 'rust',
-            '.cpp': 'cpp',
-            '.c': 'c',
-            '.cs': 'csharp',
-            '.php': 'php',
-            '.rb': 'ruby',
-            '.json': 'json',
-            '.xml': 'xml',
-            '.html': 'html',
-            '.css': 'css'
+    // One summary per run instead of a notification per failed file
+    async reportRunSummary(files, outcomes, cancelled, title = 'Codebase analysis') {
+        const analyzed = outcomes.filter(outcome => outcome.value === 'analyzed').length;
+        const aborted = outcomes.filter(outcome => isAbortError(outcome.error)).length;
+        const failures = outcomes.filter(outcome => outcome.error && !isAbortError(outcome.error));
+        const budgetFailures = failures.filter(outcome => outcome.error instanceof BudgetExceededError);
+
+        if (failures.length > 0) {
+            this.outputChannel.appendLine(`${title} (${new Date().toLocaleString()}): ${failures.length} of ${files.length} files failed.`);
+            failures.forEach(outcome => this.outputChannel.appendLine(`  ${vscode.workspace.asRelativePath(outcome.item)}: ${outcome.error.message}`));
+        }
+
+        const parts = [`${analyzed} analyzed`];
+        if (failures.length > budgetFailures.length) {
+            parts.push(`${failures.length - budgetFailures.length} failed`);
+        }
+        if (budgetFailures.length > 0) {
+            parts.push(`${budgetFailures.length} skipped (run budget exhausted)`);
+        }
+        if (aborted > 0) {
+            parts.push(`${aborted} interrupted`);
+        }
+        if (cancelled) {
+            parts.push(`${files.length - outcomes.length} not started`);
+        }
+
+        const summary = `${title} ${cancelled ? 'cancelled' : 'completed'}: ${parts.join(', ')}.`;
+        if (failures.length === 0) {
+            vscode.window.showInformationMessage(`${summary} Diagnostics displayed in relevant files.`);
+            return;
+        }
+        const choice = await vscode.window.showWarningMessage(summary, 'Show Failures');
+        if (choice === 'Show Failures') {
+            this.outputChannel.show();
+        }
+    }
+
+    getFileSelectionOptions(workspaceFolder) {
+        const config = vscode.workspace.getConfiguration('aiAssistant', workspaceFolder.uri);
+        // Honor the editor's own files.exclude on top of the extension's exclude globs
+        const filesExclude = vscode.workspace.getConfiguration('files', workspaceFolder.uri).get('exclude', {});
+        return {
+            include: config.get('files.include', []),
+            exclude: [
+                ...config.get('files.exclude', DEFAULT_EXCLUDES),
+                ...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true),
+                ...config.get('privacy.neverSend', DEFAULT_NEVER_SEND)
+            ],
+            maxFileSize: config.get('files.maxFileSize', DEFAULT_MAX_FILE_SIZE),
+            respectGitignore: config.get('files.respectGitignore', true)
         };
-        return extensionToLanguageId[ext];
     }
 
-    async analyzeCode(code, languageId) {
-        if (!this.openai) {
-            throw new Error('OpenAI API client is not initialized. Please set your API key.');
+    // Files matching aiAssistant.privacy.neverSend are never sent to the provider, neither for
+    // analysis and suggestions nor as context or in the codebase index. Globs are matched
+    // against the path in the workspace folder, or the full path for other files.
+    isNeverSend(uri) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+        const globs = vscode.workspace.getConfiguration('aiAssistant', uri).get('privacy.neverSend', DEFAULT_NEVER_SEND);
+        const filePath = workspaceFolder ? vscode.workspace.asRelativePath(uri, false) : uri.path;
+        return isNeverSend(filePath, globs);
+    }
+
+    showNeverSendMessage(uri) {
+        vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(uri)} matches aiAssistant.privacy.neverSend and is not sent to the AI provider.`);
+    }
+
+    getModelIdentity() {
+        const { id, model } = this.getProviderSettings();
+        return `${id}:${model || PROVIDERS[id]?.defaultModel}`;
+    }
+
+    // Returns the cached analysis when the file content, language, model, prompt, project
+    // context and rules are unchanged. requestOptions ({ signal, onToken }) apply to the request, if one is made.
+    async getAnalysis(code, languageId, uri, provider = this.provider, requestOptions = {}) {
+        const useCache = vscode.workspace.getConfiguration('aiAssistant').get('cache.enabled', true);
+        const model = this.getModelIdentity();
+        const context = await this.projectContext.build(uri, code, languageId);
+        const rules = await this.getRulesConfig(uri);
+        // The rules change the prompt like the context does, so one hash stands for both
+        const contextHash = AnalysisCache.hashContent(JSON.stringify([context, rules]));
+        const key = AnalysisCache.computeKey({ code, languageId, model, promptVersion: ANALYSIS_PROMPT_VERSION, contextHash });
+
+        if (useCache) {
+            const cached = await this.analysisCache.get(key);
+            if (cached) {
+                return cached;
+            }
         }
-        
-        // Refined prompt for better JSON output and explicit handling of code blocks
-        const prompt = `
-Analyze the following ${languageId} code and provide detailed feedback.
-Your response MUST be a JSON object with the following structure:
-{
-    "issues": [
-        {
-            "type": "Bug" | "Code Smell" | "Security Vulnerability" | "Performance Issue",
-            "description": "A clear description of the issue.",
-            "severity": "Error" | "Warning" | "Information",
-            "line": number, // Optional: The line number where the issue starts (0-indexed)
-            "column": number // Optional: The column number where the issue starts (0-indexed)
-        }
-    ],
-    "suggestions": [
-        {
-            "description": "A general suggestion for improvement.",
-            "type": "Refactoring" | "Best Practice" | "Readability"
-        }
-    ],
-    "improvements": [
-        {
-            "description": "A specific, actionable performance improvement.",
-            "type": "Performance"
-        }
-    ]
-}
 
-If no issues, suggestions, or improvements are found, return empty arrays.
-Ensure the JSON is perfectly parseable. Do NOT include any other text or markdown outside the JSON.
+        const analysis = await this.analyzeCode(code, languageId, uri, provider, context, { ...requestOptions, rules });
+        if (useCache) {
+            await this.analysisCache.set(key, analysis, { uri: uri.toString(), languageId, model, contextHash });
+        }
+        return analysis;
+    }
 
-Code:
-\`\`\`${languageId}
-${code}
-\`\`\`
-`;
+    async restoreCachedDiagnostics() {
+        if (!vscode.workspace.getConfiguration('aiAssistant').get('cache.enabled', true)) {
+            return;
+        }
 
-        try {
-            const completion = await this.openai.chat.completions.create({
-                model: "gpt-4o", // Using a more capable model if available and desired
-                messages: [{ role: "user", content: prompt }],
-                temperature: 0.3,
-                response_format: { type: "json_object" }, // Requesting JSON object output
-                max_tokens: 2000
+        const model = this.getModelIdentity();
+        for (const entry of await this.analysisCache.getIndexedEntries()) {
+            try {
+                const uri = vscode.Uri.parse(entry.uri);
+                const code = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8');
+                // The context is not rebuilt here; the stored hash stands for the context used back then
+                const key = AnalysisCache.computeKey({ code, languageId: entry.languageId, model, promptVersion: ANALYSIS_PROMPT_VERSION, contextHash: entry.contextHash });
+                // Only restore diagnostics that still describe the file as it is on disk
+                if (key === entry.key) {
+                    this.applyAnalysisAsDiagnostics(entry.analysis, uri);
+                }
+            } catch (error) {
+                console.warn(`Skipping cached analysis for ${entry.uri}:`, error.message);
+            }
+        }
+    }
+
+    async clearCache() {
+        await this.analysisCache.clear();
+        vscode.window.showInformationMessage('AI analysis cache cleared.');
+    }
+
+    async showCache() {
+        const stats = await this.analysisCache.getStats();
+        const entries = await this.analysisCache.getIndexedEntries();
+        const items = entries
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(entry => {
+                const uri = vscode.Uri.parse(entry.uri);
+                return {
+                    label: vscode.workspace.asRelativePath(uri),
+                    description: `${entry.analysis.issues?.length || 0} issue(s) · ${entry.model}`,
+                    detail: `Analyzed ${new Date(entry.createdAt).toLocaleString()}`,
+                    uri
+                };
             });
 
-            const rawResponseContent = completion.choices[0].message.content;
-            // Clean the response by removing markdown code blocks if the model insists on them
-            const jsonString = rawResponseContent.replace(/```json\n?|\n?```/g, '').trim();
-            return JSON.parse(jsonString);
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: `${stats.entryCount} cached analyses for ${stats.fileCount} files (${Math.ceil(stats.sizeInBytes / 1024)} KB in ${stats.location})`,
+            matchOnDescription: true
+        });
+        if (picked) {
+            await vscode.window.showTextDocument(picked.uri);
+        }
+    }
+
+    async analyzeCode(code, languageId, uri, provider = this.provider, context = '', { signal, onToken, rules, changedLines } = {}) {
+        if (!provider) {
+            throw new Error('AI provider is not initialized. Please set your API key.');
+        }
+
+        const options = { ...this.getChunkingOptions(), context, rules, changedLines, signal, onToken };
+        if (uri && estimateTokens(code) > options.maxPromptTokens) {
+            options.boundaries = await this.getSymbolBoundaries(uri);
+        }
+        return analyzeCode(provider, code, languageId, options);
+    }
+
+    // Analysis rules from the settings, overridden by the workspace folder's .aiassistant.json
+    async getRulesConfig(uri) {
+        const config = vscode.workspace.getConfiguration('aiAssistant', uri);
+        const settings = {
+            categories: config.get('analysis.categories'),
+            minSeverity: config.get('analysis.minSeverity'),
+            rules: config.get('analysis.rules', []),
+            languages: config.get('analysis.languages', {})
+        };
+        const workspaceFolder = uri && vscode.workspace.getWorkspaceFolder(uri);
+        if (!workspaceFolder) {
+            return mergeRulesConfig(settings);
+        }
+
+        const rulesUri = vscode.Uri.joinPath(workspaceFolder.uri, RULES_FILE_NAME);
+        let text;
+        try {
+            text = Buffer.from(await vscode.workspace.fs.readFile(rulesUri)).toString('utf-8');
+        } catch {
+            return mergeRulesConfig(settings); // No project configuration
+        }
+
+        try {
+            return mergeRulesConfig(settings, parseRulesConfig(text));
+        } catch (error) {
+            // Reported once per problem instead of once per analyzed file
+            const message = `${vscode.workspace.asRelativePath(rulesUri)} is ignored: ${error.message}`;
+            if (!this.reportedRulesErrors.has(message)) {
+                this.reportedRulesErrors.add(message);
+                vscode.window.showWarningMessage(message);
+            }
+            return mergeRulesConfig(settings);
+        }
+    }
+
+    getChunkingOptions() {
+        const config = vscode.workspace.getConfiguration('aiAssistant');
+        return {
+            maxPromptTokens: config.get('chunking.maxPromptTokens', DEFAULT_MAX_PROMPT_TOKENS),
+            overlapLines: config.get('chunking.overlapLines', DEFAULT_OVERLAP_LINES),
+            maxResponseTokens: config.get('maxResponseTokens', 2000),
+            maxRepairs: config.get('maxRepairAttempts', DEFAULT_MAX_REPAIRS)
+        };
+    }
+
+    // Start lines of the top-level symbols reported by the language service, used as chunk boundaries
+    async getSymbolBoundaries(uri) {
+        try {
+            const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri);
+            const boundaries = (symbols || []).map(symbol => (symbol.range || symbol.location.range).start.line);
+            return boundaries.length > 0 ? boundaries : undefined;
+        } catch (error) {
+            console.warn(`Document symbols unavailable for ${uri.toString()}:`, error.message);
+            return undefined;
+        }
+    }
+
+    async loadBaselines() {
+        this.baselines.clear();
+        await Promise.all((vscode.workspace.workspaceFolders || []).map(workspaceFolder => this.loadBaseline(workspaceFolder)));
+    }
+
+    async loadBaseline(workspaceFolder) {
+        const baselineUri = vscode.Uri.joinPath(workspaceFolder.uri, BASELINE_FILE_NAME);
+        let text;
+        try {
+            text = Buffer.from(await vscode.workspace.fs.readFile(baselineUri)).toString('utf-8');
+        } catch {
+            this.baselines.delete(workspaceFolder.uri.toString()); // No baseline
+            return;
+        }
+
+        try {
+            this.baselines.set(workspaceFolder.uri.toString(), parseBaseline(text));
         } catch (error) {
-            console.error("Error calling OpenAI API or parsing response:", error);
-            throw new Error(`Failed to get analysis from AI: ${error.message}. Raw response: ${error.response ? JSON.stringify(error.response.data) : 'N/A'}`);
+            this.baselines.delete(workspaceFolder.uri.toString());
+            vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(baselineUri)} is ignored: ${error.message}`);
+        }
+    }
+
+    // Where findings of a file are looked up in the baseline: its workspace folder and its path there
+    getBaselineLocation(uri) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+        return workspaceFolder && { workspaceFolder, file: vscode.workspace.asRelativePath(uri, false) };
+    }
+
+    // The analysis without the findings in the baseline of the file's workspace folder
+    withoutBaselined(analysis, uri) {
+        const location = this.getBaselineLocation(uri);
+        return location ? filterBaselined(analysis, location.file, this.baselines.get(location.workspaceFolder.uri.toString())) : analysis;
+    }
+
+    refreshDiagnostics() {
+        for (const [uri, analysis] of this.workspaceResults) {
+            this.applyAnalysisAsDiagnostics(analysis, vscode.Uri.parse(uri));
         }
     }
 
+    // Issues are anchored to the analyzed code; default to start of document if positions are missing
+    getIssueRange(issue) {
+        const line = typeof issue.line === 'number' && issue.line >= 0 ? issue.line : 0;
+        const column = typeof issue.column === 'number' && issue.column >= 0 ? issue.column : 0;
+        const endLine = typeof issue.endLine === 'number' && issue.endLine >= line ? issue.endLine : line;
+        const endColumn = typeof issue.endColumn === 'number' && issue.endColumn >= 0 ? issue.endColumn : column + 1;
+        return { start: { line, character: column }, end: { line: endLine, character: endColumn } };
+    }
+
+    getDiagnosticMessage(issue) {
+        return issue.ruleId ? `${issue.type} [${issue.ruleId}]: ${issue.description}` : `${issue.type}: ${issue.description}`;
+    }
+
     applyAnalysisAsDiagnostics(analysis, documentUri) {
+        // Results are kept complete so that changes to the baseline take effect without a new analysis
+        this.workspaceResults.set(documentUri.toString(), analysis);
+        const openDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === documentUri.toString());
+
         const diagnostics = [];
-        analysis.issues.forEach(issue => {
-            // Default to start of document if line/column are not provided or invalid
-            const line = typeof issue.line === 'number' && issue.line >= 0 ? issue.line : 0;
-            const column = typeof issue.column === 'number' && issue.column >= 0 ? issue.column : 0;
-            const range = new vscode.Range(
-                new vscode.Position(line, column),
-                new vscode.Position(line, column + 1) // A single character range or expand as needed
-            );
+        this.withoutBaselined(analysis, documentUri).issues.forEach(issue => {
+            const { start, end } = this.getIssueRange(issue);
+            let range = new vscode.Range(start.line, start.character, end.line, end.character);
+            if (openDocument) {
+                range = openDocument.validateRange(range);
+            }
             
             let severity;
             switch (issue.severity?.toLowerCase()) {
@@ -336,109 +903,87 @@ ${code}
                     severity = vscode.DiagnosticSeverity.Warning; // Default to warning
             }
 
-            diagnostics.push(new vscode.Diagnostic(
-                range,
-                `${issue.type}: ${issue.description}`,
-                severity
-            ));
+            const diagnostic = new vscode.Diagnostic(range, this.getDiagnosticMessage(issue), severity);
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = issue.ruleId || issue.type;
+            if (!this.ignoredIssues.has(this.getIgnoredIssueKey(documentUri, diagnostic.message))) {
+                diagnostics.push(diagnostic);
+            }
         });
         this.diagnosticCollection.set(documentUri, diagnostics);
+        if (vscode.window.activeTextEditor?.document.uri.toString() === documentUri.toString()) {
+            this.updateAnalysisView(documentUri);
+        }
     }
 
-    displayAnalysis(analysis, document) {
-        this.applyAnalysisAsDiagnostics(analysis, document.uri); // Also display as diagnostics
+    buildWorkspaceReport() {
+        return buildReport([...this.workspaceResults.entries()].map(([uri, analysis]) => ({
+            file: vscode.workspace.asRelativePath(vscode.Uri.parse(uri), false),
+            uri,
+            analysis: this.withoutBaselined(analysis, vscode.Uri.parse(uri))
+        })));
+    }
 
-        const panel = vscode.window.createWebviewPanel(
-            'aiAnalysis',
-            'AI Code Analysis',
-            vscode.ViewColumn.Two,
-            { enableScripts: true } // Enable scripts for webview
-        );
-        
-        panel.webview.html = this.getAnalysisWebviewContent(analysis);
+    showReport() {
+        if (this.workspaceResults.size === 0) {
+            vscode.window.showInformationMessage('No analysis results yet. Run "AI Code Assistant: Analyze Codebase" first.');
+            return;
+        }
 
-        // Handle messages from the webview (e.g., "Request Code Changes" button)
-        panel.webview.onDidReceiveMessage(
-            message => {
-                switch (message.command) {
-                    case 'requestChanges':
-                        this.suggestChanges(); // Trigger suggestChanges command
-                        return;
-                }
-            },
-            undefined,
-            this.context.subscriptions
+        AnalysisReportPanel.show(this.context, this.buildWorkspaceReport());
+    }
+
+    async exportReport() {
+        if (this.workspaceResults.size === 0) {
+            vscode.window.showInformationMessage('No analysis results to export. Run "AI Code Assistant: Analyze Codebase" first.');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(
+            Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ label: format.label, id })),
+            { placeHolder: 'Export format' }
         );
+        if (!picked) {
+            return;
+        }
+
+        const format = EXPORT_FORMATS[picked.id];
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri;
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: workspaceFolder ? vscode.Uri.joinPath(workspaceFolder, `ai-analysis.${format.extension}`) : undefined,
+            filters: { [format.label]: [format.extension] }
+        });
+        if (!target) {
+            return;
+        }
+
+        try {
+            const content = format.serialize(this.buildWorkspaceReport(), { toolVersion: this.context.extension?.packageJSON?.version });
+            await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf-8'));
+            vscode.window.showInformationMessage(`Analysis exported to ${vscode.workspace.asRelativePath(target)}.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to export analysis: ${error.message}`);
+        }
     }
 
-    getAnalysisWebviewContent(analysis) {
-        // Ensure data is structured for display even if parts are missing
-        const issuesHtml = analysis.issues && analysis.issues.length > 0
-            ? analysis.issues.map(issue => `<div class="issue"><strong>${issue.type || 'Issue'}</strong>: ${issue.description} (Line: ${issue.line !== undefined ? issue.line + 1 : 'N/A'})</div>`).join('')
-            : '<p>No issues found.</p>';
+    // Shows the analysis in the analysis view, which is revealed without taking the focus
+    displayAnalysis(analysis, document) {
+        this.applyAnalysisAsDiagnostics(analysis, document.uri); // Also display as diagnostics
+        this.updateAnalysisView(document.uri, { reveal: true });
+    }
 
-        const suggestionsHtml = analysis.suggestions && analysis.suggestions.length > 0
-            ? analysis.suggestions.map(suggestion => `<div class="suggestion">${suggestion.description || suggestion}</div>`).join('')
-            : '<p>No suggestions found.</p>';
-        
-        const improvementsHtml = analysis.improvements && analysis.improvements.length > 0
-            ? analysis.improvements.map(improvement => `<div class="improvement">${improvement.description || improvement}</div>`).join('')
-            : '<p>No performance improvements found.</p>';
+    updateAnalysisView(uri, { reveal = false } = {}) {
+        const analysis = this.workspaceResults.get(uri.toString());
+        this.analysisView.showFile(uri, analysis && this.withoutBaselined(analysis, uri), { reveal });
+    }
 
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; padding: 20px; color: var(--vscode-editor-foreground); background-color: var(--vscode-editor-background); }
-                h1, h2 { color: var(--vscode-textLink-foreground); }
-                .section { margin-bottom: 20px; border-bottom: 1px solid var(--vscode-list-hoverBackground); padding-bottom: 10px; }
-                .issue { background: var(--vscode-editorWarning-background); padding: 10px; margin: 5px 0; border-left: 3px solid var(--vscode-editorWarning-foreground); }
-                .suggestion { background: var(--vscode-editorInfo-background); padding: 10px; margin: 5px 0; border-left: 3px solid var(--vscode-editorInfo-foreground); }
-                .improvement { background: var(--vscode-editorGutter-addedBackground); padding: 10px; margin: 5px 0; border-left: 3px solid var(--vscode-gitDecoration-addedResourceForeground); }
-                button { 
-                    background: var(--vscode-button-background); 
-                    color: var(--vscode-button-foreground); 
-                    border: none; 
-                    padding: 8px 16px; 
-                    border-radius: 4px; 
-                    cursor: pointer; 
-                    margin-top: 10px;
-                }
-                button:hover { background: var(--vscode-button-hoverBackground); }
-            </style>
-        </head>
-        <body>
-            <h1>AI Code Analysis</h1>
-            
-            <div class="section">
-                <h2>Issues</h2>
-                ${issuesHtml}
-            </div>
-            
-            <div class="section">
-                <h2>Suggestions</h2>
-                ${suggestionsHtml}
-            </div>
-            
-            <div class="section">
-                <h2>Improvements</h2>
-                ${improvementsHtml}
-            </div>
-            
-            <button onclick="requestChanges()">Request Code Changes</button>
-            
-            <script>
-                const vscode = acquireVsCodeApi();
-                function requestChanges() {
-                    vscode.postMessage({
-                        command: 'requestChanges'
-                    });
-                }
-            </script>
-        </body>
-        </html>
-        `;
+    // Adds the analysis to the file's history; repeated results, e.g. from the cache, are recorded once
+    async recordAnalysis(uri, analysis) {
+        const shown = this.withoutBaselined(analysis, uri);
+        const latest = this.analysisHistory.getEntries(uri.toString()).find(entry => entry.kind === 'analysis');
+        if (!latest || JSON.stringify(latest.analysis) !== JSON.stringify(shown)) {
+            await this.analysisHistory.add(uri.toString(), { kind: 'analysis', analysis: shown });
+        }
     }
 
     async suggestChanges() {
@@ -448,14 +993,14 @@ ${code}
             return;
         }
 
-        if (!this.openai) {
-            vscode.window.showWarningMessage('OpenAI API Key is not set. Cannot suggest changes.');
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot suggest changes.');
+            return;
+        }
+        if (this.isNeverSend(editor.document.uri)) {
+            this.showNeverSendMessage(editor.document.uri);
             return;
         }
-
-        const document = editor.document;
-        const code = document.getText();
-        const languageId = document.languageId;
 
         const userRequest = await vscode.window.showInputBox({
             prompt: 'What changes would you like to make? (e.g., "Add error handling to this function", "Refactor this loop")',
@@ -468,79 +1013,532 @@ ${code}
             return;
         }
 
-        vscode.window.withProgress({
+        return this.requestChanges(editor.document, userRequest, {
+            focusLine: editor.selection.active.line,
+            selection: editor.selection.isEmpty ? undefined : editor.selection
+        });
+    }
+
+    // A selection is sent with surrounding context; otherwise focusLine picks the part of a
+    // file that is too large to send as a whole
+    async requestChanges(document, userRequest, { focusLine = 0, selection } = {}) {
+        if (this.isNeverSend(document.uri)) {
+            this.showNeverSendMessage(document.uri);
+            return;
+        }
+
+        return vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: "Generating suggestions...",
-            cancellable: false
-        }, async () => {
+            cancellable: true
+        }, async (progress, token) => {
+            const controller = new AbortController();
+            token.onCancellationRequested(() => controller.abort());
             try {
-                const prompt = `
-Current ${languageId} code:
-\`\`\`${languageId}
-${code}
-\`\`\`
-User request:
-${userRequest}
-
-Analyze the user's request in the context of the provided code and generate a response that outlines specific code changes.
-Your response MUST be a JSON object with the following structure:
-{
-    "description": "A concise explanation of the proposed changes.",
-    "changes": [
-        {
-            "range": { 
-                "start": { "line": number, "character": number }, 
-                "end": { "line": number, "character": number } 
-            },
-            "newText": "string", // The new code to insert or replace with
-            "originalText": "string" // Optional: The original text that will be replaced, for diffing.
-        }
-    ]
-}
-The 'line' and 'character' properties in 'range' should be 0-indexed.
-If no changes are suggested, return an empty 'changes' array.
-Ensure the JSON is perfectly parseable. Do NOT include any other text or markdown outside the JSON.
-`;
-
-                const completion = await this.openai.chat.completions.create({
-                    model: "gpt-4o",
-                    messages: [{ role: "user", content: prompt }],
-                    temperature: 0.4, // Slightly higher temperature for creative suggestions
-                    response_format: { type: "json_object" },
-                    max_tokens: 2000
+                // The document as the model sees it, to detect edits made before the changes are applied
+                const snapshot = { version: document.version, text: document.getText() };
+                const session = await this.createChangeSession(document, userRequest, { focusLine, selection });
+                const { maxResponseTokens, maxRepairs } = this.getChunkingOptions();
+                const proposal = await session.request(this.provider, {
+                    maxTokens: maxResponseTokens,
+                    maxRepairs,
+                    signal: controller.signal,
+                    onToken: text => progress.report({ message: this.describeStreamedProposal(text) })
                 });
+                const changes = this.bindChangesToDocument(proposal, document, snapshot);
 
-                const rawResponseContent = completion.choices[0].message.content;
-                const jsonString = rawResponseContent.replace(/```json\n?|\n?```/g, '').trim();
-                const changes = JSON.parse(jsonString);
-
-                if (!changes || !Array.isArray(changes.changes) || changes.changes.length === 0) {
+                if (!changes || !Array.isArray(changes.changes) || (changes.changes.length === 0 && changes.fileOperations.length === 0)) {
                     vscode.window.showInformationMessage('AI did not suggest any changes for your request.');
                     return;
                 }
 
-                this.previewChanges(changes, document);
+                await this.previewChanges(changes, document, session, snapshot);
             } catch (error) {
+                if (isAbortError(error)) {
+                    vscode.window.showInformationMessage('Suggestion request cancelled.');
+                    return;
+                }
                 console.error("Error generating suggestions:", error);
                 vscode.window.showErrorMessage(`Failed to generate suggestions: ${error.message}. Please check the output for more details.`);
             }
         });
     }
 
-    previewChanges(changes, document) {
+    // Progress text for a proposal that is still streaming: its description once it arrives
+    describeStreamedProposal(text) {
+        const description = extractPartialJsonString(text, 'description');
+        if (description) {
+            return description.length > 120 ? `${description.slice(0, 117)}...` : description;
+        }
+        return `Receiving response (${text.length} characters)...`;
+    }
+
+    async createChangeSession(document, userRequest, { focusLine, selection }) {
+        const fullCode = document.getText();
+        const languageId = document.languageId;
+        const { maxPromptTokens, overlapLines } = this.getChunkingOptions();
+        const filePath = vscode.workspace.getWorkspaceFolder(document.uri) ? vscode.workspace.asRelativePath(document.uri, false) : undefined;
+        const context = await this.projectContext.build(document.uri, fullCode, languageId);
+
+        if (selection) {
+            const contextLines = vscode.workspace.getConfiguration('aiAssistant').get('suggestions.contextLines', 30);
+            const startLine = Math.max(0, selection.start.line - contextLines);
+            const endLine = Math.min(document.lineCount - 1, selection.end.line + contextLines);
+            return new ChangeSession({
+                code: document.getText(new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length)),
+                languageId,
+                userRequest,
+                excerpt: { startLine, endLine, totalLines: document.lineCount },
+                selection: { startLine: selection.start.line - startLine, endLine: selection.end.line - startLine },
+                filePath,
+                context
+            });
+        }
+
+        if (estimateTokens(fullCode) > maxPromptTokens) {
+            const boundaries = await this.getSymbolBoundaries(document.uri) || findSymbolBoundaries(fullCode);
+            const chunk = findChunkForLine(splitIntoChunks(fullCode, { maxTokens: maxPromptTokens, overlapLines, boundaries }), focusLine);
+            return new ChangeSession({
+                code: chunk.text,
+                languageId,
+                userRequest,
+                excerpt: { startLine: chunk.startLine, endLine: chunk.endLine, totalLines: document.lineCount },
+                filePath,
+                context
+            });
+        }
+
+        return new ChangeSession({ code: fullCode, languageId, userRequest, filePath, context });
+    }
+
+    // Embeddings come from the provider when it has an embedding model, otherwise from the
+    // local stand-in
+    getEmbedder() {
+        const source = vscode.workspace.getConfiguration('aiAssistant').get('index.embeddings', 'provider');
+        if (source === 'provider' && this.provider?.embed && this.provider.embeddingModel) {
+            return this.provider;
+        }
+        if (source === 'provider' && !this.usingLocalEmbeddingsNoted) {
+            this.outputChannel.appendLine('No embedding model available from the AI provider; the codebase index uses local embeddings.');
+            this.usingLocalEmbeddingsNoted = true;
+        }
+        return this.localEmbedder;
+    }
+
+    async getIndexFiles() {
+        const files = [];
+        for (const workspaceFolder of vscode.workspace.workspaceFolders || []) {
+            for (const filePath of await getCodeFiles(workspaceFolder.uri.fsPath, this.getFileSelectionOptions(workspaceFolder))) {
+                const uri = vscode.Uri.file(filePath);
+                files.push({
+                    key: uri.toString(),
+                    label: vscode.workspace.asRelativePath(uri),
+                    readText: async () => Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8')
+                });
+            }
+        }
+        return files;
+    }
+
+    // Embeds the files that are new or changed since the last update. isCancelled() lets a
+    // caller with its own cancellation stop the update as well.
+    updateCodebaseIndex({ isCancelled = () => false } = {}) {
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Indexing codebase...",
+            cancellable: true
+        }, async (progress, token) => {
+            const files = await this.getIndexFiles();
+            const result = await this.codebaseIndex.update(this.getEmbedder(), files, {
+                isCancelled: () => token.isCancellationRequested || isCancelled(),
+                onProgress: ({ file, total }) => progress.report({ increment: 100 / total, message: file })
+            });
+            this.outputChannel.appendLine(`Codebase index updated: ${result.embedded} file(s) embedded, ${result.fileCount} files and ${result.chunkCount} chunks indexed.`);
+            return result;
+        });
+    }
+
+    async updateIndex() {
+        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder open. Cannot index the codebase.');
+            return;
+        }
+
+        try {
+            const result = await this.updateCodebaseIndex();
+            vscode.window.showInformationMessage(`Codebase index is up to date: ${result.fileCount} files, ${result.chunkCount} chunks (${result.embedded} re-embedded).`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to update the codebase index: ${error.message}`);
+        }
+    }
+
+    updateIndexedFile(document) {
+        if (document.uri.scheme !== 'file' || !vscode.workspace.getWorkspaceFolder(document.uri) || this.isNeverSend(document.uri)) {
+            return;
+        }
+        this.codebaseIndex.updateFile(this.getEmbedder(), document.uri.toString(), vscode.workspace.asRelativePath(document.uri), document.getText())
+            .catch(error => this.outputChannel.appendLine(`Failed to update the codebase index for ${vscode.workspace.asRelativePath(document.uri)}: ${error.message}`));
+    }
+
+    // Answers from the chunks most similar to the question. Questions typed into the panel
+    // come back here with the question already set.
+    async askCodebase(question) {
+        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder open. Cannot answer questions about the codebase.');
+            return;
+        }
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot answer questions about the codebase.');
+            return;
+        }
+
+        if (question === undefined) {
+            question = await vscode.window.showInputBox({
+                prompt: 'What would you like to know about the codebase?',
+                placeHolder: 'e.g. "Where is the analysis cache invalidated?"',
+                ignoreFocusOut: true
+            });
+            if (!question) {
+                return;
+            }
+        }
+
+        const panel = CodebaseQuestionPanel.show(this.context, followUp => this.askCodebase(followUp));
+        const entry = panel.addQuestion(question);
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Answering question about the codebase...",
+            cancellable: true
+        }, async (progress, token) => {
+            const controller = new AbortController();
+            token.onCancellationRequested(() => controller.abort());
+            try {
+                await this.answerCodebaseQuestion(panel, entry, question, controller.signal);
+            } catch (error) {
+                panel.fail(entry, isAbortError(error) ? 'The question was cancelled.' : `Failed to answer the question: ${error.message}`);
+            }
+        });
+    }
+
+    // The answer streams into the panel; signal cancels the index update and the request
+    async answerCodebaseQuestion(panel, entry, question, signal) {
+        await this.updateCodebaseIndex({ isCancelled: () => signal.aborted });
+        throwIfAborted(signal);
+        const topK = vscode.workspace.getConfiguration('aiAssistant').get('index.topK', 8);
+        const matches = await this.codebaseIndex.search(this.getEmbedder(), question, topK);
+        if (matches.length === 0) {
+            panel.fail(entry, 'The codebase index is empty: no supported files were found in the workspace.');
+            return;
+        }
+
+        // Leave out the weakest matches until the prompt fits
+        const { maxPromptTokens, maxResponseTokens } = this.getChunkingOptions();
+        const sources = matches.map(match => ({ ...match, uri: match.file, file: vscode.workspace.asRelativePath(vscode.Uri.parse(match.file)) }));
+        while (sources.length > 1 && estimateTokens(buildCodebaseQuestionPrompt(question, sources)) > maxPromptTokens) {
+            sources.pop();
+        }
+
+        const answer = await this.provider.complete({
+            messages: [{ role: "user", content: buildCodebaseQuestionPrompt(question, sources) }],
+            temperature: 0.2,
+            maxTokens: maxResponseTokens,
+            signal,
+            onToken: text => panel.stream(entry, text)
+        });
+        panel.answer(entry, answer, sources.map(source => ({
+            label: `${source.file}:${source.startLine + 1}-${source.endLine + 1}`,
+            uri: source.uri,
+            line: source.startLine
+        })));
+    }
+
+    getIgnoredIssueKey(uri, message) {
+        return `${uri.toString()}|${message}`;
+    }
+
+    async fixIssue(uri, issue) {
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot fix issue.');
+            return;
+        }
+
+        // The preview applies to the active editor, so make sure it shows the affected file
+        const { document } = await vscode.window.showTextDocument(uri);
+        return this.requestChanges(document, buildFixRequest({ message: issue.message, line: issue.range.start.line }), {
+            focusLine: issue.range.start.line
+        });
+    }
+
+    async explainIssue(uri, issue) {
+        if (!this.provider) {
+            vscode.window.showWarningMessage('AI provider is not configured. Cannot explain issue.');
+            return;
+        }
+        if (this.isNeverSend(uri)) {
+            this.showNeverSendMessage(uri);
+            return;
+        }
+
+        const document = await vscode.workspace.openTextDocument(uri);
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: "Explaining issue...",
+            cancellable: true
+        }, async (progress, token) => {
+            const controller = new AbortController();
+            token.onCancellationRequested(() => controller.abort());
+            try {
+                const explanation = await this.provider.complete({
+                    messages: [{ role: "user", content: buildExplainPrompt(document.getText(), document.languageId, { message: issue.message, line: issue.range.start.line }) }],
+                    temperature: 0.3,
+                    maxTokens: 1000,
+                    signal: controller.signal
+                });
+                const explanationDocument = await vscode.workspace.openTextDocument({
+                    language: 'markdown',
+                    content: `# ${issue.message}\n\n${explanation}`
+                });
+                await vscode.commands.executeCommand('markdown.showPreview', explanationDocument.uri);
+            } catch (error) {
+                if (isAbortError(error)) {
+                    vscode.window.showInformationMessage('Explanation cancelled.');
+                    return;
+                }
+                vscode.window.showErrorMessage(`Failed to explain issue: ${error.message}`);
+            }
+        });
+    }
+
+    // Adds the finding to the baseline of its workspace folder; findings of other files are
+    // only hidden for this session
+    async ignoreIssue(uri, issue) {
+        const location = this.getBaselineLocation(uri);
+        // Diagnostics move with edits, so the finding is the one with the message closest to the line
+        const finding = (this.workspaceResults.get(uri.toString())?.issues || [])
+            .filter(candidate => candidate.fingerprint && this.getDiagnosticMessage(candidate) === issue.message)
+            .sort((a, b) => Math.abs(a.line - issue.range.start.line) - Math.abs(b.line - issue.range.start.line))[0];
+
+        if (location && finding) {
+            try {
+                await this.updateBaseline(location.workspaceFolder, [{ file: location.file, analysis: { issues: [finding] } }]);
+            } catch (error) {
+                vscode.window.showErrorMessage(`Failed to update the baseline: ${error.message}`);
+                return;
+            }
+        } else {
+            this.ignoredIssues.add(this.getIgnoredIssueKey(uri, issue.message));
+        }
+        const remaining = (this.diagnosticCollection.get(uri) || []).filter(diagnostic => diagnostic.message !== issue.message);
+        this.diagnosticCollection.set(uri, remaining);
+    }
+
+    // Inserts a comment that suppresses the finding above its line
+    async suppressIssue(uri, issue) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const line = document.lineAt(issue.range.start.line);
+        const indentation = line.text.slice(0, line.firstNonWhitespaceCharacterIndex);
+        const edit = new vscode.WorkspaceEdit();
+        edit.insert(uri, line.range.start, `${indentation}${buildSuppressionComment(document.languageId, issue.type)}\n`);
+        if (!await vscode.workspace.applyEdit(edit)) {
+            vscode.window.showErrorMessage('Failed to insert the suppression comment.');
+            return;
+        }
+        const remaining = (this.diagnosticCollection.get(uri) || []).filter(diagnostic => diagnostic.message !== issue.message);
+        this.diagnosticCollection.set(uri, remaining);
+    }
+
+    // results are [{ file, analysis }] with paths relative to the workspace folder
+    async updateBaseline(workspaceFolder, results) {
+        const baseline = addToBaseline(this.baselines.get(workspaceFolder.uri.toString()), results);
+        await vscode.workspace.fs.writeFile(
+            vscode.Uri.joinPath(workspaceFolder.uri, BASELINE_FILE_NAME),
+            Buffer.from(serializeBaseline(baseline), 'utf-8')
+        );
+        this.baselines.set(workspaceFolder.uri.toString(), baseline);
+        return baseline;
+    }
+
+    // Accepts every current finding so that only new ones are reported from now on
+    async baselineFindings() {
+        const resultsByFolder = new Map();
+        for (const [uri, analysis] of this.workspaceResults) {
+            const location = this.getBaselineLocation(vscode.Uri.parse(uri));
+            if (location && analysis.issues.length > 0) {
+                const folderResults = resultsByFolder.get(location.workspaceFolder) || [];
+                folderResults.push({ file: location.file, analysis });
+                resultsByFolder.set(location.workspaceFolder, folderResults);
+            }
+        }
+        if (resultsByFolder.size === 0) {
+            vscode.window.showInformationMessage('No findings to baseline. Run "AI Code Assistant: Analyze Codebase" first.');
+            return;
+        }
+
+        try {
+            let count = 0;
+            for (const [workspaceFolder, results] of resultsByFolder) {
+                count += (await this.updateBaseline(workspaceFolder, results)).findings.length;
+            }
+            this.refreshDiagnostics();
+            vscode.window.showInformationMessage(`${count} finding(s) are now in ${BASELINE_FILE_NAME} and no longer reported.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to update the baseline: ${error.message}`);
+        }
+    }
+
+    // Records which document and version the changes were made for, and the text each change
+    // replaces, so applyChanges can detect edits made in the meantime
+    bindChangesToDocument(changes, document, snapshot) {
+        if (!changes || !Array.isArray(changes.changes)) {
+            return changes;
+        }
+
+        // Other files are addressed relative to the workspace folder of the document
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const { operations, errors } = normalizeFileOperations(changes.fileOperations, {
+            // Files that are excluded or never sent are not changed either
+            protectedPaths: workspaceFolder ? this.getFileSelectionOptions(workspaceFolder).exclude : []
+        });
+        if (operations.length > 0 && !workspaceFolder) {
+            errors.push('Changes to other files need the file to be part of a workspace folder.');
+        }
+        if (errors.length > 0) {
+            errors.forEach(error => this.outputChannel.appendLine(`Ignored file operation: ${error}`));
+            vscode.window.showWarningMessage(`Ignored ${errors.length} invalid file operation(s) in the AI response. See the output for details.`);
+        }
+
+        // The model's originalText may point at the right code even when its range is off.
+        // Changes whose originalText is not in the file at all are left out rather than
+        // applied to whatever the range covers; only without originalText is the range trusted.
+        const bound = [];
+        const unmatched = [];
+        changes.changes.filter(isValidChange).forEach(change => {
+            if (!change.originalText) {
+                bound.push({ ...change, originalText: getRangeText(snapshot.text, change.range) });
+                return;
+            }
+            const located = locateChange(snapshot.text, change);
+            (located ? bound : unmatched).push(located || change);
+        });
+        if (unmatched.length > 0) {
+            unmatched.forEach(change => this.outputChannel.appendLine(
+                `Ignored change at line ${change.range.start.line + 1}: its original text was not found in ${vscode.workspace.asRelativePath(document.uri)}.`
+            ));
+            vscode.window.showWarningMessage(`Ignored ${unmatched.length} suggested change(s) whose original text does not match the file. See the output for details.`);
+        }
+
+        return {
+            ...changes,
+            target: { uri: document.uri.toString(), version: snapshot.version, root: workspaceFolder?.uri.toString() },
+            changes: bound,
+            fileOperations: workspaceFolder ? operations : []
+        };
+    }
+
+    // Session entry in the history of the file, for the analysis view
+    describeChangesSession(changes, session, status) {
+        return {
+            kind: 'changes',
+            requests: [...session.requests],
+            description: changes.description,
+            changeCount: changes.changes.length,
+            operationCount: (changes.fileOperations || []).length,
+            status
+        };
+    }
+
+    async previewChanges(changes, document, session, snapshot) {
+        // Only the latest proposal is previewed; a new one replaces the previous panel
+        this.changesPanel?.dispose();
         const panel = vscode.window.createWebviewPanel(
             'aiChanges',
             'AI Suggested Changes Preview',
             vscode.ViewColumn.Two,
-            { enableScripts: true, retainContextWhenHidden: true }
+            getWebviewOptions({ retainContextWhenHidden: true })
         );
+        this.changesPanel = panel;
+
+        const uri = document.uri.toString();
+        const historyEntry = await this.analysisHistory.add(uri, this.describeChangesSession(changes, session, 'proposed'));
+        this.updateAnalysisView(document.uri);
 
-        panel.webview.html = this.getChangesWebviewContent(changes, document);
+        let currentChanges = changes;
+        let refinement = null; // AbortController of the running follow-up request
+        let disposed = false;
+        panel.onDidDispose(() => {
+            disposed = true;
+            refinement?.abort();
+            if (this.changesPanel === panel) {
+                this.changesPanel = null;
+            }
+        }, null, this.context.subscriptions);
+        panel.webview.html = this.getChangesWebviewContent(currentChanges, document, session, panel.webview);
         panel.webview.onDidReceiveMessage(
-            message => {
-                if (message.command === 'applyChanges') {
-                    this.applyChanges(changes);
-                    panel.dispose(); // Close the webview after applying changes
+            async received => {
+                const message = validateMessage(received, {
+                    applyChanges: { decisions: 'array', operations: 'array' },
+                    openDiff: { decisions: 'array', operations: 'array' },
+                    refine: { text: 'string' },
+                    cancelRefine: {}
+                });
+                switch (message?.command) {
+                    case 'applyChanges': {
+                        const selected = this.selectChanges(currentChanges, message.decisions, message.operations);
+                        if (selected.changes.length === 0 && selected.fileOperations.length === 0) {
+                            vscode.window.showInformationMessage('No changes selected to apply.');
+                            return;
+                        }
+                        // The panel stays open when the changes were refused, e.g. because two
+                        // of them overlap, so they can be adjusted and applied again
+                        if (await this.applyChanges(selected)) {
+                            await this.analysisHistory.update(uri, historyEntry.id, { status: 'applied' });
+                            this.updateAnalysisView(document.uri);
+                            panel.dispose();
+                        } else {
+                            panel.reveal();
+                        }
+                        return;
+                    }
+                    case 'openDiff':
+                        this.openProposedDiff(this.selectChanges(currentChanges, message.decisions, message.operations));
+                        return;
+                    case 'refine':
+                        // Follow-up requests revise the proposal in the same conversation
+                        if (!session || refinement || !message.text.trim()) {
+                            return;
+                        }
+                        refinement = new AbortController();
+                        try {
+                            const { maxResponseTokens, maxRepairs } = this.getChunkingOptions();
+                            const revised = await session.refine(this.provider, message.text.trim(), {
+                                maxTokens: maxResponseTokens,
+                                maxRepairs,
+                                signal: refinement.signal,
+                                onToken: text => panel.webview.postMessage({ command: 'streaming', text: this.describeStreamedProposal(text) })
+                            });
+                            if (revised && Array.isArray(revised.changes)) {
+                                currentChanges = this.bindChangesToDocument(revised, document, snapshot);
+                                await this.analysisHistory.update(uri, historyEntry.id, this.describeChangesSession(currentChanges, session, 'proposed'));
+                                this.updateAnalysisView(document.uri);
+                            } else {
+                                vscode.window.showWarningMessage('AI returned no usable revision. The previous proposal is kept.');
+                            }
+                        } catch (error) {
+                            if (!isAbortError(error)) {
+                                vscode.window.showErrorMessage(`Failed to revise suggestions: ${error.message}`);
+                            }
+                        } finally {
+                            refinement = null;
+                        }
+                        // Closing the panel aborts the request, and then there is nothing left to update
+                        if (disposed) {
+                            return;
+                        }
+                        panel.webview.html = this.getChangesWebviewContent(currentChanges, document, session, panel.webview);
+                        return;
+                    case 'cancelRefine':
+                        refinement?.abort();
+                        return;
                 }
             },
             undefined,
@@ -548,17 +1546,44 @@ Ensure the JSON is perfectly parseable. Do NOT include any other text or markdow
         );
     }
 
-    getChangesWebviewContent(changes, document) {
+    // Everything from the model is escaped; the description is rendered as sanitized Markdown
+    getChangesWebviewContent(changes, document, session, webview) {
+        const nonce = createNonce();
+        const conversationHtml = session
+            ? session.requests.map((request, i) => `<div class="request"><strong>${i === 0 ? 'Request' : 'Follow-up'}:</strong> ${escapeHtml(request)}</div>`).join('')
+            : '';
         const diffHtml = changes.changes.map((change, i) => {
             const startPos = new vscode.Position(change.range.start.line, change.range.start.character);
             const endPos = new vscode.Position(change.range.end.line, change.range.end.character);
-            const originalText = document.getText(new vscode.Range(startPos, endPos));
+            const originalText = change.originalText ?? document.getText(new vscode.Range(startPos, endPos));
             
             // Pass originalText to generateDiffView
             return `
-                <div class="change">
+                <div class="change" data-index="${i}">
                     <h3>Change ${i + 1} (Line ${startPos.line + 1})</h3>
+                    <div class="change-actions">
+                        <label><input type="checkbox" class="accept" checked> Accept</label>
+                        <button class="secondary toggle-edit" data-index="${i}">Edit</button>
+                    </div>
                     <div class="diff">${this.generateDiffView(originalText, change.newText)}</div>
+                    <textarea class="edit" hidden>${escapeHtml(change.newText)}</textarea>
+                </div>
+            `;
+        }).join('');
+        const operationsHtml = (changes.fileOperations || []).map((operation, i) => {
+            let body = '';
+            if (operation.type === 'create') {
+                body = operation.content.split('\n').map(line => `<div class="add">+ ${escapeHtml(line)}</div>`).join('');
+            } else if (operation.type === 'edit') {
+                body = operation.changes.map(change => this.generateDiffView(change.originalText || '', change.newText)).join('<hr>');
+            }
+            return `
+                <div class="change operation" data-operation-index="${i}">
+                    <h3>${escapeHtml(describeFileOperation(operation))}</h3>
+                    <div class="change-actions">
+                        <label><input type="checkbox" class="accept" checked> Accept</label>
+                    </div>
+                    ${body ? `<div class="diff">${body}</div>` : ''}
                 </div>
             `;
         }).join('');
@@ -567,9 +1592,11 @@ Ensure the JSON is perfectly parseable. Do NOT include any other text or markdow
         <!DOCTYPE html>
         <html>
         <head>
-            <style>
+            ${getContentSecurityPolicyTag(webview, nonce)}
+            <style nonce="${nonce}">
                 body { font-family: Arial, sans-serif; padding: 20px; color: var(--vscode-editor-foreground); background-color: var(--vscode-editor-background); }
                 h1, h2, h3 { color: var(--vscode-textLink-foreground); }
+                hr { border: none; border-top: 1px dashed var(--vscode-panel-border); }
                 .change { background: var(--vscode-editorWidget-background); padding: 15px; margin-bottom: 15px; border-radius: 5px; border: 1px solid var(--vscode-panel-border); }
                 .diff { 
                     background: var(--vscode-textCodeBlock-background); 
@@ -579,8 +1606,12 @@ Ensure the JSON is perfectly parseable. Do NOT include any other text or markdow
                     border-radius: 3px;
                     overflow-x: auto;
                 }
-                .add { color: var(--vscode-gitDecoration-addedResourceForeground); }
-                .remove { color: var(--vscode-gitDecoration-deletedResourceForeground); text-decoration: line-through; }
+                .add { color: var(--vscode-gitDecoration-addedResourceForeground); background: var(--vscode-diffEditor-insertedLineBackground); }
+                .remove { color: var(--vscode-gitDecoration-deletedResourceForeground); background: var(--vscode-diffEditor-removedLineBackground); text-decoration: line-through; }
+                .change.rejected .diff { opacity: 0.4; }
+                .change-actions { display: flex; gap: 10px; align-items: center; margin-bottom: 8px; }
+                .change-actions button { margin-top: 0; }
+                button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
                 .unchanged { color: var(--vscode-editor-foreground); }
                 button { 
                     background: var(--vscode-button-background); 
@@ -592,23 +1623,111 @@ Ensure the JSON is perfectly parseable. Do NOT include any other text or markdow
                     margin-top: 10px;
                 }
                 button:hover { background: var(--vscode-button-hoverBackground); }
+                button:disabled { opacity: 0.6; cursor: default; }
+                .streaming { white-space: pre-wrap; opacity: 0.8; font-style: italic; }
+                .description code, .description pre { font-family: 'SF Mono', 'Monaco', 'Andale Mono', 'Ubuntu Mono', monospace; background: var(--vscode-textCodeBlock-background); }
+                .request { padding: 6px 10px; margin: 5px 0; border-left: 3px solid var(--vscode-textLink-foreground); }
+                textarea {
+                    width: 100%;
+                    min-height: 60px;
+                    margin-top: 8px;
+                    box-sizing: border-box;
+                    background: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border: 1px solid var(--vscode-input-border, transparent);
+                    padding: 6px;
+                    font-family: inherit;
+                }
             </style>
         </head>
         <body>
             <h1>AI Suggested Changes</h1>
-            <p>${changes.description || 'Review the following proposed changes:'}</p>
+            ${conversationHtml}
+            <div class="description">${changes.description ? renderMarkdown(changes.description) : '<p>Review the following proposed changes:</p>'}</div>
             
             ${diffHtml}
+            ${operationsHtml ? `<h2>Other Files</h2>${operationsHtml}` : ''}
             
-            <button onclick="applyChanges()">Apply All Changes</button>
+            <button id="applyButton">Apply Selected Changes</button>
+            <button id="openDiffButton" class="secondary">Open in Diff Editor</button>
             
-            <script>
+            ${session ? `
+            <h2>Refine</h2>
+            <textarea id="followUp" placeholder='e.g. "keep the old signature", "also add tests"'></textarea>
+            <button id="refineButton">Send Follow-up</button>
+            <button id="cancelRefineButton" class="secondary" hidden>Cancel</button>
+            <pre id="streaming" class="streaming" hidden></pre>
+            ` : ''}
+            
+            <script nonce="${nonce}">
                 const vscode = acquireVsCodeApi();
+                document.querySelectorAll('.change .accept').forEach(checkbox => checkbox.addEventListener('change', () => {
+                    checkbox.closest('.change').classList.toggle('rejected', !checkbox.checked);
+                }));
+                document.querySelectorAll('.toggle-edit').forEach(button => button.addEventListener('click', () => {
+                    const editor = button.closest('.change').querySelector('.edit');
+                    editor.hidden = !editor.hidden;
+                }));
+                document.getElementById('applyButton').addEventListener('click', applyChanges);
+                document.getElementById('openDiffButton').addEventListener('click', openDiff);
+                document.getElementById('refineButton')?.addEventListener('click', refine);
+                document.getElementById('cancelRefineButton')?.addEventListener('click', cancelRefine);
+                // Accept/reject state and edited text of every change
+                function getDecisions() {
+                    return Array.from(document.querySelectorAll('.change:not(.operation)')).map(change => {
+                        const editor = change.querySelector('.edit');
+                        return {
+                            index: Number(change.dataset.index),
+                            accepted: change.querySelector('.accept').checked,
+                            newText: editor.value !== editor.defaultValue ? editor.value : undefined
+                        };
+                    });
+                }
+                function getOperationDecisions() {
+                    return Array.from(document.querySelectorAll('.operation')).map(operation => ({
+                        index: Number(operation.dataset.operationIndex),
+                        accepted: operation.querySelector('.accept').checked
+                    }));
+                }
                 function applyChanges() {
                     vscode.postMessage({
-                        command: 'applyChanges'
+                        command: 'applyChanges',
+                        decisions: getDecisions(),
+                        operations: getOperationDecisions()
+                    });
+                }
+                function openDiff() {
+                    vscode.postMessage({
+                        command: 'openDiff',
+                        decisions: getDecisions(),
+                        operations: getOperationDecisions()
                     });
                 }
+                function refine() {
+                    const text = document.getElementById('followUp').value;
+                    if (!text.trim()) {
+                        return;
+                    }
+                    const button = document.getElementById('refineButton');
+                    button.disabled = true;
+                    button.textContent = 'Revising...';
+                    document.getElementById('cancelRefineButton').hidden = false;
+                    vscode.postMessage({
+                        command: 'refine',
+                        text
+                    });
+                }
+                function cancelRefine() {
+                    vscode.postMessage({ command: 'cancelRefine' });
+                }
+                // The revision as it streams in; the page is replaced once it is complete
+                window.addEventListener('message', event => {
+                    if (event.data.command === 'streaming') {
+                        const streaming = document.getElementById('streaming');
+                        streaming.hidden = false;
+                        streaming.textContent = event.data.text;
+                    }
+                });
             </script>
         </body>
         </html>
@@ -616,98 +1735,226 @@ Ensure the JSON is perfectly parseable. Do NOT include any other text or markdow
     }
 
     generateDiffView(originalText, newText) {
-        const oldLines = originalText.split('\n');
-        const newLines = newText.split('\n');
-        
-        let diffHtml = '';
-        // This is a simplified diff. For a robust diff, a library like 'diff' would be better.
-        // This attempts to show line-by-line changes.
-        
-        // Find common prefix/suffix for better alignment in simple cases
-        let commonPrefix = 0;
-        while (commonPrefix < oldLines.length && commonPrefix < newLines.length && oldLines[commonPrefix] === newLines[commonPrefix]) {
-            diffHtml += `<div class="unchanged">  ${this.escapeHtml(oldLines[commonPrefix])}</div>`;
-            commonPrefix++;
-        }
+        const prefixes = { equal: '  ', remove: '- ', add: '+ ' };
+        const classes = { equal: 'unchanged', remove: 'remove', add: 'add' };
+        return diffLines(originalText, newText)
+            .map(op => `<div class="${classes[op.type]}">${prefixes[op.type]}${escapeHtml(op.text)}</div>`)
+            .join('');
+    }
 
-        let commonSuffix = 0;
-        while (oldLines.length - 1 - commonSuffix >= commonPrefix && 
-               newLines.length - 1 - commonSuffix >= commonPrefix && 
-               oldLines[oldLines.length - 1 - commonSuffix] === newLines[newLines.length - 1 - commonSuffix]) {
-            commonSuffix++;
+    // Keeps the accepted changes, with the user's edits, and the accepted file operations in
+    // their original order
+    selectChanges(changes, decisions, operationDecisions) {
+        const fileOperations = changes.fileOperations || [];
+        const selectedOperations = Array.isArray(operationDecisions)
+            ? operationDecisions
+                .filter(decision => decision?.accepted && Number.isInteger(decision.index) && fileOperations[decision.index])
+                .sort((a, b) => a.index - b.index)
+                .map(decision => fileOperations[decision.index])
+            : fileOperations;
+        if (!Array.isArray(decisions)) {
+            return { ...changes, fileOperations: selectedOperations };
         }
 
-        for (let i = commonPrefix; i < oldLines.length - commonSuffix; i++) {
-            diffHtml += `<div class="remove">- ${this.escapeHtml(oldLines[i])}</div>`;
+        const selected = decisions
+            .filter(decision => decision?.accepted && Number.isInteger(decision.index) && changes.changes[decision.index])
+            .sort((a, b) => a.index - b.index)
+            .map(decision => typeof decision.newText === 'string'
+                ? { ...changes.changes[decision.index], newText: decision.newText }
+                : changes.changes[decision.index]);
+        return { ...changes, changes: selected, fileOperations: selectedOperations };
+    }
+
+    async openProposedDiff(changes) {
+        const prepared = await this.prepareChangesForApply(changes);
+        if (!prepared) {
+            return;
         }
-        for (let i = commonPrefix; i < newLines.length - commonSuffix; i++) {
-            diffHtml += `<div class="add">+ ${this.escapeHtml(newLines[i])}</div>`;
+
+        const { document } = prepared;
+        const proposedUri = vscode.Uri.from({
+            scheme: PROPOSED_CHANGES_SCHEME,
+            path: document.uri.path,
+            query: String(Date.now())
+        });
+        this.proposedContents.set(proposedUri.toString(), applyTextChanges(document.getText(), prepared.changes));
+        await vscode.commands.executeCommand('vscode.diff', document.uri, proposedUri, `${path.basename(document.uri.path)} ↔ AI Proposal`, {
+            viewColumn: vscode.ViewColumn.One
+        });
+    }
+
+    // Resolves the document the changes were made for and checks them against its current
+    // text. Shows an error and returns null when they cannot be applied safely.
+    async prepareChangesForApply(changes) {
+        let document;
+        if (changes.target) {
+            try {
+                document = await vscode.workspace.openTextDocument(vscode.Uri.parse(changes.target.uri));
+            } catch (error) {
+                vscode.window.showErrorMessage(`Cannot open the file the changes were suggested for: ${error.message}`);
+                return null;
+            }
+        } else if (vscode.window.activeTextEditor) {
+            document = vscode.window.activeTextEditor.document;
+        } else {
+            vscode.window.showErrorMessage('No active editor to apply changes to.');
+            return null;
         }
 
-        for (let i = oldLines.length - commonSuffix; i < oldLines.length; i++) {
-            if (oldLines[i] !== undefined) {
-                diffHtml += `<div class="unchanged">  ${this.escapeHtml(oldLines[i])}</div>`;
+        const validChanges = (Array.isArray(changes.changes) ? changes.changes : []).filter(change => {
+            if (!isValidChange(change)) {
+                console.warn("Invalid change object received:", change);
             }
+            return isValidChange(change);
+        });
+        const fileOperations = Array.isArray(changes.fileOperations) ? changes.fileOperations : [];
+        if (validChanges.length === 0 && fileOperations.length === 0) {
+            vscode.window.showWarningMessage('No valid changes to apply or changes object was malformed.');
+            return null;
         }
 
-        if (diffHtml === '') { // If no changes, show original text as unchanged
-            return originalText.split('\n').map(line => `<div class="unchanged">  ${this.escapeHtml(line)}</div>`).join('');
+        // After an edit only changes that can be found by their original text are safe to apply
+        const edited = Boolean(changes.target) && document.version !== changes.target.version;
+        const located = this.locateDocumentChanges(document, validChanges, { edited });
+        const operations = located && await this.prepareFileOperations(fileOperations, changes.target?.root);
+        if (!operations) {
+            return null;
         }
-        
-        return diffHtml;
+        return { document, changes: located, operations };
     }
 
-    escapeHtml(unsafe) {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+    // Checks changes against the current text of document, see locateChange(). When the
+    // document was edited since the suggestion, changes without original text (insertions)
+    // cannot be checked and count as stale.
+    locateDocumentChanges(document, changes, { edited = false } = {}) {
+        const fileName = path.basename(document.uri.path);
+        const text = document.getText();
+        const located = changes.map(change => edited && !change.originalText ? null : locateChange(text, change));
+        const staleCount = located.filter(change => !change).length;
+        if (staleCount > 0) {
+            vscode.window.showErrorMessage(`${staleCount} of the suggested changes do not match the current contents of ${fileName}. It may have been edited after the suggestion was made; request the changes again.`);
+            return null;
+        }
+
+        const overlaps = findOverlappingChanges(text, located);
+        if (overlaps.length > 0) {
+            const [first, second] = overlaps[0].map(index => located[index].range.start.line + 1);
+            vscode.window.showErrorMessage(`The suggested changes at lines ${first} and ${second} of ${fileName} overlap. Reject one of them in the preview and apply again.`);
+            return null;
+        }
+        return located;
     }
 
-    async applyChanges(changes) {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            vscode.window.showErrorMessage('No active editor to apply changes to.');
-            return;
+    async fileExists(uri) {
+        try {
+            await vscode.workspace.fs.stat(uri);
+            return true;
+        } catch {
+            return false;
         }
+    }
 
-        const document = editor.document;
-        const workspaceEdit = new vscode.WorkspaceEdit();
+    // Resolves the workspace relative paths of file operations and checks that they can be
+    // carried out, so the combined edit does not fail halfway
+    async prepareFileOperations(fileOperations, root) {
+        if (fileOperations.length === 0) {
+            return [];
+        }
+        if (!root) {
+            vscode.window.showErrorMessage('Changes to other files need the file to be part of a workspace folder.');
+            return null;
+        }
 
-        let hasValidChanges = false;
-        changes.changes.forEach(change => {
-            // Validate the range
-            if (change.range && 
-                typeof change.range.start?.line === 'number' && 
-                typeof change.range.start?.character === 'number' &&
-                typeof change.range.end?.line === 'number' &&
-                typeof change.range.end?.character === 'number' &&
-                typeof change.newText === 'string') 
-            {
-                const startPos = new vscode.Position(
-                    change.range.start.line,
-                    change.range.start.character
-                );
-                const endPos = new vscode.Position(
-                    change.range.end.line,
-                    change.range.end.character
-                );
-                const range = new vscode.Range(startPos, endPos);
-                workspaceEdit.replace(document.uri, range, change.newText);
-                hasValidChanges = true;
+        const rootUri = vscode.Uri.parse(root);
+        const prepared = [];
+        for (const operation of fileOperations) {
+            const uri = vscode.Uri.joinPath(rootUri, operation.path);
+            const exists = await this.fileExists(uri);
+            if (operation.type === 'create') {
+                if (exists) {
+                    vscode.window.showErrorMessage(`Cannot create ${operation.path}: the file already exists.`);
+                    return null;
+                }
+                prepared.push({ ...operation, uri });
+                continue;
+            }
+            if (!exists) {
+                vscode.window.showErrorMessage(`Cannot ${operation.type} ${operation.path}: the file does not exist.`);
+                return null;
+            }
+
+            if (operation.type === 'edit') {
+                const changes = this.locateDocumentChanges(await vscode.workspace.openTextDocument(uri), operation.changes);
+                if (!changes) {
+                    return null;
+                }
+                prepared.push({ ...operation, uri, changes });
+            } else if (operation.type === 'rename') {
+                const newUri = vscode.Uri.joinPath(rootUri, operation.newPath);
+                if (await this.fileExists(newUri)) {
+                    vscode.window.showErrorMessage(`Cannot rename ${operation.path} to ${operation.newPath}: the target already exists.`);
+                    return null;
+                }
+                prepared.push({ ...operation, uri, newUri });
             } else {
-                console.warn("Invalid change object received:", change);
+                prepared.push({ ...operation, uri });
+            }
+        }
+        return prepared;
+    }
+
+    addReplacements(workspaceEdit, uri, changes) {
+        changes.forEach(change => {
+            const range = new vscode.Range(
+                change.range.start.line, change.range.start.character,
+                change.range.end.line, change.range.end.character
+            );
+            workspaceEdit.replace(uri, range, change.newText);
+        });
+    }
+
+    // Returns whether the changes were applied; refusals are reported to the user
+    async applyChanges(changes) {
+        const prepared = await this.prepareChangesForApply(changes);
+        if (!prepared) {
+            return false;
+        }
+
+        // A single WorkspaceEdit is undone in one step. Edits come before renames and
+        // deletions so they still find their files.
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        this.addReplacements(workspaceEdit, prepared.document.uri, prepared.changes);
+        const order = { edit: 0, create: 1, rename: 2, delete: 3 };
+        [...prepared.operations].sort((a, b) => order[a.type] - order[b.type]).forEach(operation => {
+            switch (operation.type) {
+                case 'edit':
+                    this.addReplacements(workspaceEdit, operation.uri, operation.changes);
+                    break;
+                case 'create':
+                    workspaceEdit.createFile(operation.uri, { overwrite: false });
+                    workspaceEdit.insert(operation.uri, new vscode.Position(0, 0), operation.content);
+                    break;
+                case 'rename':
+                    workspaceEdit.renameFile(operation.uri, operation.newUri, { overwrite: false });
+                    break;
+                case 'delete':
+                    workspaceEdit.deleteFile(operation.uri, { ignoreIfNotExists: true });
+                    break;
             }
         });
 
-        if (hasValidChanges) {
-            await vscode.workspace.applyEdit(workspaceEdit);
-            vscode.window.showInformationMessage('Changes applied successfully!');
-        } else {
-            vscode.window.showWarningMessage('No valid changes to apply or changes object was malformed.');
+        if (await vscode.workspace.applyEdit(workspaceEdit)) {
+            const touchedFiles = new Set(prepared.operations.map(operation => operation.uri.toString()));
+            if (prepared.changes.length > 0) {
+                touchedFiles.add(prepared.document.uri.toString());
+            }
+            vscode.window.showInformationMessage(touchedFiles.size > 1
+                ? `Changes applied to ${touchedFiles.size} files. Review and save the modified files.`
+                : 'Changes applied successfully!');
+            return true;
         }
+        vscode.window.showErrorMessage('VS Code rejected the changes. The file may have changed or be read-only.');
+        return false;
     }
 }
 
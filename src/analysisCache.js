@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE_NAME = 'analysis-cache.json';
+const GLOBAL_STATE_KEY = 'aiAssistant.analysisCache';
+const MAX_ENTRIES = 1000;
+
+// Caches analysis results keyed by everything that influences the model's answer, so an
+// unchanged file is never sent twice. Entries live in the workspace storage folder when
+// there is one and in globalState otherwise, which keeps them across VS Code restarts.
+class AnalysisCache {
+    constructor(context) {
+        this.context = context;
+        this.filePath = context.storageUri ? path.join(context.storageUri.fsPath, CACHE_FILE_NAME) : null;
+        this.data = { entries: {}, uris: {} };
+        this.pendingWrite = Promise.resolve();
+        this.loaded = this.load();
+    }
+
+    static hashContent(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    // contextHash identifies the project context sent along with the code, if any
+    static computeKey({ code, languageId, model, promptVersion, contextHash = '' }) {
+        return AnalysisCache.hashContent(JSON.stringify([AnalysisCache.hashContent(code), languageId, model, promptVersion, contextHash]));
+    }
+
+    async load() {
+        try {
+            const stored = this.filePath
+                ? JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8'))
+                : this.context.globalState.get(GLOBAL_STATE_KEY);
+            if (stored && stored.entries && stored.uris) {
+                this.data = stored;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load analysis cache, starting empty:', error);
+            }
+        }
+    }
+
+    async get(key) {
+        await this.loaded;
+        const entry = this.data.entries[key];
+        if (entry) {
+            entry.lastUsed = Date.now();
+        }
+        return entry?.analysis;
+    }
+
+    async set(key, analysis, { uri, languageId, model, contextHash }) {
+        await this.loaded;
+        const previousKey = this.data.uris[uri];
+        if (previousKey && previousKey !== key && !this.isReferencedElsewhere(previousKey, uri)) {
+            delete this.data.entries[previousKey];
+        }
+
+        this.data.entries[key] = { analysis, uri, languageId, model, contextHash, createdAt: Date.now(), lastUsed: Date.now() };
+        this.data.uris[uri] = key;
+        this.evict();
+        return this.save();
+    }
+
+    // Latest cached entry for each file, used to restore diagnostics after a restart
+    async getIndexedEntries() {
+        await this.loaded;
+        return Object.entries(this.data.uris)
+            .filter(([, key]) => this.data.entries[key])
+            .map(([uri, key]) => ({ uri, key, ...this.data.entries[key] }));
+    }
+
+    async getStats() {
+        await this.loaded;
+        return {
+            entryCount: Object.keys(this.data.entries).length,
+            fileCount: Object.keys(this.data.uris).length,
+            sizeInBytes: Buffer.byteLength(JSON.stringify(this.data)),
+            location: this.filePath || 'global state'
+        };
+    }
+
+    async clear() {
+        await this.loaded;
+        this.data = { entries: {}, uris: {} };
+        return this.save();
+    }
+
+    isReferencedElsewhere(key, exceptUri) {
+        return Object.entries(this.data.uris).some(([uri, otherKey]) => uri !== exceptUri && otherKey === key);
+    }
+
+    evict() {
+        const keys = Object.keys(this.data.entries);
+        if (keys.length <= MAX_ENTRIES) {
+            return;
+        }
+
+        keys.sort((a, b) => this.data.entries[a].lastUsed - this.data.entries[b].lastUsed)
+            .slice(0, keys.length - MAX_ENTRIES)
+            .forEach(key => delete this.data.entries[key]);
+        for (const [uri, key] of Object.entries(this.data.uris)) {
+            if (!this.data.entries[key]) {
+                delete this.data.uris[uri];
+            }
+        }
+    }
+
+    save() {
+        // Serialize writes so a slow write never overwrites a newer snapshot
+        this.pendingWrite = this.pendingWrite.then(async () => {
+            if (this.filePath) {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(this.filePath, JSON.stringify(this.data), 'utf-8');
+            } else {
+                await this.context.globalState.update(GLOBAL_STATE_KEY, this.data);
+            }
+        }).catch(error => console.warn('Failed to persist analysis cache:', error));
+        return this.pendingWrite;
+    }
+}
+
+module.exports = { AnalysisCache };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const HISTORY_STATE_KEY = 'aiAssistant.history';
+const MAX_ENTRIES_PER_FILE = 20;
+const MAX_FILES = 200;
+
+// Past analyses and suggestion sessions per file URI, newest first, kept in the workspace
+// state so the analysis view can show them after a reload. Entries are
+// { id, kind: 'analysis', createdAt, analysis } or
+// { id, kind: 'changes', createdAt, requests, description, changeCount, operationCount, status }.
+class AnalysisHistory {
+    constructor(memento, { maxEntriesPerFile = MAX_ENTRIES_PER_FILE, maxFiles = MAX_FILES } = {}) {
+        this.memento = memento;
+        this.maxEntriesPerFile = maxEntriesPerFile;
+        this.maxFiles = maxFiles;
+    }
+
+    getData() {
+        // A copy, so nothing changes in the workspace state until it is updated. The data is
+        // plain JSON, and structuredClone is missing from the Node version of older VS Code.
+        return JSON.parse(JSON.stringify(this.memento.get(HISTORY_STATE_KEY) || {}));
+    }
+
+    getEntries(uri) {
+        return this.getData()[uri]?.entries || [];
+    }
+
+    async add(uri, entry) {
+        const data = this.getData();
+        const added = { ...entry, id: crypto.randomUUID(), createdAt: Date.now() };
+        const entries = [added, ...(data[uri]?.entries || [])].slice(0, this.maxEntriesPerFile);
+        // Files are kept in the order they were last added to, and the oldest are forgotten first
+        delete data[uri];
+        data[uri] = { entries };
+        const uris = Object.keys(data);
+        uris.slice(0, Math.max(uris.length - this.maxFiles, 0)).forEach(stale => delete data[stale]);
+
+        await this.memento.update(HISTORY_STATE_KEY, data);
+        return added;
+    }
+
+    // Merges changes into an entry, e.g. when a suggestion session is refined or applied
+    async update(uri, id, changes) {
+        const data = this.getData();
+        const entry = data[uri]?.entries.find(candidate => candidate.id === id);
+        if (!entry) {
+            return undefined;
+        }
+        Object.assign(entry, changes);
+        await this.memento.update(HISTORY_STATE_KEY, data);
+        return entry;
+    }
+
+    async clear(uri) {
+        const data = this.getData();
+        delete data[uri];
+        await this.memento.update(HISTORY_STATE_KEY, data);
+    }
+}
+
+module.exports = { AnalysisHistory };
@@ -0,0 +1,257 @@
+const vscode = require('vscode');
+const { createNonce, getWebviewOptions, getContentSecurityPolicyTag, validateMessage } = require('./webviewSecurity');
+
+// Sidebar view with the analysis of the active file and the file's history of analyses and
+// suggestion sessions (see analysisHistory.js). There is one view that updates in place. Its
+// content is posted to the webview as data and kept in the webview state, so the last
+// content is back right away when the view is restored after a reload.
+class AnalysisViewProvider {
+    static viewType = 'aiAssistant.analysisView';
+
+    // onRequestChanges() is called for the "Request Code Changes" button
+    constructor(context, history, { onRequestChanges }) {
+        this.context = context;
+        this.history = history;
+        this.onRequestChanges = onRequestChanges;
+        this.view = undefined;
+        this.state = undefined; // { uri, file, analysis, entries }
+    }
+
+    resolveWebviewView(webviewView) {
+        this.view = webviewView;
+        webviewView.webview.options = getWebviewOptions();
+        webviewView.webview.html = this.getWebviewContent(webviewView.webview);
+
+        webviewView.onDidDispose(() => {
+            this.view = undefined;
+        }, null, this.context.subscriptions);
+
+        webviewView.webview.onDidReceiveMessage(async received => {
+            const message = validateMessage(received, {
+                ready: {},
+                navigate: { uri: 'string', line: 'number?', column: 'number?' },
+                requestChanges: {},
+                clearHistory: {}
+            });
+            switch (message?.command) {
+                case 'ready':
+                    // Without newer content the webview keeps what it restored from its state
+                    if (this.state) {
+                        this.post();
+                    }
+                    return;
+                case 'navigate':
+                    // Only the shown file can be opened from the view
+                    if (message.uri === this.state?.uri) {
+                        this.navigate(message.uri, message.line, message.column);
+                    }
+                    return;
+                case 'requestChanges':
+                    this.onRequestChanges();
+                    return;
+                case 'clearHistory':
+                    if (this.state) {
+                        await this.history.clear(this.state.uri);
+                        this.showFile(vscode.Uri.parse(this.state.uri), this.state.analysis);
+                    }
+                    return;
+            }
+        }, undefined, this.context.subscriptions);
+    }
+
+    // Shows the file with the given analysis, or the latest one in its history
+    showFile(uri, analysis, { reveal = false } = {}) {
+        const entries = this.history.getEntries(uri.toString());
+        this.state = {
+            uri: uri.toString(),
+            file: vscode.workspace.asRelativePath(uri),
+            analysis: analysis || entries.find(entry => entry.kind === 'analysis')?.analysis,
+            entries
+        };
+        this.post();
+        if (reveal) {
+            this.reveal();
+        }
+    }
+
+    reveal() {
+        if (this.view) {
+            this.view.show(true);
+        } else {
+            // Resolves the view, which then picks up the current state
+            vscode.commands.executeCommand(`${AnalysisViewProvider.viewType}.focus`);
+        }
+    }
+
+    post() {
+        this.view?.webview.postMessage({ command: 'update', state: this.state });
+    }
+
+    async navigate(uri, line, column) {
+        if (!uri) {
+            return;
+        }
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+            const position = new vscode.Position(
+                Math.min(Math.max(line || 0, 0), Math.max(document.lineCount - 1, 0)),
+                Math.max(column || 0, 0)
+            );
+            await vscode.window.showTextDocument(document, { selection: new vscode.Range(position, position) });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open ${uri}: ${error.message}`);
+        }
+    }
+
+    getWebviewContent(webview) {
+        const nonce = createNonce();
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            ${getContentSecurityPolicyTag(webview, nonce)}
+            <style nonce="${nonce}">
+                body { font-family: var(--vscode-font-family); padding: 0 10px 10px; color: var(--vscode-foreground); }
+                h2 { font-size: 1.1em; margin: 14px 0 6px; color: var(--vscode-textLink-foreground); }
+                .file { opacity: 0.8; word-break: break-all; margin-top: 8px; }
+                .item { padding: 6px 8px; margin: 4px 0; border-left: 3px solid var(--vscode-editorInfo-foreground); background: var(--vscode-editorWidget-background); }
+                .item.issue { cursor: pointer; }
+                .item.issue:hover, .entry:hover { background: var(--vscode-list-hoverBackground); }
+                .item.Error { border-left-color: var(--vscode-editorError-foreground); }
+                .item.Warning { border-left-color: var(--vscode-editorWarning-foreground); }
+                .meta { opacity: 0.8; font-size: 0.9em; }
+                .empty { opacity: 0.8; }
+                .entry { padding: 4px 6px; cursor: pointer; }
+                .entry.selected { background: var(--vscode-list-activeSelectionBackground); color: var(--vscode-list-activeSelectionForeground); }
+                button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 6px 12px; cursor: pointer; margin: 10px 6px 0 0; }
+                button:hover { background: var(--vscode-button-hoverBackground); }
+                button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+            </style>
+        </head>
+        <body>
+            <div id="content"><p class="empty">Analyze a file to see its findings here.</p></div>
+
+            <script nonce="${nonce}">
+                const vscode = acquireVsCodeApi();
+                // { state, selectedId }, where selectedId is the history entry shown instead of the current analysis
+                let view = vscode.getState() || { state: undefined, selectedId: undefined };
+
+                window.addEventListener('message', event => {
+                    if (event.data.command === 'update') {
+                        const sameFile = view.state && event.data.state && view.state.uri === event.data.state.uri;
+                        view = { state: event.data.state, selectedId: sameFile ? view.selectedId : undefined };
+                        render();
+                    }
+                });
+
+                function element(tag, className, text) {
+                    const node = document.createElement(tag);
+                    if (className) {
+                        node.className = className;
+                    }
+                    if (text !== undefined) {
+                        node.textContent = text;
+                    }
+                    return node;
+                }
+
+                function button(label, className, onClick) {
+                    const node = element('button', className, label);
+                    node.addEventListener('click', onClick);
+                    return node;
+                }
+
+                function select(id) {
+                    view.selectedId = view.selectedId === id ? undefined : id;
+                    render();
+                }
+
+                function renderAnalysis(analysis, uri) {
+                    const nodes = [element('h2', '', 'Issues')];
+                    const issues = analysis.issues || [];
+                    if (issues.length === 0) {
+                        nodes.push(element('p', 'empty', 'No issues found.'));
+                    }
+                    issues.forEach(issue => {
+                        const node = element('div', 'item issue ' + (issue.severity || ''));
+                        const meta = [issue.severity, (issue.type || 'Issue') + (issue.ruleId ? ' [' + issue.ruleId + ']' : ''), issue.line !== undefined ? 'Line ' + (issue.line + 1) : '']
+                            .filter(Boolean).join(' · ');
+                        node.appendChild(element('div', 'meta', meta));
+                        node.appendChild(element('div', '', issue.description));
+                        node.addEventListener('click', () => vscode.postMessage({ command: 'navigate', uri, line: issue.line, column: issue.column }));
+                        nodes.push(node);
+                    });
+
+                    [['Suggestions', analysis.suggestions], ['Improvements', analysis.improvements]].forEach(([title, items]) => {
+                        nodes.push(element('h2', '', title));
+                        if (!items || items.length === 0) {
+                            nodes.push(element('p', 'empty', 'None.'));
+                        }
+                        (items || []).forEach(item => nodes.push(element('div', 'item', item.description || item)));
+                    });
+                    return nodes;
+                }
+
+                function renderSession(entry) {
+                    const nodes = [element('h2', '', 'Suggestion session (' + entry.status + ')')];
+                    entry.requests.forEach((request, i) => nodes.push(element('div', 'item', (i === 0 ? 'Request: ' : 'Follow-up: ') + request)));
+                    nodes.push(element('p', '', entry.description || ''));
+                    nodes.push(element('p', 'meta', entry.changeCount + ' change(s), ' + entry.operationCount + ' file operation(s)'));
+                    return nodes;
+                }
+
+                function describeEntry(entry) {
+                    const time = new Date(entry.createdAt).toLocaleString();
+                    if (entry.kind === 'analysis') {
+                        return time + ' · Analysis: ' + (entry.analysis.issues || []).length + ' issue(s)';
+                    }
+                    return time + ' · Suggestion: ' + entry.requests[0] + ' (' + entry.status + ')';
+                }
+
+                function render() {
+                    vscode.setState(view);
+                    const content = document.getElementById('content');
+                    const state = view.state;
+                    if (!state) {
+                        content.replaceChildren(element('p', 'empty', 'Analyze a file to see its findings here.'));
+                        return;
+                    }
+
+                    const nodes = [element('div', 'file', state.file)];
+                    const selected = state.entries.find(entry => entry.id === view.selectedId);
+                    if (selected) {
+                        nodes.push(element('p', 'meta', 'Showing history entry from ' + new Date(selected.createdAt).toLocaleString()));
+                        nodes.push(button('Back to current', 'secondary', () => select(selected.id)));
+                        nodes.push(...(selected.kind === 'analysis' ? renderAnalysis(selected.analysis, state.uri) : renderSession(selected)));
+                    } else if (state.analysis) {
+                        nodes.push(...renderAnalysis(state.analysis, state.uri));
+                    } else {
+                        nodes.push(element('p', 'empty', 'This file has not been analyzed yet.'));
+                    }
+                    nodes.push(button('Request Code Changes', '', () => vscode.postMessage({ command: 'requestChanges' })));
+
+                    nodes.push(element('h2', '', 'History'));
+                    if (state.entries.length === 0) {
+                        nodes.push(element('p', 'empty', 'No past analyses or suggestions for this file.'));
+                    } else {
+                        state.entries.forEach(entry => {
+                            const node = element('div', 'entry' + (entry.id === view.selectedId ? ' selected' : ''), describeEntry(entry));
+                            node.addEventListener('click', () => select(entry.id));
+                            nodes.push(node);
+                        });
+                        nodes.push(button('Clear History', 'secondary', () => vscode.postMessage({ command: 'clearHistory' })));
+                    }
+                    content.replaceChildren(...nodes);
+                }
+
+                render();
+                vscode.postMessage({ command: 'ready' });
+            </script>
+        </body>
+        </html>
+        `;
+    }
+}
+
+module.exports = { AnalysisViewProvider };
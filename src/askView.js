@@ -0,0 +1,249 @@
+const vscode = require('vscode');
+const { createNonce, getWebviewOptions, getContentSecurityPolicyTag, validateMessage } = require('./webviewSecurity');
+
+// Conversation panel for "Ask About Codebase". Every question is answered independently
+// from freshly retrieved code; the entries are posted to the webview as data and rendered
+// there, with citations turned into links to the cited code.
+class CodebaseQuestionPanel {
+    static currentPanel = undefined;
+
+    // onAsk(question) is called for questions typed into the panel
+    static show(context, onAsk) {
+        if (CodebaseQuestionPanel.currentPanel) {
+            CodebaseQuestionPanel.currentPanel.panel.reveal(vscode.ViewColumn.Two);
+            return CodebaseQuestionPanel.currentPanel;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            'aiCodebaseQuestions',
+            'Ask About Codebase',
+            vscode.ViewColumn.Two,
+            getWebviewOptions({ retainContextWhenHidden: true })
+        );
+        CodebaseQuestionPanel.currentPanel = new CodebaseQuestionPanel(context, panel, onAsk);
+        return CodebaseQuestionPanel.currentPanel;
+    }
+
+    constructor(context, panel, onAsk) {
+        this.panel = panel;
+        this.entries = [];
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview);
+
+        this.panel.onDidDispose(() => {
+            this.disposed = true;
+            CodebaseQuestionPanel.currentPanel = undefined;
+        }, null, context.subscriptions);
+
+        this.panel.webview.onDidReceiveMessage(received => {
+            const message = validateMessage(received, {
+                ready: {},
+                ask: { question: 'string' },
+                navigate: { uri: 'string', line: 'number?' }
+            });
+            switch (message?.command) {
+                case 'ready':
+                    this.update();
+                    return;
+                case 'ask':
+                    if (message.question.trim()) {
+                        onAsk(message.question.trim());
+                    }
+                    return;
+                case 'navigate':
+                    // Only cited files can be opened from the panel
+                    if (this.entries.some(entry => entry.sources?.some(source => source.uri === message.uri))) {
+                        this.navigate(message.uri, message.line);
+                    }
+                    return;
+            }
+        }, undefined, context.subscriptions);
+    }
+
+    // Returns the entry, to be completed with answer() or fail()
+    addQuestion(question) {
+        const entry = { question, pending: true };
+        this.entries.push(entry);
+        this.update();
+        return entry;
+    }
+
+    // The answer received so far, while it is streamed
+    stream(entry, partial) {
+        entry.partial = partial;
+        this.update();
+    }
+
+    // sources: [{ label, uri, line }] in citation order
+    answer(entry, answer, sources) {
+        Object.assign(entry, { pending: false, answer, sources });
+        this.update();
+    }
+
+    fail(entry, error) {
+        Object.assign(entry, { pending: false, error });
+        this.update();
+    }
+
+    update() {
+        // Answers may arrive after the panel was closed
+        if (this.disposed) {
+            return;
+        }
+        this.panel.webview.postMessage({ command: 'update', entries: this.entries });
+    }
+
+    async navigate(uri, line) {
+        if (!uri) {
+            return;
+        }
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+            const position = new vscode.Position(Math.min(Math.max(line || 0, 0), Math.max(document.lineCount - 1, 0)), 0);
+            await vscode.window.showTextDocument(document, {
+                viewColumn: vscode.ViewColumn.One,
+                selection: new vscode.Range(position, position)
+            });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open ${uri}: ${error.message}`);
+        }
+    }
+
+    getWebviewContent(webview) {
+        const nonce = createNonce();
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            ${getContentSecurityPolicyTag(webview, nonce)}
+            <style nonce="${nonce}">
+                body { font-family: Arial, sans-serif; padding: 20px; color: var(--vscode-editor-foreground); background-color: var(--vscode-editor-background); }
+                h1 { color: var(--vscode-textLink-foreground); }
+                .entry { margin-bottom: 20px; padding-bottom: 10px; border-bottom: 1px solid var(--vscode-list-hoverBackground); }
+                .question { padding: 6px 10px; border-left: 3px solid var(--vscode-textLink-foreground); font-weight: bold; }
+                .answer { white-space: pre-wrap; margin: 10px 0; line-height: 1.4; }
+                .error { color: var(--vscode-errorForeground); }
+                .pending { opacity: 0.7; font-style: italic; }
+                .sources { font-size: 0.9em; opacity: 0.9; }
+                a { color: var(--vscode-textLink-foreground); cursor: pointer; text-decoration: none; }
+                a:hover { text-decoration: underline; }
+                textarea {
+                    width: 100%;
+                    min-height: 60px;
+                    box-sizing: border-box;
+                    background: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border: 1px solid var(--vscode-input-border, transparent);
+                    padding: 6px;
+                    font-family: inherit;
+                }
+                button {
+                    background: var(--vscode-button-background);
+                    color: var(--vscode-button-foreground);
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-top: 10px;
+                }
+                button:hover { background: var(--vscode-button-hoverBackground); }
+            </style>
+        </head>
+        <body>
+            <h1>Ask About Codebase</h1>
+            <div id="entries"></div>
+            <textarea id="question" placeholder='e.g. "Where are API keys stored?"'></textarea>
+            <button id="ask">Ask</button>
+
+            <script nonce="${nonce}">
+                const vscode = acquireVsCodeApi();
+                const input = document.getElementById('question');
+
+                document.getElementById('ask').addEventListener('click', ask);
+                input.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                        ask();
+                    }
+                });
+
+                window.addEventListener('message', event => {
+                    if (event.data.command === 'update') {
+                        render(event.data.entries);
+                    }
+                });
+
+                function ask() {
+                    if (input.value.trim()) {
+                        vscode.postMessage({ command: 'ask', question: input.value });
+                        input.value = '';
+                    }
+                }
+
+                function element(tag, className, text) {
+                    const node = document.createElement(tag);
+                    if (className) {
+                        node.className = className;
+                    }
+                    if (text !== undefined) {
+                        node.textContent = text;
+                    }
+                    return node;
+                }
+
+                function link(text, uri, line) {
+                    const node = element('a', '', text);
+                    node.addEventListener('click', () => vscode.postMessage({ command: 'navigate', uri, line }));
+                    return node;
+                }
+
+                // Turns "[n]" and "[n] path:line" citations into links to the cited code
+                function renderAnswer(answer, sources) {
+                    const node = element('div', 'answer');
+                    const citation = /\\[(\\d+)\\](?:\\s+([^\\s\\[\\]]+?):(\\d+))?/g;
+                    let last = 0;
+                    for (const match of answer.matchAll(citation)) {
+                        const source = sources[Number(match[1]) - 1];
+                        if (!source) {
+                            continue;
+                        }
+                        node.appendChild(document.createTextNode(answer.slice(last, match.index)));
+                        node.appendChild(link(match[0], source.uri, match[3] ? Number(match[3]) - 1 : source.line));
+                        last = match.index + match[0].length;
+                    }
+                    node.appendChild(document.createTextNode(answer.slice(last)));
+                    return node;
+                }
+
+                function render(entries) {
+                    document.getElementById('entries').replaceChildren(...entries.map(entry => {
+                        const node = element('div', 'entry');
+                        node.appendChild(element('div', 'question', entry.question));
+                        if (entry.pending && entry.partial) {
+                            node.appendChild(element('div', 'answer', entry.partial));
+                        } else if (entry.pending) {
+                            node.appendChild(element('div', 'pending', 'Searching the codebase...'));
+                        } else if (entry.error) {
+                            node.appendChild(element('div', 'error', entry.error));
+                        } else {
+                            node.appendChild(renderAnswer(entry.answer, entry.sources));
+                            const sources = element('div', 'sources', 'Sources: ');
+                            entry.sources.forEach((source, i) => {
+                                sources.appendChild(link('[' + (i + 1) + '] ' + source.label, source.uri, source.line));
+                                sources.appendChild(document.createTextNode('  '));
+                            });
+                            node.appendChild(sources);
+                        }
+                        return node;
+                    }));
+                    window.scrollTo(0, document.body.scrollHeight);
+                }
+
+                vscode.postMessage({ command: 'ready' });
+            </script>
+        </body>
+        </html>
+        `;
+    }
+}
+
+module.exports = { CodebaseQuestionPanel };
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { PROVIDERS, DEFAULT_PROVIDER, createProvider } = require('./core/providers');
+const { getCodeFiles, DEFAULT_EXCLUDES, DEFAULT_MAX_FILE_SIZE } = require('./core/files');
+const { analyzeFiles } = require('./core/analysis');
+const { DEFAULT_MAX_PROMPT_TOKENS } = require('./core/chunking');
+const { DEFAULT_MAX_REPAIRS } = require('./core/structuredOutput');
+const { RULES_FILE_NAME, parseRulesConfig } = require('./core/rules');
+const { BASELINE_FILE_NAME, parseBaseline, serializeBaseline, addToBaseline, filterBaselined } = require('./core/baseline');
+const { DEFAULT_CONCURRENCY, DEFAULT_MAX_RETRIES, RequestBudget, createRetryingProvider, createBudgetedProvider } = require('./core/workQueue');
+const { DEFAULT_NEVER_SEND, Redactor, describeRedactions, createRedactingProvider, isNeverSend } = require('./core/privacy');
+const { DEFAULT_CONTEXT_MAX_TOKENS, buildFileContext } = require('./core/projectContext');
+const { buildReport, SEVERITIES } = require('./core/report');
+const { EXPORT_FORMATS } = require('./core/exporters');
+
+const USAGE = `Usage: ai-code-assist analyze <dir> [options]
+
+Options:
+  --format <sarif|json|markdown>        Output format (default: json)
+  --output <file>                       Write the report to a file instead of stdout
+  --fail-on <error|warning|information|none>
+                                        Exit with code 1 when a finding at or above this severity exists (default: error)
+  --provider <${Object.keys(PROVIDERS).join('|')}>
+                                        AI provider (default: ${DEFAULT_PROVIDER})
+  --model <name>                        Model or Azure deployment name
+  --base-url <url>                      Provider base URL or Azure endpoint
+  --api-version <version>               Azure OpenAI API version
+  --include <glob>                      Only analyze matching files (repeatable)
+  --exclude <glob>                      Skip matching files and folders (repeatable, replaces the defaults)
+  --max-file-size <bytes>               Skip larger files, 0 disables the limit (default: ${DEFAULT_MAX_FILE_SIZE})
+  --no-gitignore                        Do not honor .gitignore files
+  --max-prompt-tokens <tokens>          Split files larger than this into chunks (default: ${DEFAULT_MAX_PROMPT_TOKENS})
+  --concurrency <n>                     Files analyzed in parallel (default: ${DEFAULT_CONCURRENCY})
+  --max-retries <n>                     Retries for rate limits and transient errors (default: ${DEFAULT_MAX_RETRIES})
+  --max-requests <n>                    Request budget for the run, 0 for unlimited (default: 0)
+  --max-tokens <n>                      Estimated token budget for the run, 0 for unlimited (default: 0)
+  --context-max-tokens <tokens>         Project context sent with each file, 0 to send none (default: ${DEFAULT_CONTEXT_MAX_TOKENS})
+  --max-repairs <n>                     Re-prompts for responses in the wrong format (default: ${DEFAULT_MAX_REPAIRS})
+  --never-send <glob>                   Never send matching files to the provider (repeatable, replaces the
+                                        defaults: ${DEFAULT_NEVER_SEND.join(', ')})
+  --no-redaction                        Send secrets and emails as they are instead of as placeholders
+  --no-redact-emails                    Redact secrets but not emails
+  --baseline <file>                     Accepted findings that are not reported (default: <dir>/${BASELINE_FILE_NAME})
+  --update-baseline                     Add all current findings to the baseline instead of reporting them
+  -h, --help                            Show this help
+
+.aiassistantignore files are always honored. Categories, the minimum severity and team rules
+are read from ${RULES_FILE_NAME} in <dir>. Findings can be suppressed in the code with
+ai-assistant-ignore-next-line, ai-assistant-ignore-line and ai-assistant-ignore-file comments.
+API keys, tokens, private keys, connection strings and emails are replaced by placeholders
+before code is sent, and each redaction is logged to stderr.
+
+Each file is sent with an outline of the project modules it imports and a summary of
+package.json, tsconfig.json and jsconfig.json. Unlike in the editor, the definitions of
+imported names are not included, as they need a language service. VS Code settings
+(aiAssistant.*) are not read; use the options above to match them.
+
+The API key is read from AI_ASSISTANT_API_KEY or the provider's usual variable
+(OPENAI_API_KEY, AZURE_OPENAI_API_KEY, ANTHROPIC_API_KEY).
+
+Exit codes: 0 no blocking findings, 1 blocking findings, 2 usage or analysis errors.`;
+
+const API_KEY_VARIABLES = {
+    openai: 'OPENAI_API_KEY',
+    azure: 'AZURE_OPENAI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY',
+    openaiCompatible: 'OPENAI_API_KEY'
+};
+
+// Contents of an optional file, undefined when it does not exist
+async function readOptionalFile(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+async function readRulesConfig(rootDir) {
+    const text = await readOptionalFile(path.join(rootDir, RULES_FILE_NAME));
+    return text === undefined ? undefined : parseRulesConfig(text);
+}
+
+async function readBaseline(baselinePath) {
+    const text = await readOptionalFile(baselinePath);
+    return text === undefined ? undefined : parseBaseline(text);
+}
+
+// Severity ranks, most severe first, matching SEVERITIES
+function hasBlockingFindings(report, failOn) {
+    if (failOn === 'none') {
+        return false;
+    }
+    const threshold = SEVERITIES.findIndex(severity => severity.toLowerCase() === failOn);
+    return report.items.some(item => item.kind === 'issue' && SEVERITIES.indexOf(item.severity) <= threshold);
+}
+
+async function run(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'json' },
+                output: { type: 'string' },
+                'fail-on': { type: 'string', default: 'error' },
+                provider: { type: 'string', default: env.AI_ASSISTANT_PROVIDER || DEFAULT_PROVIDER },
+                model: { type: 'string' },
+                'base-url': { type: 'string' },
+                'api-version': { type: 'string' },
+                include: { type: 'string', multiple: true, default: [] },
+                exclude: { type: 'string', multiple: true, default: DEFAULT_EXCLUDES },
+                'max-file-size': { type: 'string', default: String(DEFAULT_MAX_FILE_SIZE) },
+                'no-gitignore': { type: 'boolean', default: false },
+                'never-send': { type: 'string', multiple: true, default: DEFAULT_NEVER_SEND },
+                'no-redaction': { type: 'boolean', default: false },
+                'no-redact-emails': { type: 'boolean', default: false },
+                'max-prompt-tokens': { type: 'string', default: String(DEFAULT_MAX_PROMPT_TOKENS) },
+                concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+                'max-retries': { type: 'string', default: String(DEFAULT_MAX_RETRIES) },
+                'max-requests': { type: 'string', default: '0' },
+                'max-tokens': { type: 'string', default: '0' },
+                'max-repairs': { type: 'string', default: String(DEFAULT_MAX_REPAIRS) },
+                'context-max-tokens': { type: 'string', default: String(DEFAULT_CONTEXT_MAX_TOKENS) },
+                baseline: { type: 'string' },
+                'update-baseline': { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const [command, dir] = positionals;
+    const failOn = values['fail-on'].toLowerCase();
+    const format = EXPORT_FORMATS[values.format];
+    const maxFileSize = Number(values['max-file-size']);
+    const maxPromptTokens = Number(values['max-prompt-tokens']);
+    const limits = ['concurrency', 'max-retries', 'max-requests', 'max-tokens', 'max-repairs', 'context-max-tokens'].map(name => Number(values[name]));
+    if (command !== 'analyze' || !dir || !format || !Number.isFinite(maxFileSize) || !(maxPromptTokens > 0) ||
+        limits.some(limit => !Number.isInteger(limit) || limit < 0) || limits[0] < 1 ||
+        ![...SEVERITIES.map(severity => severity.toLowerCase()), 'none'].includes(failOn)) {
+        stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+
+    const rootDir = path.resolve(dir);
+    try {
+        const [concurrency, maxRetries, maxRequests, maxTokens, maxRepairs, contextMaxTokens] = limits;
+        const retryingProvider = createRetryingProvider(createProvider({
+            id: values.provider,
+            model: values.model,
+            baseUrl: values['base-url'],
+            apiVersion: values['api-version'],
+            apiKey: env.AI_ASSISTANT_API_KEY || env[API_KEY_VARIABLES[values.provider]]
+        }), {
+            maxRetries,
+            onRetry: ({ attempt, delay, error }) => stderr.write(`Retrying request (attempt ${attempt}/${maxRetries}) in ${Math.round(delay / 1000)}s: ${error.message}\n`)
+        });
+        const provider = createBudgetedProvider(values['no-redaction']
+            ? retryingProvider
+            : createRedactingProvider(retryingProvider, new Redactor({ emails: !values['no-redact-emails'] }), {
+                onRedact: redactions => stderr.write(`Redacted before sending: ${describeRedactions(redactions)}\n`)
+            }), new RequestBudget({ maxRequests, maxTokens }));
+
+        const rules = await readRulesConfig(rootDir);
+        const baselinePath = values.baseline ? path.resolve(values.baseline) : path.join(rootDir, BASELINE_FILE_NAME);
+        const baseline = await readBaseline(baselinePath);
+        const files = await getCodeFiles(rootDir, {
+            include: values.include,
+            exclude: [...values.exclude, ...values['never-send']],
+            maxFileSize,
+            respectGitignore: !values['no-gitignore']
+        });
+        const { results, failures } = await analyzeFiles(provider, files, {
+            rootDir,
+            concurrency,
+            analysisOptions: { maxPromptTokens, maxRepairs, rules },
+            // Imported modules and project configuration, as in the editor but without the
+            // definitions that need a language service
+            getContext: contextMaxTokens > 0 && ((filePath, code, languageId) => buildFileContext(rootDir, path.relative(rootDir, filePath), code, languageId, {
+                maxTokens: contextMaxTokens,
+                isExcluded: relativePath => isNeverSend(relativePath, values['never-send'])
+            })),
+            onProgress: ({ file, index, total, skipped }) => {
+                stderr.write(`[${index + 1}/${total}] ${skipped ? 'Skipped' : 'Analyzed'} ${file}\n`);
+            }
+        });
+
+        failures.forEach(({ file, error }) => stderr.write(`Failed to analyze ${file}: ${error.message}\n`));
+        if (values['update-baseline']) {
+            const updated = addToBaseline(baseline, results);
+            await fs.promises.writeFile(baselinePath, serializeBaseline(updated), 'utf-8');
+            stderr.write(`Baseline ${baselinePath} now holds ${updated.findings.length} finding(s)\n`);
+            return failures.length > 0 ? 2 : 0;
+        }
+
+        const report = buildReport(results.map(({ file, analysis }) => ({ file, analysis: filterBaselined(analysis, file, baseline) })));
+        const content = format.serialize(report, { toolVersion: require('../package.json').version });
+        if (values.output) {
+            await fs.promises.writeFile(values.output, content, 'utf-8');
+        } else {
+            stdout.write(`${content}\n`);
+        }
+
+        if (failures.length > 0) {
+            return 2;
+        }
+        return hasBlockingFindings(report, failOn) ? 1 : 0;
+    } catch (error) {
+        stderr.write(`Codebase analysis failed: ${error.message}\n`);
+        return 2;
+    }
+}
+
+module.exports = { run, hasBlockingFindings };
@@ -0,0 +1,52 @@
+const vscode = require('vscode');
+
+const DIAGNOSTIC_SOURCE = 'AI Code Assistant';
+
+// Offers follow-up actions on the diagnostics produced by the analysis
+class AIDiagnosticCodeActionProvider {
+    static providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    provideCodeActions(document, range, context) {
+        return context.diagnostics
+            .filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE)
+            .flatMap(diagnostic => {
+                const args = [document.uri, serializeDiagnostic(diagnostic)];
+
+                const fix = new vscode.CodeAction('Fix with AI', vscode.CodeActionKind.QuickFix);
+                fix.command = { command: 'aiAssistant.fixIssue', title: 'Fix with AI', arguments: args };
+                fix.diagnostics = [diagnostic];
+                fix.isPreferred = true;
+
+                const explain = new vscode.CodeAction('Explain this issue', vscode.CodeActionKind.QuickFix);
+                explain.command = { command: 'aiAssistant.explainIssue', title: 'Explain this issue', arguments: args };
+                explain.diagnostics = [diagnostic];
+
+                const ignore = new vscode.CodeAction('Ignore this issue', vscode.CodeActionKind.QuickFix);
+                ignore.command = { command: 'aiAssistant.ignoreIssue', title: 'Ignore this issue', arguments: args };
+                ignore.diagnostics = [diagnostic];
+
+                const suppress = new vscode.CodeAction('Suppress with a comment', vscode.CodeActionKind.QuickFix);
+                suppress.command = { command: 'aiAssistant.suppressIssue', title: 'Suppress with a comment', arguments: args };
+                suppress.diagnostics = [diagnostic];
+
+                return [fix, explain, ignore, suppress];
+            });
+    }
+}
+
+// Command arguments must survive serialization, so only plain data is passed along
+function serializeDiagnostic(diagnostic) {
+    return {
+        message: diagnostic.message,
+        type: typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code,
+        range: {
+            start: { line: diagnostic.range.start.line, character: diagnostic.range.start.character },
+            end: { line: diagnostic.range.end.line, character: diagnostic.range.end.character }
+        }
+    };
+}
+
+module.exports = {
+    DIAGNOSTIC_SOURCE,
+    AIDiagnosticCodeActionProvider
+};
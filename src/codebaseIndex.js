@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { EmbeddingIndex, embedFile, hashContent } = require('./core/embeddings');
+
+const INDEX_FILE_NAME = 'embedding-index.json';
+const SAVE_EVERY_FILES = 20;
+
+function getEmbedderIdentity(embedder) {
+    return `${embedder.id}:${embedder.embeddingModel}`;
+}
+
+// The workspace's embedding index, kept in the workspace storage folder. Updates are
+// incremental: only files whose content changed are embedded again. Without a workspace
+// the index lives in memory only.
+class CodebaseIndex {
+    constructor(context) {
+        this.filePath = context.storageUri ? path.join(context.storageUri.fsPath, INDEX_FILE_NAME) : null;
+        this.index = null;
+        this.pendingWrite = Promise.resolve();
+        this.pendingUpdate = Promise.resolve();
+    }
+
+    async load(embedder) {
+        const model = getEmbedderIdentity(embedder);
+        if (this.index?.model === model) {
+            return this.index;
+        }
+
+        let data;
+        try {
+            data = this.filePath ? JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8')) : undefined;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load embedding index, starting empty:', error);
+            }
+        }
+        // An index built with another embedding model is discarded
+        this.index = EmbeddingIndex.fromJSON(data, model);
+        return this.index;
+    }
+
+    // Updates never overlap, so a save during a full update cannot interleave with a single file
+    exclusive(fn) {
+        const run = this.pendingUpdate.then(fn, fn);
+        this.pendingUpdate = run.catch(() => {});
+        return run;
+    }
+
+    // files: [{ key, label, readText }], where key identifies the file (its URI) and label is
+    // the workspace relative path shown to the model
+    update(embedder, files, { onProgress = () => {}, isCancelled = () => false } = {}) {
+        return this.exclusive(async () => {
+            const index = await this.load(embedder);
+            const keys = new Set(files.map(file => file.key));
+            index.getFiles().filter(key => !keys.has(key)).forEach(key => index.removeFile(key));
+
+            let embedded = 0;
+            for (const [i, file] of files.entries()) {
+                if (isCancelled()) {
+                    break;
+                }
+                const code = await file.readText();
+                const contentHash = hashContent(code);
+                if (index.needsUpdate(file.key, contentHash)) {
+                    index.setFile(file.key, contentHash, await embedFile(embedder, file.label, code));
+                    embedded++;
+                    // Keep the progress of long runs even if VS Code is closed halfway
+                    if (embedded % SAVE_EVERY_FILES === 0) {
+                        await this.save();
+                    }
+                }
+                onProgress({ file: file.label, index: i, total: files.length });
+            }
+
+            await this.save();
+            return { embedded, fileCount: index.getFiles().length, chunkCount: index.chunkCount };
+        });
+    }
+
+    // Re-embeds a saved file, but only one that is already part of the index
+    updateFile(embedder, key, label, code) {
+        return this.exclusive(async () => {
+            const index = await this.load(embedder);
+            const contentHash = hashContent(code);
+            if (!index.files.has(key) || !index.needsUpdate(key, contentHash)) {
+                return false;
+            }
+            index.setFile(key, contentHash, await embedFile(embedder, label, code));
+            await this.save();
+            return true;
+        });
+    }
+
+    async search(embedder, question, limit) {
+        const index = await this.load(embedder);
+        const [vector] = await embedder.embed([question]);
+        return index.search(vector, { limit });
+    }
+
+    save() {
+        if (!this.filePath || !this.index) {
+            return Promise.resolve();
+        }
+        const snapshot = JSON.stringify(this.index);
+        // Serialize writes so a slow write never overwrites a newer snapshot
+        this.pendingWrite = this.pendingWrite.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(this.filePath, snapshot, 'utf-8');
+        }).catch(error => console.warn('Failed to persist embedding index:', error));
+        return this.pendingWrite;
+    }
+}
+
+module.exports = { CodebaseIndex };
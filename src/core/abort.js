@@ -0,0 +1,24 @@
+// Cancellation helpers shared by the providers and the work queue. Every cancelled request
+// surfaces as an AbortError, whatever the underlying HTTP client throws.
+
+function createAbortError(message = 'Request cancelled.') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+}
+
+module.exports = {
+    createAbortError,
+    isAbortError,
+    throwIfAborted
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { buildAnalysisPrompt } = require('./prompts');
+const { DEFAULT_MAX_REPAIRS, parseModelJson, completeStructured, createAnalysisFormat } = require('./structuredOutput');
+const { resolveRules, applyRules } = require('./rules');
+const { filterSuppressed } = require('./suppressions');
+const { fingerprintAnalysis } = require('./baseline');
+const { anchorIssues } = require('./anchoring');
+const { runQueue } = require('./workQueue');
+const { DEFAULT_MAX_PROMPT_TOKENS, DEFAULT_OVERLAP_LINES, estimateTokens, findSymbolBoundaries, splitIntoChunks, mergeAnalyses } = require('./chunking');
+const { getLanguageIdFromFileExtension, isAnalyzableLanguage } = require('./languages');
+const { isAbortError } = require('./abort');
+
+// The value of a string property of a JSON object that is still being streamed, so far as it
+// has arrived, e.g. the description of a proposal. Returns undefined before it starts.
+function extractPartialJsonString(partialJson, key) {
+    const match = partialJson.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    if (!match) {
+        return undefined;
+    }
+    return match[1]
+        .replace(/\\$/, '')
+        .replace(/\\(["\\/])/g, '$1')
+        .replace(/\\[nrt]/g, ' ');
+}
+
+function isOnChangedLines(startLine, endLine, changedLines) {
+    return changedLines.some(range => range.start <= endLine && range.end >= startLine);
+}
+
+async function analyzeChunk(provider, chunk, languageId, { totalLines, maxResponseTokens, maxRepairs, context, rules, changedLines, signal, onToken }) {
+    const prompt = buildAnalysisPrompt(chunk.text, languageId, {
+        firstLine: chunk.startLine,
+        totalLines,
+        context,
+        rules,
+        changedLines: changedLines && changedLines.filter(range => range.start <= chunk.endLine && range.end >= chunk.startLine)
+    });
+    const { value: analysis } = await completeStructured(provider, {
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.3,
+        maxTokens: maxResponseTokens,
+        signal,
+        onToken
+    }, createAnalysisFormat({ ruleIds: rules.rules.map(rule => rule.id) }), {
+        maxRepairs,
+        // Lines as numbered in the listing
+        limits: { minLine: chunk.startLine + 1, maxLine: chunk.startLine + chunk.text.split('\n').length }
+    });
+    analysis.issues = anchorIssues(analysis.issues, chunk.text, chunk.startLine);
+    return analysis;
+}
+
+// options.boundaries are 0-based lines where symbols start; the extension passes the
+// language service's document symbols, otherwise a heuristic is used. options.context is
+// sent with every chunk and takes its share of maxPromptTokens, but never more than half.
+// options.signal cancels the requests; options.onToken({ text, chunkIndex, chunkCount })
+// reports streamed responses. Responses that do not match the analysis format are sent back
+// for repair up to options.maxRepairs times. options.rules is the team configuration (see
+// rules.js), resolved here for the language. Findings suppressed by comments in the code are
+// dropped and the others get a fingerprint for the baseline (see baseline.js).
+// options.changedLines ([{ start, end }], 0-based inclusive) limits the analysis to a review
+// of those lines: only chunks containing them are sent and only issues on them are kept.
+async function analyzeCode(provider, code, languageId, options = {}) {
+    const {
+        boundaries,
+        maxPromptTokens = DEFAULT_MAX_PROMPT_TOKENS,
+        overlapLines = DEFAULT_OVERLAP_LINES,
+        maxResponseTokens = 2000,
+        maxRepairs = DEFAULT_MAX_REPAIRS,
+        context,
+        changedLines,
+        signal,
+        onToken
+    } = options;
+    const rules = resolveRules(options.rules, languageId);
+
+    try {
+        const chunks = splitIntoChunks(code, {
+            maxTokens: Math.max(maxPromptTokens - estimateTokens(context || ''), Math.floor(maxPromptTokens / 2)),
+            overlapLines,
+            boundaries: boundaries || findSymbolBoundaries(code)
+        }).filter(chunk => !changedLines || isOnChangedLines(chunk.startLine, chunk.endLine, changedLines));
+        if (chunks.length === 0) {
+            return { issues: [], suggestions: [], improvements: [] };
+        }
+        const totalLines = code.split('\n').length;
+
+        const analyses = [];
+        for (const [chunkIndex, chunk] of chunks.entries()) {
+            analyses.push(await analyzeChunk(provider, chunk, languageId, {
+                totalLines,
+                maxResponseTokens,
+                maxRepairs,
+                context,
+                rules,
+                changedLines,
+                signal,
+                onToken: onToken && (text => onToken({ text, chunkIndex, chunkCount: chunks.length }))
+            }));
+        }
+        const analysis = applyRules(analyses.length === 1 ? analyses[0] : mergeAnalyses(analyses), rules);
+        if (changedLines) {
+            analysis.issues = analysis.issues.filter(issue => isOnChangedLines(issue.line, issue.endLine ?? issue.line, changedLines));
+        }
+        return fingerprintAnalysis(filterSuppressed(analysis, code), code);
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        console.error('Error calling AI provider or parsing response:', error);
+        throw new Error(`Failed to get analysis from AI: ${error.message}. Raw response: ${error.response ? JSON.stringify(error.response.data) : 'N/A'}`);
+    }
+}
+
+// Analyzes every supported file and returns [{ file, analysis }] in the shape buildReport() expects.
+// Failures are collected per file instead of aborting the whole run. getContext(filePath,
+// code, languageId) supplies the project context of each file.
+async function analyzeFiles(provider, files, { rootDir, concurrency, analysisOptions = {}, getContext, onProgress = () => {} } = {}) {
+    const toDisplayPath = filePath => rootDir ? path.relative(rootDir, filePath) : filePath;
+    let completed = 0;
+
+    const outcomes = await runQueue(files, async filePath => {
+        const languageId = getLanguageIdFromFileExtension(filePath);
+        const skipped = !isAnalyzableLanguage(languageId);
+        try {
+            if (skipped) {
+                return null;
+            }
+            const code = await fs.promises.readFile(filePath, 'utf-8');
+            const context = getContext ? await getContext(filePath, code, languageId) : analysisOptions.context;
+            return await analyzeCode(provider, code, languageId, { ...analysisOptions, context });
+        } finally {
+            onProgress({ file: toDisplayPath(filePath), index: completed++, total: files.length, skipped });
+        }
+    }, { concurrency });
+
+    return {
+        results: outcomes
+            .filter(outcome => outcome.value)
+            .map(outcome => ({ file: toDisplayPath(outcome.item), analysis: outcome.value })),
+        failures: outcomes
+            .filter(outcome => outcome.error)
+            .map(outcome => ({ file: toDisplayPath(outcome.item), error: outcome.error }))
+    };
+}
+
+module.exports = {
+    parseModelJson,
+    extractPartialJsonString,
+    analyzeCode,
+    analyzeFiles
+};
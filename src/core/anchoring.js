@@ -0,0 +1,120 @@
+// Turns the positions reported by the model into ranges that point at real code. The
+// prompt shows 1-based line numbers, while everything downstream uses 0-based positions.
+
+function numberLines(code, firstLineNumber = 1) {
+    const lines = code.split('\n');
+    const width = String(firstLineNumber + lines.length - 1).length;
+    return lines.map((line, index) => `${String(firstLineNumber + index).padStart(width)} | ${line}`).join('\n');
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function toIndex(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.floor(value) : undefined;
+}
+
+// Finds every occurrence of snippet and returns the one starting closest to nearLine
+function locateSnippet(lines, snippet, nearLine) {
+    const snippetLines = snippet.replace(/\r\n/g, '\n').trim().split('\n').map(line => line.trim());
+    if (!snippetLines[0]) {
+        return null;
+    }
+
+    let best = null;
+    for (let line = 0; line < lines.length; line++) {
+        const column = lines[line].indexOf(snippetLines[0]);
+        if (column === -1) {
+            continue;
+        }
+        const matchesRest = snippetLines.slice(1).every((snippetLine, offset) =>
+            line + offset + 1 < lines.length && lines[line + offset + 1].includes(snippetLine));
+        if (!matchesRest) {
+            continue;
+        }
+
+        if (!best || Math.abs(line - nearLine) < Math.abs(best.line - nearLine)) {
+            const endLine = line + snippetLines.length - 1;
+            const lastSnippetLine = snippetLines[snippetLines.length - 1];
+            const endColumn = snippetLines.length === 1
+                ? column + lastSnippetLine.length
+                : lines[endLine].indexOf(lastSnippetLine) + lastSnippetLine.length;
+            best = { line, column, endLine, endColumn };
+        }
+    }
+    return best;
+}
+
+// Range covering the code on a line, without its indentation
+function wholeLine(lines, line) {
+    const text = lines[line];
+    const column = text.length - text.trimStart().length;
+    return { line, column, endLine: line, endColumn: Math.max(text.trimEnd().length, column) };
+}
+
+// firstLine is the 0-based file line of lines[0] when only an excerpt was analyzed
+function anchorIssue(issue, lines, firstLine) {
+    const lastLine = Math.max(lines.length - 1, 0);
+    const reportedLine = toIndex(issue.line) !== undefined ? toIndex(issue.line) - firstLine : undefined;
+    const reportedEndLine = toIndex(issue.endLine) !== undefined ? toIndex(issue.endLine) - firstLine : undefined;
+    const line = reportedLine !== undefined ? clamp(reportedLine - 1, 0, lastLine) : 0;
+
+    let range = typeof issue.snippet === 'string' ? locateSnippet(lines, issue.snippet, line) : null;
+    if (!range && reportedLine !== undefined && toIndex(issue.column) !== undefined) {
+        const column = clamp(toIndex(issue.column) - 1, 0, lines[line].length);
+        const endLine = reportedEndLine !== undefined ? clamp(reportedEndLine - 1, line, lastLine) : line;
+        let endColumn = toIndex(issue.endColumn) !== undefined
+            ? clamp(toIndex(issue.endColumn) - 1, 0, lines[endLine].length)
+            : lines[endLine].trimEnd().length;
+        if (endLine === line && endColumn <= column) {
+            endColumn = Math.min(column + 1, lines[line].length);
+        }
+        range = { line, column, endLine, endColumn };
+    }
+    if (!range) {
+        range = wholeLine(lines, line);
+    }
+
+    return { ...issue, ...range, line: range.line + firstLine, endLine: range.endLine + firstLine };
+}
+
+function anchorIssues(issues, code, firstLine = 0) {
+    const lines = code.split('\n');
+    return (issues || []).map(issue => anchorIssue(issue, lines, firstLine));
+}
+
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+// Moves a range ({ start, end } of { line, character }) to follow an edit that replaced
+// editRange with newText. Returns null when the edit touched the range itself.
+function adjustRangeForEdit(range, editRange, newText) {
+    if (comparePositions(editRange.start, range.end) >= 0) {
+        return range;
+    }
+    if (comparePositions(editRange.end, range.start) > 0) {
+        return null;
+    }
+
+    const insertedLines = newText.split('\n');
+    const lineDelta = insertedLines.length - 1 - (editRange.end.line - editRange.start.line);
+    const endCharacter = insertedLines.length === 1
+        ? editRange.start.character + newText.length
+        : insertedLines[insertedLines.length - 1].length;
+
+    const shift = position => ({
+        line: position.line + lineDelta,
+        character: position.line === editRange.end.line
+            ? position.character - editRange.end.character + endCharacter
+            : position.character
+    });
+    return { start: shift(range.start), end: shift(range.end) };
+}
+
+module.exports = {
+    numberLines,
+    anchorIssues,
+    adjustRangeForEdit
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Findings the team has accepted, stored in .aiassistant-baseline.json at the project root:
+// { "version": 1, "findings": [{ "file": "src/db.js", "fingerprint": "...", "type": "Bug", ... }] }
+// A finding is identified by its file, type, rule and the code it flags rather than by its
+// line or description, so it stays baselined when code above it moves or the model words
+// it differently.
+
+const BASELINE_FILE_NAME = '.aiassistant-baseline.json';
+const BASELINE_VERSION = 1;
+
+function normalizeCode(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// issue has 0-based line and endLine, as after anchoring
+function fingerprintIssue(issue, code) {
+    const lines = code.split('\n');
+    const flagged = lines.slice(issue.line, (issue.endLine !== undefined ? issue.endLine : issue.line) + 1).join('\n');
+    return crypto.createHash('sha256')
+        .update([issue.type, issue.ruleId || '', normalizeCode(flagged) || issue.description].join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Adds a fingerprint to every issue of an analysis of code
+function fingerprintAnalysis(analysis, code) {
+    return { ...analysis, issues: (analysis.issues || []).map(issue => ({ ...issue, fingerprint: fingerprintIssue(issue, code) })) };
+}
+
+// Paths in the baseline are relative to the project root and use forward slashes
+function toBaselinePath(relativePath) {
+    return relativePath.split(/[\\/]+/).join('/');
+}
+
+function createBaseline(findings = []) {
+    return { version: BASELINE_VERSION, findings };
+}
+
+// Returns the baseline in a .aiassistant-baseline.json file; throws for invalid content
+function parseBaseline(text) {
+    const baseline = JSON.parse(text);
+    if (!baseline || !Array.isArray(baseline.findings) ||
+        baseline.findings.some(finding => !finding || typeof finding.file !== 'string' || typeof finding.fingerprint !== 'string')) {
+        throw new Error(`Invalid ${BASELINE_FILE_NAME}: expected { "findings": [{ "file", "fingerprint" }] }.`);
+    }
+    return baseline;
+}
+
+function serializeBaseline(baseline) {
+    return JSON.stringify(baseline, null, 2) + '\n';
+}
+
+function baselineKey(file, fingerprint) {
+    return `${toBaselinePath(file)}|${fingerprint}`;
+}
+
+// results are [{ file, analysis }] with fingerprinted issues and project relative files.
+// Findings already in the baseline keep their entry; the result is sorted so that the file
+// diffs well.
+function addToBaseline(baseline, results) {
+    const findings = new Map((baseline?.findings || []).map(finding => [baselineKey(finding.file, finding.fingerprint), finding]));
+    for (const { file, analysis } of results) {
+        for (const issue of analysis.issues || []) {
+            const key = baselineKey(file, issue.fingerprint);
+            if (issue.fingerprint && !findings.has(key)) {
+                findings.set(key, {
+                    file: toBaselinePath(file),
+                    fingerprint: issue.fingerprint,
+                    type: issue.type,
+                    ruleId: issue.ruleId,
+                    description: issue.description,
+                    line: issue.line + 1
+                });
+            }
+        }
+    }
+    return createBaseline([...findings.values()].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line));
+}
+
+function isBaselined(baseline, file, issue) {
+    return Boolean(baseline) && Boolean(issue.fingerprint) &&
+        baseline.findings.some(finding => finding.fingerprint === issue.fingerprint && finding.file === toBaselinePath(file));
+}
+
+// Drops the issues of the analysis of file that are in the baseline
+function filterBaselined(analysis, file, baseline) {
+    if (!baseline || baseline.findings.length === 0) {
+        return analysis;
+    }
+    return { ...analysis, issues: (analysis.issues || []).filter(issue => !isBaselined(baseline, file, issue)) };
+}
+
+module.exports = {
+    BASELINE_FILE_NAME,
+    fingerprintIssue,
+    fingerprintAnalysis,
+    toBaselinePath,
+    createBaseline,
+    parseBaseline,
+    serializeBaseline,
+    addToBaseline,
+    isBaselined,
+    filterBaselined
+};
@@ -0,0 +1,71 @@
+const { buildChangesPrompt, buildRefinementRequest } = require('./prompts');
+const { DEFAULT_MAX_REPAIRS, completeStructured, CHANGES_FORMAT } = require('./structuredOutput');
+
+// A change request and its follow-ups. The whole conversation is resent on every turn so
+// the model can revise its previous proposal instead of starting over.
+class ChangeSession {
+    // excerpt ({ startLine, endLine, totalLines }) is set when only part of the file is sent;
+    // selection ({ startLine, endLine }) is relative to the code that is sent
+    // filePath is relative to the workspace root, so the model can address neighbouring files;
+    // context describes related files (see projectContext.js)
+    constructor({ code, languageId, userRequest, excerpt, selection, filePath, context }) {
+        this.excerpt = excerpt;
+        this.lineCount = code.split('\n').length;
+        this.requests = [userRequest];
+        this.messages = [{ role: 'user', content: buildChangesPrompt(code, languageId, userRequest, { excerpt, selection, filePath, context }) }];
+        this.changes = null;
+    }
+
+    // signal cancels the request and onToken(text) receives the streamed response so far.
+    // Only the valid answer becomes part of the conversation, not the rounds that repaired it.
+    async request(provider, { maxTokens = 2000, maxRepairs = DEFAULT_MAX_REPAIRS, signal, onToken } = {}) {
+        const { value: changes, raw } = await completeStructured(provider, {
+            messages: this.messages,
+            temperature: 0.4, // Slightly higher temperature for creative suggestions
+            maxTokens,
+            signal,
+            onToken
+        }, CHANGES_FORMAT, { maxRepairs, limits: { lineCount: this.lineCount } });
+        this.messages.push({ role: 'assistant', content: raw });
+        this.changes = this.toDocumentChanges(changes);
+        return this.changes;
+    }
+
+    async refine(provider, followUp, options) {
+        this.requests.push(followUp);
+        this.messages.push({ role: 'user', content: buildRefinementRequest(followUp) });
+        try {
+            return await this.request(provider, options);
+        } catch (error) {
+            // Keep the conversation consistent so the user can simply try again
+            this.requests.pop();
+            this.messages.pop();
+            throw error;
+        }
+    }
+
+    // Ranges are relative to the excerpt that was sent
+    toDocumentChanges(changes) {
+        if (!this.excerpt || !changes || !Array.isArray(changes.changes)) {
+            return changes;
+        }
+
+        return {
+            ...changes,
+            changes: changes.changes.map(change => {
+                if (typeof change.range?.start?.line !== 'number' || typeof change.range?.end?.line !== 'number') {
+                    return change;
+                }
+                return {
+                    ...change,
+                    range: {
+                        start: { ...change.range.start, line: change.range.start.line + this.excerpt.startLine },
+                        end: { ...change.range.end, line: change.range.end.line + this.excerpt.startLine }
+                    }
+                };
+            })
+        };
+    }
+}
+
+module.exports = { ChangeSession };
@@ -0,0 +1,114 @@
+// Token budgeting for large files. Files that do not fit into one prompt are split along
+// symbol boundaries (functions, classes, ...) and analyzed chunk by chunk.
+
+const DEFAULT_MAX_PROMPT_TOKENS = 6000;
+const DEFAULT_OVERLAP_LINES = 10;
+
+// Rough estimate that holds well enough for code with the common tokenizers
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Heuristic used when no language service is available (e.g. in the CLI): a top-level
+// declaration starts at an unindented line that follows a blank line or a closed block.
+function findSymbolBoundaries(code) {
+    const lines = code.split('\n');
+    const boundaries = [];
+    for (let line = 1; line < lines.length; line++) {
+        const text = lines[line];
+        const previous = lines[line - 1].trim();
+        if (!text.trim() || /^\s/.test(text) || /^[}\])]/.test(text)) {
+            continue;
+        }
+        if (previous === '' || /^[}\])]/.test(previous)) {
+            boundaries.push(line);
+        }
+    }
+    return boundaries;
+}
+
+// Returns [{ startLine, endLine, text }] with 0-based inclusive lines. Each chunk but the
+// first repeats overlapLines lines before its start so the model sees the surrounding context.
+function splitIntoChunks(code, { maxTokens = DEFAULT_MAX_PROMPT_TOKENS, overlapLines = DEFAULT_OVERLAP_LINES, boundaries = [] } = {}) {
+    const lines = code.split('\n');
+    if (estimateTokens(code) <= maxTokens) {
+        return [{ startLine: 0, endLine: lines.length - 1, text: code }];
+    }
+
+    const lineTokens = lines.map(line => estimateTokens(`${line}\n`));
+    const starts = [...new Set([0, ...boundaries.filter(line => line > 0 && line < lines.length)])].sort((a, b) => a - b);
+
+    // Symbol segments, with segments that are too large on their own split by lines
+    const pieces = [];
+    starts.forEach((start, index) => {
+        const end = (index + 1 < starts.length ? starts[index + 1] : lines.length) - 1;
+        let piece = null;
+        for (let line = start; line <= end; line++) {
+            if (piece && piece.tokens + lineTokens[line] > maxTokens) {
+                pieces.push(piece);
+                piece = null;
+            }
+            piece = piece || { start: line, end: line, tokens: 0 };
+            piece.end = line;
+            piece.tokens += lineTokens[line];
+        }
+        pieces.push(piece);
+    });
+
+    // Pack consecutive pieces into as few chunks as the budget allows
+    const chunks = [];
+    let current = null;
+    for (const piece of pieces) {
+        if (current && current.tokens + piece.tokens <= maxTokens) {
+            current.end = piece.end;
+            current.tokens += piece.tokens;
+        } else {
+            if (current) {
+                chunks.push(current);
+            }
+            current = { ...piece };
+        }
+    }
+    chunks.push(current);
+
+    return chunks.map(({ start, end }) => {
+        const startLine = Math.max(0, start - overlapLines);
+        return { startLine, endLine: end, text: lines.slice(startLine, end + 1).join('\n') };
+    });
+}
+
+// Chunk containing the given 0-based line, used to scope requests on large files
+function findChunkForLine(chunks, line) {
+    return chunks.find(chunk => line <= chunk.endLine) || chunks[chunks.length - 1];
+}
+
+// Combines per-chunk analyses whose positions are already file based. Findings in the
+// overlapping lines can be reported twice, so duplicates are dropped.
+function mergeAnalyses(analyses) {
+    const seen = new Set();
+    const unique = (items, keyOf) => items.filter(item => {
+        const key = keyOf(item);
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+
+    const all = kind => analyses.flatMap(analysis => analysis[kind] || []);
+    return {
+        issues: unique(all('issues'), issue => `issue|${issue.line}|${issue.type}|${issue.description}`),
+        suggestions: unique(all('suggestions'), suggestion => `suggestion|${suggestion.description || suggestion}`),
+        improvements: unique(all('improvements'), improvement => `improvement|${improvement.description || improvement}`)
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_PROMPT_TOKENS,
+    DEFAULT_OVERLAP_LINES,
+    estimateTokens,
+    findSymbolBoundaries,
+    splitIntoChunks,
+    findChunkForLine,
+    mergeAnalyses
+};
@@ -0,0 +1,185 @@
+// Line diffs for the change preview and helpers to apply range based changes to text.
+
+// Above this many cells the LCS table gets too large, and the changed block is shown as a
+// plain removal followed by an addition instead.
+const MAX_LCS_CELLS = 4000000;
+
+// Returns [{ type: 'equal' | 'remove' | 'add', text }] describing how to turn oldText into newText
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    // Common prefix and suffix never need the LCS table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const ops = oldLines.slice(0, prefix).map(text => ({ type: 'equal', text }));
+
+    if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+        oldMiddle.forEach(text => ops.push({ type: 'remove', text }));
+        newMiddle.forEach(text => ops.push({ type: 'add', text }));
+    } else {
+        ops.push(...lcsDiff(oldMiddle, newMiddle));
+    }
+
+    oldLines.slice(oldLines.length - suffix).forEach(text => ops.push({ type: 'equal', text }));
+    return ops;
+}
+
+function lcsDiff(oldLines, newLines) {
+    const rows = oldLines.length + 1;
+    const columns = newLines.length + 1;
+    const lengths = new Uint32Array(rows * columns);
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i * columns + j] = oldLines[i] === newLines[j]
+                ? lengths[(i + 1) * columns + j + 1] + 1
+                : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            ops.push({ type: 'equal', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+            ops.push({ type: 'remove', text: oldLines[i++] });
+        } else {
+            ops.push({ type: 'add', text: newLines[j++] });
+        }
+    }
+    while (i < oldLines.length) {
+        ops.push({ type: 'remove', text: oldLines[i++] });
+    }
+    while (j < newLines.length) {
+        ops.push({ type: 'add', text: newLines[j++] });
+    }
+    return ops;
+}
+
+function getLineOffsets(text) {
+    const lineOffsets = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineOffsets.push(i + 1);
+        }
+    }
+    return lineOffsets;
+}
+
+function positionToOffset(lineOffsets, text, position) {
+    const line = Math.min(Math.max(position.line, 0), lineOffsets.length - 1);
+    const lineEnd = line + 1 < lineOffsets.length ? lineOffsets[line + 1] - 1 : text.length;
+    return Math.min(lineOffsets[line] + Math.max(position.character, 0), lineEnd);
+}
+
+function offsetToPosition(lineOffsets, offset) {
+    let line = 0;
+    while (line + 1 < lineOffsets.length && lineOffsets[line + 1] <= offset) {
+        line++;
+    }
+    return { line, character: offset - lineOffsets[line] };
+}
+
+function isValidChange(change) {
+    return Boolean(change) &&
+        typeof change.range?.start?.line === 'number' && typeof change.range?.start?.character === 'number' &&
+        typeof change.range?.end?.line === 'number' && typeof change.range?.end?.character === 'number' &&
+        typeof change.newText === 'string';
+}
+
+function getRangeText(text, range) {
+    const lineOffsets = getLineOffsets(text);
+    return text.slice(positionToOffset(lineOffsets, text, range.start), positionToOffset(lineOffsets, text, range.end));
+}
+
+// Checks that a change still replaces its originalText. When the text has moved, the change
+// is moved to the nearest occurrence of originalText; returns null when it is gone. Changes
+// without originalText (or pure insertions) cannot be checked and are returned as they are.
+// A change without a range is placed at the first occurrence of originalText.
+function locateChange(text, change) {
+    if (typeof change.originalText !== 'string' || change.originalText === '') {
+        return change;
+    }
+
+    const lineOffsets = getLineOffsets(text);
+    const start = change.range ? positionToOffset(lineOffsets, text, change.range.start) : 0;
+    if (change.range && text.startsWith(change.originalText, start) &&
+        positionToOffset(lineOffsets, text, change.range.end) === start + change.originalText.length) {
+        return change;
+    }
+
+    let nearest = -1;
+    for (let offset = text.indexOf(change.originalText); offset !== -1; offset = text.indexOf(change.originalText, offset + 1)) {
+        if (nearest === -1 || Math.abs(offset - start) < Math.abs(nearest - start)) {
+            nearest = offset;
+        }
+    }
+    if (nearest === -1) {
+        return null;
+    }
+    return {
+        ...change,
+        range: {
+            start: offsetToPosition(lineOffsets, nearest),
+            end: offsetToPosition(lineOffsets, nearest + change.originalText.length)
+        }
+    };
+}
+
+// Pairs of indexes of changes whose ranges overlap; edits that only touch are fine
+function findOverlappingChanges(text, changes) {
+    const lineOffsets = getLineOffsets(text);
+    const spans = changes
+        .map((change, index) => ({
+            index,
+            start: positionToOffset(lineOffsets, text, change.range.start),
+            end: positionToOffset(lineOffsets, text, change.range.end)
+        }))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const overlaps = [];
+    for (let i = 0; i < spans.length; i++) {
+        for (let j = i + 1; j < spans.length && spans[j].start < spans[i].end; j++) {
+            overlaps.push([Math.min(spans[i].index, spans[j].index), Math.max(spans[i].index, spans[j].index)]);
+        }
+    }
+    return overlaps;
+}
+
+// Applies { range, newText } changes (0-based line/character ranges into text) and returns
+// the new text. Changes must not overlap.
+function applyTextChanges(text, changes) {
+    const lineOffsets = getLineOffsets(text);
+    const edits = changes
+        .map(change => ({
+            start: positionToOffset(lineOffsets, text, change.range.start),
+            end: positionToOffset(lineOffsets, text, change.range.end),
+            newText: change.newText
+        }))
+        .sort((a, b) => b.start - a.start);
+
+    return edits.reduce((result, edit) => result.slice(0, edit.start) + edit.newText + result.slice(edit.end), text);
+}
+
+module.exports = {
+    diffLines,
+    isValidChange,
+    getRangeText,
+    locateChange,
+    findOverlappingChanges,
+    applyTextChanges
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { findSymbolBoundaries, splitIntoChunks } = require('./chunking');
+
+// A small vector index over code chunks for semantic search. Vectors come from the
+// provider's embedding endpoint, or from LocalEmbeddingProvider when there is none.
+
+const INDEX_FORMAT_VERSION = 1;
+const DEFAULT_INDEX_CHUNK_TOKENS = 400;
+const EMBEDDING_BATCH_SIZE = 64;
+const LOCAL_EMBEDDING_DIMENSIONS = 512;
+
+// Identifiers are split into words (parseJSON -> parse, json) so related code shares features
+function tokenize(text) {
+    return (text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || [])
+        .map(word => word.toLowerCase())
+        .filter(word => word.length > 1);
+}
+
+// Feature hashing of words and word pairs. Far weaker than a real embedding model, but it
+// needs no network and is deterministic, which makes it a usable stand-in and test double.
+class LocalEmbeddingProvider {
+    constructor({ dimensions = LOCAL_EMBEDDING_DIMENSIONS } = {}) {
+        this.id = 'local';
+        this.embeddingModel = `hashing-${dimensions}`;
+        this.dimensions = dimensions;
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(this.dimensions).fill(0);
+            const words = tokenize(text);
+            const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+            for (const feature of features) {
+                const hash = crypto.createHash('md5').update(feature).digest();
+                const sign = hash[4] & 1 ? 1 : -1;
+                vector[hash.readUInt32LE(0) % this.dimensions] += sign;
+            }
+            return normalize(vector);
+        });
+    }
+}
+
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let lengthA = 0;
+    let lengthB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        lengthA += a[i] * a[i];
+        lengthB += b[i] * b[i];
+    }
+    return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}
+
+function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4));
+}
+
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Chunks of one file with their embeddings. The file path is prepended to the embedded
+// text because it often says as much about the code as the code itself.
+async function embedFile(embedder, file, code, { maxTokens = DEFAULT_INDEX_CHUNK_TOKENS } = {}) {
+    const chunks = splitIntoChunks(code, { maxTokens, overlapLines: 2, boundaries: findSymbolBoundaries(code) })
+        .filter(chunk => chunk.text.trim());
+    const vectors = [];
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+        vectors.push(...await embedder.embed(batch.map(chunk => `${file}\n${chunk.text}`)));
+    }
+    return chunks.map((chunk, i) => ({ startLine: chunk.startLine, endLine: chunk.endLine, text: chunk.text, vector: vectors[i] }));
+}
+
+// Files are keyed by workspace relative path; model identifies the embedder, and vectors
+// from another model are never compared with each other
+class EmbeddingIndex {
+    constructor(model) {
+        this.model = model;
+        this.files = new Map();
+    }
+
+    needsUpdate(file, contentHash) {
+        return this.files.get(file)?.hash !== contentHash;
+    }
+
+    setFile(file, contentHash, chunks) {
+        this.files.set(file, { hash: contentHash, chunks });
+    }
+
+    removeFile(file) {
+        return this.files.delete(file);
+    }
+
+    getFiles() {
+        return [...this.files.keys()];
+    }
+
+    get chunkCount() {
+        return [...this.files.values()].reduce((sum, entry) => sum + entry.chunks.length, 0);
+    }
+
+    // Best matching chunks as [{ file, startLine, endLine, text, score }], highest score first
+    search(queryVector, { limit = 8 } = {}) {
+        const matches = [];
+        for (const [file, entry] of this.files) {
+            for (const chunk of entry.chunks) {
+                matches.push({ file, startLine: chunk.startLine, endLine: chunk.endLine, text: chunk.text, score: cosineSimilarity(queryVector, chunk.vector) });
+            }
+        }
+        return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    toJSON() {
+        return {
+            version: INDEX_FORMAT_VERSION,
+            model: this.model,
+            files: Object.fromEntries([...this.files].map(([file, entry]) => [file, {
+                hash: entry.hash,
+                chunks: entry.chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) }))
+            }]))
+        };
+    }
+
+    // Returns an empty index when the data was written by another version or model
+    static fromJSON(data, model) {
+        const index = new EmbeddingIndex(model);
+        if (data?.version !== INDEX_FORMAT_VERSION || data.model !== model) {
+            return index;
+        }
+        for (const [file, entry] of Object.entries(data.files || {})) {
+            index.setFile(file, entry.hash, entry.chunks.map(chunk => ({ ...chunk, vector: decodeVector(chunk.vector) })));
+        }
+        return index;
+    }
+}
+
+module.exports = {
+    DEFAULT_INDEX_CHUNK_TOKENS,
+    LocalEmbeddingProvider,
+    cosineSimilarity,
+    hashContent,
+    embedFile,
+    EmbeddingIndex
+};
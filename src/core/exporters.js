@@ -0,0 +1,147 @@
+// Serializers for reports built by buildReport(). They only depend on the report model,
+// so the extension and the CLI produce identical files.
+
+const TOOL_NAME = 'AI Code Assistant';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+    Error: 'error',
+    Warning: 'warning',
+    Information: 'note'
+};
+
+// Team rules keep their own ids; other findings are grouped by kind and type
+function toRuleId(item) {
+    if (item.ruleId) {
+        return `team/${item.ruleId}`;
+    }
+    const slug = item.type.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${item.kind}/${slug || 'general'}`;
+}
+
+function toArtifactUri(file) {
+    return file.replace(/\\/g, '/');
+}
+
+function toSarif(report, { toolVersion = '0.0.0' } = {}) {
+    const rules = [];
+    const ruleIndexes = new Map();
+
+    const results = report.items.map(item => {
+        const ruleId = toRuleId(item);
+        if (!ruleIndexes.has(ruleId)) {
+            ruleIndexes.set(ruleId, rules.length);
+            const rule = {
+                id: ruleId,
+                name: (item.ruleId || item.type).replace(/[^A-Za-z0-9]/g, ''),
+                shortDescription: { text: item.ruleId ? `${item.type}: ${item.ruleId}` : item.type },
+                defaultConfiguration: { level: SARIF_LEVELS[item.severity] || 'warning' },
+                properties: { kind: item.kind, tags: [item.kind] }
+            };
+            if (/security/i.test(item.type)) {
+                rule.properties.tags.push('security');
+            }
+            rules.push(rule);
+        }
+
+        const region = {};
+        if (item.line !== undefined) {
+            region.startLine = item.line + 1; // SARIF lines and columns are 1-based
+            if (item.column !== undefined) {
+                region.startColumn = item.column + 1;
+            }
+            if (item.endLine !== undefined) {
+                region.endLine = item.endLine + 1;
+                if (item.endColumn !== undefined) {
+                    region.endColumn = item.endColumn + 1;
+                }
+            }
+        }
+
+        return {
+            ruleId,
+            ruleIndex: ruleIndexes.get(ruleId),
+            level: SARIF_LEVELS[item.severity] || 'warning',
+            message: { text: item.description },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toArtifactUri(item.file), uriBaseId: '%SRCROOT%' },
+                    ...(region.startLine ? { region } : {})
+                }
+            }]
+        };
+    });
+
+    return JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: toolVersion,
+                    rules
+                }
+            },
+            artifacts: report.files.map(file => ({ location: { uri: toArtifactUri(file), uriBaseId: '%SRCROOT%' } })),
+            results
+        }]
+    }, null, 2);
+}
+
+function toJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]|<>])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(report) {
+    const lines = [
+        `# ${TOOL_NAME} Report`,
+        '',
+        `Generated ${report.generatedAt} · ${report.fileCount} files · ${report.counts.total} findings`,
+        '',
+        '| Severity | Count |',
+        '| --- | --- |',
+        ...['Error', 'Warning', 'Information'].map(severity => `| ${severity} | ${report.counts.bySeverity[severity] || 0} |`),
+        ''
+    ];
+
+    const byFile = new Map();
+    report.items.forEach(item => {
+        if (!byFile.has(item.file)) {
+            byFile.set(item.file, []);
+        }
+        byFile.get(item.file).push(item);
+    });
+
+    for (const [file, items] of byFile) {
+        lines.push(`## ${escapeMarkdown(file)}`, '');
+        items.forEach(item => {
+            const location = item.line !== undefined ? ` (line ${item.line + 1})` : '';
+            const type = item.ruleId ? `${item.type} (${item.ruleId})` : item.type;
+            lines.push(`- **${item.severity}** · ${escapeMarkdown(type)}${location}: ${escapeMarkdown(item.description)}`);
+        });
+        lines.push('');
+    }
+
+    if (byFile.size === 0) {
+        lines.push('No findings.', '');
+    }
+    return lines.join('\n');
+}
+
+const EXPORT_FORMATS = {
+    sarif: { label: 'SARIF 2.1.0', extension: 'sarif', serialize: toSarif },
+    json: { label: 'JSON', extension: 'json', serialize: toJson },
+    markdown: { label: 'Markdown', extension: 'md', serialize: toMarkdown }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    toSarif,
+    toJson,
+    toMarkdown
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const { isValidChange } = require('./diff');
+const { globToRegExp } = require('./ignore');
+
+// Edits to other files than the one the changes were requested for. Paths are relative to
+// the workspace folder of that file; the model may not reach outside of it.
+
+const FILE_OPERATION_TYPES = ['edit', 'create', 'rename', 'delete'];
+// Never changed, whatever the settings say
+const ALWAYS_PROTECTED_PATHS = ['.git/**', '**/.git/**'];
+
+// Returns the normalized relative path (with forward slashes), or null when the path is
+// absolute or leaves the workspace folder
+function normalizeRelativePath(relativePath) {
+    if (typeof relativePath !== 'string' || relativePath.trim() === '') {
+        return null;
+    }
+    const slashed = relativePath.trim().replace(/\\/g, '/');
+    if (path.posix.isAbsolute(slashed) || /^[A-Za-z]:/.test(slashed)) {
+        return null;
+    }
+    const normalized = path.posix.normalize(slashed).replace(/^\.\//, '');
+    if (normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+        return null;
+    }
+    return normalized;
+}
+
+// Edits in other files may leave out the range; they are then located by originalText
+function isValidFileEdit(change) {
+    return Boolean(change) && typeof change.newText === 'string' &&
+        (isValidChange(change) || (typeof change.originalText === 'string' && change.originalText !== ''));
+}
+
+function normalizeFileOperation(operation, isProtected) {
+    if (!operation || !FILE_OPERATION_TYPES.includes(operation.type)) {
+        throw new Error(`Unknown file operation type "${operation?.type}".`);
+    }
+    const filePath = normalizeRelativePath(operation.path);
+    if (!filePath) {
+        throw new Error(`Invalid path "${operation.path}"; paths must be relative to the workspace folder.`);
+    }
+    if (isProtected(filePath)) {
+        throw new Error(`${filePath} is excluded or never sent to the AI and cannot be changed by it.`);
+    }
+
+    switch (operation.type) {
+        case 'edit': {
+            const changes = Array.isArray(operation.changes) ? operation.changes.filter(isValidFileEdit) : [];
+            if (changes.length === 0) {
+                throw new Error(`Edit of ${filePath} contains no valid changes.`);
+            }
+            return { type: 'edit', path: filePath, changes };
+        }
+        case 'create':
+            if (typeof operation.content !== 'string') {
+                throw new Error(`New file ${filePath} has no content.`);
+            }
+            return { type: 'create', path: filePath, content: operation.content };
+        case 'rename': {
+            const newPath = normalizeRelativePath(operation.newPath);
+            if (!newPath) {
+                throw new Error(`Invalid new path "${operation.newPath}" for ${filePath}.`);
+            }
+            if (isProtected(newPath)) {
+                throw new Error(`${newPath} is excluded or never sent to the AI and cannot be changed by it.`);
+            }
+            return { type: 'rename', path: filePath, newPath };
+        }
+        default:
+            return { type: 'delete', path: filePath };
+    }
+}
+
+// Validates the fileOperations of a change response. Returns { operations, errors } so
+// one malformed entry does not discard the rest of the proposal. Operations on paths that
+// match protectedPaths (globs such as the exclude and never-send settings) or lie in .git
+// are rejected.
+function normalizeFileOperations(fileOperations, { protectedPaths = [] } = {}) {
+    const matchers = [...ALWAYS_PROTECTED_PATHS, ...protectedPaths].map(globToRegExp);
+    const isProtected = filePath => matchers.some(matcher => matcher.test(filePath));
+    const operations = [];
+    const errors = [];
+    (Array.isArray(fileOperations) ? fileOperations : []).forEach(operation => {
+        try {
+            operations.push(normalizeFileOperation(operation, isProtected));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+    return { operations, errors };
+}
+
+function describeFileOperation(operation) {
+    switch (operation.type) {
+        case 'create':
+            return `Create ${operation.path}`;
+        case 'rename':
+            return `Rename ${operation.path} to ${operation.newPath}`;
+        case 'delete':
+            return `Delete ${operation.path}`;
+        default:
+            return `Edit ${operation.path}`;
+    }
+}
+
+module.exports = {
+    FILE_OPERATION_TYPES,
+    normalizeRelativePath,
+    normalizeFileOperations,
+    describeFileOperation
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { EXTENSION_TO_LANGUAGE_ID } = require('./languages');
+const { globToRegExp, IgnoreRules } = require('./ignore');
+
+// Skip common ignored and generated directories like node_modules, .git, etc.
+const DEFAULT_EXCLUDES = [
+    '**/node_modules/**',
+    '**/.git/**',
+    '**/.vscode/**',
+    '**/build/**',
+    '**/dist/**',
+    '**/out/**',
+    '**/coverage/**'
+];
+const DEFAULT_MAX_FILE_SIZE = 200 * 1024;
+const PROJECT_IGNORE_FILE = '.aiassistantignore';
+
+async function readIgnoreFile(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf-8');
+    } catch {
+        return null;
+    }
+}
+
+// options.include / options.exclude are globs relative to folder. A maxFileSize of 0
+// disables the size limit. .aiassistantignore files are always honored.
+async function getCodeFiles(folder, options = {}) {
+    const {
+        include = [],
+        exclude = DEFAULT_EXCLUDES,
+        maxFileSize = DEFAULT_MAX_FILE_SIZE,
+        respectGitignore = true
+    } = options;
+    const supportedExtensions = Object.keys(EXTENSION_TO_LANGUAGE_ID);
+    const includeMatchers = include.map(globToRegExp);
+    const excludeMatchers = exclude.map(globToRegExp);
+    const ignoreRules = new IgnoreRules();
+    const ignoreFileNames = respectGitignore ? ['.gitignore', PROJECT_IGNORE_FILE] : [PROJECT_IGNORE_FILE];
+    const files = [];
+
+    const isExcluded = (relativePath, isDirectory) =>
+        excludeMatchers.some(matcher => matcher.test(relativePath)) || ignoreRules.ignores(relativePath, isDirectory);
+
+    const walkDir = async (dir, relativeDir) => {
+        for (const name of ignoreFileNames) {
+            const content = await readIgnoreFile(path.join(dir, name));
+            if (content !== null) {
+                ignoreRules.add(content, relativeDir);
+            }
+        }
+
+        const items = await fs.promises.readdir(dir, { withFileTypes: true });
+        for (const item of items) {
+            const fullPath = path.join(dir, item.name);
+            const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+            if (item.isDirectory()) {
+                if (!isExcluded(relativePath, true)) {
+                    await walkDir(fullPath, relativePath);
+                }
+            } else if (item.isFile() &&
+                supportedExtensions.includes(path.extname(item.name).toLowerCase()) &&
+                (includeMatchers.length === 0 || includeMatchers.some(matcher => matcher.test(relativePath))) &&
+                !isExcluded(relativePath, false)) {
+                if (maxFileSize > 0 && (await fs.promises.stat(fullPath)).size > maxFileSize) {
+                    continue;
+                }
+                files.push(fullPath);
+            }
+        }
+    };
+
+    await walkDir(folder, '');
+    return files;
+}
+
+module.exports = {
+    DEFAULT_EXCLUDES,
+    DEFAULT_MAX_FILE_SIZE,
+    PROJECT_IGNORE_FILE,
+    getCodeFiles
+};
@@ -0,0 +1,137 @@
+const { execFile } = require('child_process');
+
+// Pending changes of a git working tree, read with the local git executable so the
+// extension and the CLI see the same diff.
+
+const REVIEW_SCOPES = ['uncommitted', 'staged', 'branch'];
+
+function runGit(cwd, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', ['-c', 'core.quotepath=false', ...args], { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = (stderr || '').trim() || error.message;
+                reject(new Error(error.code === 'ENOENT' ? 'git was not found on the PATH' : `git ${args[0]} failed: ${detail}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// Paths with unusual characters are quoted C-style even with core.quotepath off
+function unquotePath(text) {
+    if (!text.startsWith('"')) {
+        return text;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text.slice(1, -1);
+    }
+}
+
+function stripPrefix(text) {
+    const file = unquotePath(text.trim());
+    return file === '/dev/null' ? null : file.replace(/^[ab]\//, '');
+}
+
+// Sorted, merged 0-based inclusive ranges
+function mergeRanges(ranges) {
+    const merged = [];
+    [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged;
+}
+
+// Parses `git diff --unified=0` output into [{ file, oldFile, status, changedLines }], where
+// changedLines are 0-based inclusive { start, end } ranges of the new file. Where lines were
+// only removed, the lines around the removal count as changed so that it gets reviewed.
+function parseUnifiedDiff(text) {
+    const files = [];
+    let current = null;
+    for (const line of text.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            current = { file: null, oldFile: null, status: 'modified', changedLines: [] };
+            files.push(current);
+        } else if (!current) {
+            continue;
+        } else if (line.startsWith('new file mode')) {
+            current.status = 'added';
+        } else if (line.startsWith('deleted file mode')) {
+            current.status = 'deleted';
+        } else if (line.startsWith('rename from ')) {
+            current.status = 'renamed';
+            current.oldFile = unquotePath(line.slice('rename from '.length));
+        } else if (line.startsWith('rename to ')) {
+            current.file = unquotePath(line.slice('rename to '.length));
+        } else if (line.startsWith('--- ')) {
+            current.oldFile = stripPrefix(line.slice(4));
+        } else if (line.startsWith('+++ ')) {
+            current.file = stripPrefix(line.slice(4));
+        } else {
+            const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+            if (hunk) {
+                const start = Number(hunk[1]);
+                const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+                current.changedLines.push(count > 0
+                    ? { start: start - 1, end: start + count - 2 }
+                    : { start: Math.max(start - 1, 0), end: start });
+            }
+        }
+    }
+
+    return files
+        .map(file => ({ ...file, file: file.file || file.oldFile, changedLines: mergeRanges(file.changedLines) }))
+        .filter(file => file.file);
+}
+
+// Changed files below cwd, relative to it: { file, status, changedLines }. changedLines is
+// null for untracked files, which are new as a whole. Scopes:
+// - uncommitted: staged and unstaged changes against HEAD, plus untracked files
+// - staged: what the next commit contains
+// - branch: everything since the branch left base, including uncommitted changes
+async function getPendingChanges(cwd, { scope = 'uncommitted', base } = {}) {
+    if (!REVIEW_SCOPES.includes(scope)) {
+        throw new Error(`Unknown review scope "${scope}"; expected one of ${REVIEW_SCOPES.join(', ')}.`);
+    }
+    if (scope === 'branch' && !base) {
+        throw new Error('Reviewing a branch needs the base branch to compare with.');
+    }
+
+    const diffArgs = ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--find-renames', '--relative'];
+    let against;
+    if (scope === 'staged') {
+        diffArgs.push('--cached');
+    } else if (scope === 'branch') {
+        against = (await runGit(cwd, ['merge-base', base, 'HEAD'])).trim();
+    } else {
+        against = 'HEAD';
+    }
+    const changes = parseUnifiedDiff(await runGit(cwd, against ? [...diffArgs, against] : diffArgs))
+        .filter(change => change.status !== 'deleted' && change.changedLines.length > 0)
+        .map(({ file, status, changedLines }) => ({ file, status, changedLines }));
+
+    if (scope !== 'staged') {
+        const untracked = (await runGit(cwd, ['ls-files', '--others', '--exclude-standard', '-z'])).split('\0').filter(Boolean);
+        changes.push(...untracked.map(file => ({ file, status: 'added', changedLines: null })));
+    }
+    return changes;
+}
+
+// Content of a file as staged, which is what the line numbers of a staged review refer to
+function readStagedFile(cwd, file) {
+    return runGit(cwd, ['show', `:./${file}`]);
+}
+
+module.exports = {
+    REVIEW_SCOPES,
+    parseUnifiedDiff,
+    getPendingChanges,
+    readStagedFile
+};
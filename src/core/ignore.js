@@ -0,0 +1,124 @@
+// Glob and .gitignore matching for workspace relative paths using '/' separators.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '/' && glob.slice(i + 1) === '**') {
+            // A trailing '/**' also matches the directory itself, so whole trees can be pruned
+            source += '(?:/.*)?';
+            break;
+        } else if (char === '*') {
+            if (glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    i++;
+                    source += '(?:.*/)?'; // '**/' matches zero or more directories
+                } else {
+                    source += '.*';
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const characters = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                source += `[${characters[0] === '!' ? '^' + characters.slice(1) : characters}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                const alternatives = glob.slice(i + 1, end).split(',').map(globToRegExpSource);
+                source += `(?:${alternatives.join('|')})`;
+                i = end;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${globToRegExpSource(glob.replace(/^\.?\//, ''))}$`);
+}
+
+function parseIgnoreRule(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) {
+        return null;
+    }
+
+    const negated = pattern.startsWith('!');
+    if (negated || pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+        pattern = pattern.slice(1);
+    }
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) {
+        pattern = pattern.slice(0, -1);
+    }
+
+    // Patterns without a slash match at any depth, the rest are relative to the ignore file
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    const source = globToRegExpSource(pattern);
+    return {
+        negated,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+    };
+}
+
+// Rules from .gitignore style files. Files are added top-down while walking, so a nested
+// file's rules come after its parents' and, as in git, the last matching rule wins.
+class IgnoreRules {
+    constructor() {
+        this.rules = [];
+    }
+
+    add(content, baseDir = '') {
+        content.split(/\r?\n/).forEach(line => {
+            const rule = parseIgnoreRule(line);
+            if (rule) {
+                this.rules.push({ ...rule, baseDir });
+            }
+        });
+    }
+
+    ignores(relativePath, isDirectory) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (rule.directoryOnly && !isDirectory) {
+                continue;
+            }
+            if (rule.baseDir && !relativePath.startsWith(`${rule.baseDir}/`)) {
+                continue;
+            }
+
+            const pathFromBase = rule.baseDir ? relativePath.slice(rule.baseDir.length + 1) : relativePath;
+            if (rule.regex.test(pathFromBase)) {
+                ignored = !rule.negated;
+            }
+        }
+        return ignored;
+    }
+}
+
+module.exports = {
+    globToRegExp,
+    IgnoreRules
+};
@@ -0,0 +1,39 @@
+// Explicitly define common code file extensions and their corresponding language IDs
+const EXTENSION_TO_LANGUAGE_ID = {
+    '.js': 'javascript',
+    '.ts': 'typescript',
+    '.jsx': 'javascriptreact',
+    '.tsx': 'typescriptreact',
+    '.py': 'python',
+    '.java': 'java',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.cpp': 'cpp',
+    '.c': 'c',
+    '.cs': 'csharp',
+    '.php': 'php',
+    '.rb': 'ruby',
+    '.json': 'json', // Often contains configuration/data, useful for analysis
+    '.xml': 'xml',
+    '.html': 'html',
+    '.css': 'css'
+};
+
+// Languages a codebase run and automatic analysis actually send to the model
+const ANALYZABLE_LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'python', 'java', 'go', 'rust', 'cpp', 'csharp', 'php', 'ruby'];
+
+function getLanguageIdFromFileExtension(filePath) {
+    const match = /\.[^./\\]+$/.exec(filePath);
+    return match ? EXTENSION_TO_LANGUAGE_ID[match[0].toLowerCase()] : undefined;
+}
+
+function isAnalyzableLanguage(languageId) {
+    return ANALYZABLE_LANGUAGES.includes(languageId);
+}
+
+module.exports = {
+    EXTENSION_TO_LANGUAGE_ID,
+    ANALYZABLE_LANGUAGES,
+    getLanguageIdFromFileExtension,
+    isAnalyzableLanguage
+};
@@ -0,0 +1,197 @@
+const { globToRegExp } = require('./ignore');
+
+// Keeps secrets and personal data on the machine. Files matching the never-send globs are not
+// sent at all, and everything else is redacted before it goes to the provider: API keys,
+// tokens, private keys, connection strings and emails are replaced by placeholders such as
+// [REDACTED_API_KEY_1], which are put back into the responses so that proposed edits still
+// contain the original values.
+
+const DEFAULT_NEVER_SEND = [
+    '**/.env',
+    '**/.env.*',
+    '**/*.pem',
+    '**/*.key',
+    '**/*.p12',
+    '**/*.pfx',
+    '**/id_rsa*',
+    '**/.npmrc',
+    '**/secrets/**'
+];
+
+const REDACTION_KINDS = {
+    privateKey: 'private key',
+    connectionString: 'connection string',
+    apiKey: 'API key',
+    token: 'token',
+    password: 'password',
+    secret: 'secret',
+    email: 'email'
+};
+
+const PLACEHOLDER_PATTERN = /\[REDACTED_[A-Z_]+_\d+\]/g;
+const KEY_BLOCK_LINE = /^\s*-----(?:BEGIN|END) [A-Z0-9 ]*-----\s*$/;
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|private[_-]?key|access[_-]?key|credentials?)[A-Za-z0-9_.-]*';
+
+// In order: earlier detectors take precedence, e.g. a connection string is not also
+// redacted as an email. With a `secret` group only that part of the match is replaced.
+const DETECTORS = [
+    { kind: 'privateKey', pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY-----[\s\S]*?-----END \1PRIVATE KEY-----/g },
+    { kind: 'connectionString', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"`]+:[^\s@'"`]+@[^\s'"`]+/gi },
+    { kind: 'password', pattern: /(?<=[;'"`]\s*)(?:password|pwd)\s*=\s*(?<secret>[^;'"`\s]+)/gi },
+    { kind: 'apiKey', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { kind: 'apiKey', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+    { kind: 'apiKey', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { kind: 'apiKey', pattern: /\b[rsp]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+    { kind: 'token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { kind: 'token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { kind: 'token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { kind: 'token', pattern: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{20,}=*)/g },
+    { kind: 'secret', pattern: new RegExp(`${SECRET_NAME}["']?\\s*[:=]\\s*(?<quote>["'\`])(?<secret>[^"'\`\\s]{8,})\\k<quote>`, 'gi') },
+    { kind: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g }
+];
+
+function isPlaceholder(text) {
+    return new RegExp(`^${PLACEHOLDER_PATTERN.source}$`).test(text);
+}
+
+// Values that only refer to a secret kept elsewhere, e.g. "${API_TOKEN}"
+function isReference(text) {
+    return /\$\{|\{\{|%\(|process\.env/.test(text);
+}
+
+// Replaces secrets with placeholders and restores them. One value always gets the same
+// placeholder for the lifetime of the redactor, so the model sees consistent code across
+// requests and placeholders in responses can be mapped back.
+class Redactor {
+    constructor({ emails = true } = {}) {
+        this.detectors = emails ? DETECTORS : DETECTORS.filter(detector => detector.kind !== 'email');
+        this.placeholders = new Map(); // value -> placeholder
+        this.values = new Map(); // placeholder -> value
+        this.counts = new Map(); // kind -> placeholders handed out
+    }
+
+    getPlaceholder(kind, value) {
+        if (!this.placeholders.has(value)) {
+            const count = (this.counts.get(kind) || 0) + 1;
+            this.counts.set(kind, count);
+            const placeholder = `[REDACTED_${kind.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_${count}]`;
+            this.placeholders.set(value, placeholder);
+            this.values.set(placeholder, value);
+        }
+        return this.placeholders.get(value);
+    }
+
+    // Returns { text, redactions: [{ kind, placeholder, line }] } with 0-based lines of text.
+    // Line breaks are kept, so line numbers in the redacted text match the original.
+    redact(text) {
+        const redactions = [];
+        const lineAt = (source, offset) => source.slice(0, offset).split('\n').length - 1;
+        let redacted = String(text ?? '');
+
+        for (const { kind, pattern } of this.detectors) {
+            redacted = redacted.replace(pattern, (...args) => {
+                const match = args[0];
+                const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+                const offset = args[groups ? args.length - 3 : args.length - 2];
+                const source = args[groups ? args.length - 2 : args.length - 1];
+                const value = groups?.secret ?? match;
+                if (isPlaceholder(value) || isReference(value)) {
+                    return match;
+                }
+
+                const line = lineAt(source, offset);
+                if (kind === 'privateKey') {
+                    // Line by line, keeping the BEGIN and END lines
+                    const placeholders = [];
+                    const lines = match.split('\n').map(keyLine => {
+                        const body = keyLine.replace(/\r$/, '');
+                        if (KEY_BLOCK_LINE.test(body) || !body.trim()) {
+                            return keyLine;
+                        }
+                        placeholders.push(this.getPlaceholder(kind, body));
+                        return placeholders[placeholders.length - 1] + keyLine.slice(body.length);
+                    });
+                    redactions.push({ kind, placeholder: placeholders[0], line });
+                    return lines.join('\n');
+                }
+
+                const placeholder = this.getPlaceholder(kind, value);
+                redactions.push({ kind, placeholder, line });
+                if (groups?.secret === undefined) {
+                    return placeholder;
+                }
+                // The secret group ends the match; the name before it may contain the same text
+                const start = match.lastIndexOf(value);
+                return match.slice(0, start) + placeholder + match.slice(start + value.length);
+            });
+        }
+        return { text: redacted, redactions };
+    }
+
+    // Puts the original values back for the placeholders this redactor handed out. In JSON
+    // the values are escaped, as they are restored into JSON strings.
+    restore(text, { json = false } = {}) {
+        return String(text ?? '').replace(PLACEHOLDER_PATTERN, placeholder => {
+            if (!this.values.has(placeholder)) {
+                return placeholder;
+            }
+            const value = this.values.get(placeholder);
+            return json ? JSON.stringify(value).slice(1, -1) : value;
+        });
+    }
+}
+
+// Groups redactions for the log, e.g. "API key [REDACTED_API_KEY_1], [REDACTED_API_KEY_2];
+// email [REDACTED_EMAIL_1]". Values are never part of the description.
+function describeRedactions(redactions) {
+    const byKind = new Map();
+    redactions.forEach(({ kind, placeholder }) => {
+        const placeholders = byKind.get(kind) || new Set();
+        placeholders.add(placeholder);
+        byKind.set(kind, placeholders);
+    });
+    return [...byKind].map(([kind, placeholders]) => `${REDACTION_KINDS[kind] || kind} ${[...placeholders].join(', ')}`).join('; ');
+}
+
+// Wraps a provider so that every prompt and embedded text is redacted before it is sent and
+// placeholders in responses are restored. onRedact(redactions) is called for each request
+// that had something redacted.
+function createRedactingProvider(provider, redactor, { onRedact } = {}) {
+    const redactTexts = texts => {
+        const results = texts.map(text => redactor.redact(text));
+        const redactions = results.flatMap(result => result.redactions);
+        if (redactions.length > 0 && onRedact) {
+            onRedact(redactions);
+        }
+        return results.map(result => result.text);
+    };
+
+    return {
+        ...provider,
+        complete: async request => {
+            const json = Boolean(request.json || request.responseSchema);
+            const contents = redactTexts(request.messages.map(message => message.content));
+            const response = await provider.complete({
+                ...request,
+                messages: request.messages.map((message, index) => ({ ...message, content: contents[index] })),
+                onToken: request.onToken && (text => request.onToken(redactor.restore(text, { json })))
+            });
+            return redactor.restore(response, { json });
+        },
+        embed: provider.embed && (texts => provider.embed(redactTexts(texts)))
+    };
+}
+
+// relativePath uses '/' separators; paths outside a project can be given in full
+function isNeverSend(relativePath, globs = DEFAULT_NEVER_SEND) {
+    return globs.some(glob => globToRegExp(glob).test(relativePath));
+}
+
+module.exports = {
+    DEFAULT_NEVER_SEND,
+    REDACTION_KINDS,
+    Redactor,
+    describeRedactions,
+    createRedactingProvider,
+    isNeverSend
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens, findSymbolBoundaries } = require('./chunking');
+const { normalizeRelativePath } = require('./fileOperations');
+
+// Helpers for telling the model about the rest of the project: what a file imports, where
+// those modules live and which project settings apply. The extension gathers the content
+// with the language services; buildFileContext() is the file-based variant for the CLI.
+
+const JAVASCRIPT_FAMILY = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact'];
+const JAVASCRIPT_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'];
+const NOT_IMPORTED_NAMES = new Set(['import', 'from', 'as', 'type', 'typeof', 'default', 'const', 'let', 'var', 'require']);
+
+// Sections that are cut short still need this many tokens to be worth including
+const MIN_SECTION_TOKENS = 50;
+const DEFAULT_CONTEXT_MAX_TOKENS = 1500;
+const MAX_OUTLINE_LINES = 60;
+const PROJECT_CONFIG_FILES = [
+    { name: 'package.json', summarize: summarizePackageJson, languageId: 'json' },
+    { name: 'tsconfig.json', summarize: summarizeTsconfig, languageId: 'json' },
+    { name: 'jsconfig.json', summarize: summarizeTsconfig, languageId: 'json' }
+];
+
+function getLineOffsets(code) {
+    const offsets = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') {
+            offsets.push(i + 1);
+        }
+    }
+    return offsets;
+}
+
+function offsetToPosition(lineOffsets, offset) {
+    let line = 0;
+    while (line + 1 < lineOffsets.length && lineOffsets[line + 1] <= offset) {
+        line++;
+    }
+    return { line, character: offset - lineOffsets[line] };
+}
+
+function getImportPatterns(languageId) {
+    if (JAVASCRIPT_FAMILY.includes(languageId)) {
+        // Each pattern captures the imported names (if any) and the module specifier
+        return [
+            { regex: /\bimport\s+([\w$\s{},*]+?)\s+from\s+['"]([^'"\n]+)['"]/g, names: 1, specifier: 2 },
+            { regex: /\bexport\s+([\w$\s{},*]+?)\s+from\s+['"]([^'"\n]+)['"]/g, names: 1, specifier: 2 },
+            { regex: /\b(?:const|let|var)\s+([\w$\s{},:]+?)\s*=\s*require\(\s*['"]([^'"\n]+)['"]\s*\)/g, names: 1, specifier: 2 },
+            { regex: /\bimport\s+['"]([^'"\n]+)['"]/g, specifier: 1 },
+            { regex: /\b(?:require|import)\(\s*['"]([^'"\n]+)['"]\s*\)/g, specifier: 1 }
+        ];
+    }
+    if (languageId === 'python') {
+        return [
+            { regex: /^[ \t]*from[ \t]+([.\w]+)[ \t]+import[ \t]+\(([^)]*)\)/gm, specifier: 1, names: 2 },
+            { regex: /^[ \t]*from[ \t]+([.\w]+)[ \t]+import[ \t]+([\w \t,]+)$/gm, specifier: 1, names: 2 },
+            { regex: /^[ \t]*import[ \t]+([\w.]+)/gm, specifier: 1 }
+        ];
+    }
+    return [];
+}
+
+// Returns [{ specifier, names: [{ name, line, character }] }] for the modules code imports,
+// with the 0-based positions of the imported names so their definitions can be looked up
+function findImports(code, languageId) {
+    const lineOffsets = getLineOffsets(code);
+    const imports = new Map();
+
+    for (const pattern of getImportPatterns(languageId)) {
+        for (const match of code.matchAll(pattern.regex)) {
+            const specifier = match[pattern.specifier];
+            if (!imports.has(specifier)) {
+                imports.set(specifier, { specifier, names: [] });
+            }
+            if (!pattern.names || !match[pattern.names]) {
+                continue;
+            }
+
+            const clause = match[pattern.names];
+            const clauseOffset = match.index + match[0].indexOf(clause);
+            const entry = imports.get(specifier);
+            for (const identifier of clause.matchAll(/[A-Za-z_$][\w$]*/g)) {
+                if (NOT_IMPORTED_NAMES.has(identifier[0]) || entry.names.some(name => name.name === identifier[0])) {
+                    continue;
+                }
+                entry.names.push({ name: identifier[0], ...offsetToPosition(lineOffsets, clauseOffset + identifier.index) });
+            }
+        }
+    }
+    return [...imports.values()];
+}
+
+// Workspace relative paths a module specifier may refer to, most likely first. fromFile is
+// the workspace relative path of the importing file. Packages are not resolved.
+function getImportCandidates(fromFile, specifier, languageId) {
+    const directory = path.posix.dirname(fromFile.replace(/\\/g, '/'));
+    let candidates = [];
+
+    if (JAVASCRIPT_FAMILY.includes(languageId)) {
+        if (!specifier.startsWith('.')) {
+            return [];
+        }
+        const base = path.posix.join(directory, specifier);
+        const extension = path.posix.extname(base);
+        if (JAVASCRIPT_EXTENSIONS.includes(extension)) {
+            // TypeScript imports compiled names, e.g. './util.js' for util.ts
+            const stem = base.slice(0, -extension.length);
+            candidates = [base, `${stem}.ts`, `${stem}.tsx`];
+        } else {
+            candidates = [
+                ...JAVASCRIPT_EXTENSIONS.map(candidateExtension => base + candidateExtension),
+                ...JAVASCRIPT_EXTENSIONS.map(candidateExtension => `${base}/index${candidateExtension}`)
+            ];
+        }
+    } else if (languageId === 'python') {
+        const dots = specifier.match(/^\.*/)[0].length;
+        const modulePath = specifier.slice(dots).split('.').filter(Boolean).join('/');
+        if (!modulePath) {
+            return [];
+        }
+        const base = dots > 0
+            ? path.posix.join(directory, ...Array(dots - 1).fill('..'), modulePath)
+            : modulePath;
+        candidates = [`${base}.py`, `${base}/__init__.py`];
+    }
+
+    return candidates.map(normalizeRelativePath).filter(Boolean);
+}
+
+function stripJsonComments(text) {
+    return text
+        .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+        .replace(/,(\s*[}\]])/g, '$1');
+}
+
+// The parts of package.json that matter for judging code: module system, runtime and dependencies
+function summarizePackageJson(text) {
+    try {
+        const manifest = JSON.parse(text);
+        const summary = {};
+        ['name', 'type', 'main', 'module', 'engines', 'dependencies', 'peerDependencies', 'devDependencies']
+            .filter(key => manifest[key] !== undefined)
+            .forEach(key => summary[key] = manifest[key]);
+        return JSON.stringify(summary, null, 2);
+    } catch {
+        return null;
+    }
+}
+
+// compilerOptions of a tsconfig.json or jsconfig.json, which may contain comments
+function summarizeTsconfig(text) {
+    try {
+        const config = JSON.parse(stripJsonComments(text));
+        return JSON.stringify({ compilerOptions: config.compilerOptions || {}, extends: config.extends }, null, 2);
+    } catch {
+        return null;
+    }
+}
+
+function formatSection(section, content) {
+    return `### ${section.title}\n\`\`\`${section.languageId || ''}\n${content}\n\`\`\``;
+}
+
+// Joins sections ({ title, content, languageId }), most important first, into one block of
+// at most maxTokens (estimated). A section that does not fit is cut at a line boundary.
+function packContext(sections, maxTokens) {
+    const parts = [];
+    let remaining = maxTokens;
+
+    for (const section of sections) {
+        if (!section.content || !section.content.trim()) {
+            continue;
+        }
+        const formatted = formatSection(section, section.content);
+        if (estimateTokens(formatted) + 1 <= remaining) {
+            parts.push(formatted);
+            remaining -= estimateTokens(formatted) + 1;
+            continue;
+        }
+        if (remaining < MIN_SECTION_TOKENS) {
+            break;
+        }
+
+        const lines = section.content.split('\n');
+        while (lines.length > 0 && estimateTokens(formatSection(section, [...lines, '...'].join('\n'))) + 1 > remaining) {
+            lines.pop();
+        }
+        if (lines.length > 0) {
+            const truncated = formatSection(section, [...lines, '...'].join('\n'));
+            parts.push(truncated);
+            remaining -= estimateTokens(truncated) + 1;
+        }
+    }
+    return parts.join('\n');
+}
+
+// Contents of a file below rootDir, or undefined when it is not a readable file
+async function readProjectFile(rootDir, relativePath) {
+    try {
+        return await fs.promises.readFile(path.join(rootDir, relativePath), 'utf-8');
+    } catch {
+        return undefined;
+    }
+}
+
+// Project context without language services: an outline of the top-level statements of each
+// imported project module and the project configuration, as in the extension but without
+// the definitions of imported names. relativeFile is relative to rootDir; files for which
+// isExcluded(relativePath) returns true are left out.
+async function buildFileContext(rootDir, relativeFile, code, languageId, { maxTokens = DEFAULT_CONTEXT_MAX_TOKENS, isExcluded = () => false } = {}) {
+    const sections = [];
+    const seen = new Set([relativeFile.replace(/\\/g, '/')]);
+
+    for (const entry of findImports(code, languageId)) {
+        for (const candidate of getImportCandidates(relativeFile, entry.specifier, languageId)) {
+            const modulePath = normalizeRelativePath(candidate);
+            if (!modulePath || seen.has(modulePath) || isExcluded(modulePath)) {
+                continue;
+            }
+            const text = await readProjectFile(rootDir, modulePath);
+            if (text === undefined) {
+                continue;
+            }
+            seen.add(modulePath);
+            const lines = text.split('\n');
+            const outline = [...new Set(findSymbolBoundaries(text).map(line => lines[line].trim()))].slice(0, MAX_OUTLINE_LINES);
+            sections.push({
+                title: `Outline of ${modulePath} (imported as '${entry.specifier}')`,
+                content: outline.join('\n'),
+                languageId
+            });
+            break;
+        }
+    }
+
+    for (const file of PROJECT_CONFIG_FILES) {
+        const text = isExcluded(file.name) ? undefined : await readProjectFile(rootDir, file.name);
+        const content = text !== undefined && file.summarize(text);
+        if (content) {
+            sections.push({ title: file.name, content, languageId: file.languageId });
+        }
+    }
+    return packContext(sections, maxTokens);
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_MAX_TOKENS,
+    MAX_OUTLINE_LINES,
+    PROJECT_CONFIG_FILES,
+    findImports,
+    getImportCandidates,
+    summarizePackageJson,
+    summarizeTsconfig,
+    packContext,
+    buildFileContext
+};
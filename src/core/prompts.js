@@ -0,0 +1,217 @@
+// Prompts shared by the extension and the CLI so both apply exactly the same rules.
+const { numberLines } = require('./anchoring');
+
+// Bump whenever the analysis prompt or the shape of its results changes so cached results are ignored
+const ANALYSIS_PROMPT_VERSION = 7;
+
+// Related files and project settings gathered by the caller (see projectContext.js)
+function buildContextNote(context) {
+    return context
+        ? `\nRelated project context, for reference only (other files are not part of the task; do not report issues in them):\n${context}\n`
+        : '';
+}
+
+// Same as ISSUE_TYPES in structuredOutput.js, which depends on this module
+const ISSUE_CATEGORIES = ['Bug', 'Code Smell', 'Security Vulnerability', 'Performance Issue'];
+
+// What to report, from the resolved team rules (see rules.js)
+function buildRulesNote(rules) {
+    if (!rules) {
+        return '';
+    }
+    let note = '';
+    const issueCategories = rules.categories.filter(category => ISSUE_CATEGORIES.includes(category));
+    if (issueCategories.length < ISSUE_CATEGORIES.length) {
+        note += `${rules.rules.length > 0 ? 'Apart from rule violations, only' : 'Only'} report issues of these types: ${issueCategories.join(', ') || 'none'}.\n`;
+    }
+    if (rules.minSeverity !== 'Information') {
+        note += `Only report issues of severity ${rules.minSeverity} or higher.\n`;
+    }
+    if (!rules.categories.includes('Suggestion')) {
+        note += 'Return an empty "suggestions" array.\n';
+    }
+    if (!rules.categories.includes('Improvement')) {
+        note += 'Return an empty "improvements" array.\n';
+    }
+    if (rules.rules.length > 0) {
+        note += `
+The team has these rules. Report every violation as an issue of type "Rule Violation" with the rule's id as "ruleId":
+${rules.rules.map(rule => `- [${rule.id}] ${rule.description}`).join('\n')}
+`;
+    }
+    return note;
+}
+
+// Refined prompt for better JSON output and explicit handling of code blocks.
+// The code is line-numbered so the model can report positions it can actually see.
+// For chunks of a large file, firstLine is the 0-based line the excerpt starts at.
+// rules are the resolved team rules; without them every category is reported.
+// changedLines (0-based { start, end } ranges) turns the analysis into a review of those lines.
+function buildAnalysisPrompt(code, languageId, { firstLine = 0, totalLines, context, rules, changedLines } = {}) {
+    const lineCount = code.split('\n').length;
+    let excerptNote = totalLines && lineCount < totalLines
+        ? `This is an excerpt (lines ${firstLine + 1}-${firstLine + lineCount} of ${totalLines}) of a larger file. Only report what can be judged from the excerpt.\n`
+        : '';
+    if (changedLines) {
+        const ranges = changedLines.map(range => range.start === range.end ? `${range.start + 1}` : `${range.start + 1}-${range.end + 1}`);
+        excerptNote += `This is a review of pending changes. Only report issues in the changed lines (${ranges.join(', ')}), including issues the change causes together with the surrounding code; the other lines are context.\n`;
+    }
+    const hasRules = rules?.rules.length > 0;
+    const enabledTypes = rules ? ISSUE_CATEGORIES.filter(type => rules.categories.includes(type)) : ISSUE_CATEGORIES;
+    const issueTypes = [...enabledTypes, ...(hasRules ? ['Rule Violation'] : [])].map(type => `"${type}"`).join(' | ') || '"Bug"';
+
+    return `
+Analyze the following ${languageId} code and provide detailed feedback.
+Your response MUST be a JSON object with the following structure:
+{
+    "issues": [
+        {
+            "type": ${issueTypes},
+            "description": "A clear description of the issue.",
+            "severity": "Error" | "Warning" | "Information",
+            "line": number, // The line number where the issue starts, as shown in the listing (1-indexed)
+            "column": number, // Optional: The column where the issue starts (1-indexed)
+            "endLine": number, // Optional: The line number where the issue ends (1-indexed)
+            "endColumn": number, // Optional: The column where the issue ends (1-indexed, exclusive)
+            "snippet": "string"${hasRules ? ',' : ''} // The exact code the issue refers to, copied verbatim from the listing without line numbers${hasRules ? `
+            "ruleId": "string" | null // For rule violations: the id of the violated rule` : ''}
+        }
+    ],
+    "suggestions": [
+        {
+            "description": "A general suggestion for improvement.",
+            "type": "Refactoring" | "Best Practice" | "Readability"
+        }
+    ],
+    "improvements": [
+        {
+            "description": "A specific, actionable performance improvement.",
+            "type": "Performance"
+        }
+    ]
+}
+
+If no issues, suggestions, or improvements are found, return empty arrays.
+Ensure the JSON is perfectly parseable. Do NOT include any other text or markdown outside the JSON.
+
+Each line of the code is prefixed with its line number and " | ", which is not part of the code.
+${excerptNote}${buildRulesNote(rules)}${buildContextNote(context)}
+Code:
+\`\`\`${languageId}
+${numberLines(code, firstLine + 1)}
+\`\`\`
+`;
+}
+
+// excerpt ({ startLine, endLine, totalLines }) is set when only part of a file is sent and
+// selection ({ startLine, endLine }, relative to the code sent) when the user selected code
+function buildChangesPrompt(code, languageId, userRequest, { excerpt, selection, filePath, context } = {}) {
+    let excerptNote = excerpt
+        ? `The code is an excerpt (lines ${excerpt.startLine + 1}-${excerpt.endLine + 1} of ${excerpt.totalLines}) of a larger file. Only change code inside the excerpt; ranges are relative to the excerpt, whose first line is line 0.\n`
+        : '';
+    if (selection) {
+        excerptNote += `The user selected lines ${selection.startLine}-${selection.endLine} (0-indexed). Focus the changes on the selection; the surrounding code is context.\n`;
+    }
+
+    const fileNote = filePath ? `The code is the file ${filePath} (relative to the workspace root).\n` : '';
+
+    return `${buildContextNote(context)}
+${fileNote}Current ${languageId} code:
+\`\`\`${languageId}
+${code}
+\`\`\`
+User request:
+${userRequest}
+
+Analyze the user's request in the context of the provided code and generate a response that outlines specific code changes.
+Your response MUST be a JSON object with the following structure:
+{
+    "description": "A concise explanation of the proposed changes.",
+    "changes": [
+        {
+            "range": { 
+                "start": { "line": number, "character": number }, 
+                "end": { "line": number, "character": number } 
+            },
+            "newText": "string", // The new code to insert or replace with
+            "originalText": "string" // The exact original text that will be replaced (empty for insertions).
+        }
+    ],
+    "fileOperations": [ // Optional: only for requests that need other files, e.g. extracting code into a new module and updating imports
+        { "type": "create", "path": "relative/path.js", "content": "string" },
+        { "type": "edit", "path": "relative/path.js", "changes": [{ "originalText": "exact text to replace", "newText": "string" }] },
+        { "type": "rename", "path": "relative/old.js", "newPath": "relative/new.js" },
+        { "type": "delete", "path": "relative/path.js" }
+    ]
+}
+The 'line' and 'character' properties in 'range' should be 0-indexed. Ranges of different changes must not overlap.
+'changes' only edits the code shown above. Use 'fileOperations' for any other file; paths are relative to the workspace root, and edits to files you have not seen are located by their exact 'originalText'.
+${excerptNote}If no changes are suggested, return an empty 'changes' array.
+Ensure the JSON is perfectly parseable. Do NOT include any other text or markdown outside the JSON.
+`;
+}
+
+function buildRefinementRequest(followUp) {
+    return `Revise your proposed changes according to this follow-up request:
+${followUp}
+
+Return the complete revised proposal as a JSON object in the same format, with ranges relative to the original code (not to your previous changes).`;
+}
+
+// Sent back with a response that did not match the requested format
+function buildRepairRequest(errors) {
+    return `Your previous response did not match the required JSON format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object only, in the format described before.`;
+}
+
+// Turns a reported issue into a change request for buildChangesPrompt()
+function buildFixRequest(issue) {
+    return `Fix the following issue reported at line ${issue.line + 1}: ${issue.message}
+Only change the code that is needed to fix this issue and keep everything else as it is.`;
+}
+
+function buildExplainPrompt(code, languageId, issue) {
+    return `
+The following issue was reported at line ${issue.line + 1} of this ${languageId} code:
+${issue.message}
+
+Explain in Markdown why this is a problem, when it would cause trouble in practice, and how to fix it.
+Quote the relevant code. Keep it short.
+
+Code:
+\`\`\`${languageId}
+${code}
+\`\`\`
+`;
+}
+
+// sources are the retrieved chunks ({ file, startLine, endLine, text }, 0-based lines)
+function buildCodebaseQuestionPrompt(question, sources) {
+    const listing = sources.map((source, i) =>
+        `[${i + 1}] ${source.file}:${source.startLine + 1}-${source.endLine + 1}\n\`\`\`\n${source.text}\n\`\`\``).join('\n\n');
+
+    return `
+Answer the question about this codebase using the numbered excerpts below, which were retrieved by similarity search and may not all be relevant.
+Answer in Markdown. Support every statement about the code with a citation of the form [n] path:line, e.g. [2] src/app.js:42.
+If the excerpts do not contain the answer, say so and suggest where to look instead of guessing.
+
+Question:
+${question}
+
+Excerpts:
+${listing}
+`;
+}
+
+module.exports = {
+    ANALYSIS_PROMPT_VERSION,
+    buildAnalysisPrompt,
+    buildChangesPrompt,
+    buildRefinementRequest,
+    buildRepairRequest,
+    buildFixRequest,
+    buildExplainPrompt,
+    buildCodebaseQuestionPrompt
+};
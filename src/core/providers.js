@@ -0,0 +1,350 @@
+const http = require('http');
+const https = require('https');
+const { OpenAI, AzureOpenAI } = require('openai');
+const { createAbortError } = require('./abort');
+
+// Every provider the extension and the CLI know how to talk to. The settings for the
+// selected provider come from the caller (VS Code configuration, CLI flags, env vars),
+// so nothing in here depends on the editor.
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaultModel: 'gpt-4o',
+        defaultEmbeddingModel: 'text-embedding-3-small',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        requiresApiKey: true,
+        structuredOutputs: true
+    },
+    azure: {
+        label: 'Azure OpenAI',
+        defaultModel: '', // Azure uses the deployment name as the model
+        defaultEmbeddingModel: '', // Name of an embedding deployment
+        defaultBaseUrl: '', // e.g. https://my-resource.openai.azure.com
+        defaultApiVersion: '2024-08-01-preview', // The first version with structured outputs
+        requiresApiKey: true,
+        structuredOutputs: true
+    },
+    anthropic: {
+        label: 'Anthropic',
+        defaultModel: 'claude-3-5-sonnet-latest',
+        defaultEmbeddingModel: '', // Anthropic has no embeddings API
+        defaultBaseUrl: 'https://api.anthropic.com',
+        requiresApiKey: true,
+        structuredOutputs: true // Through a forced tool call
+    },
+    openaiCompatible: {
+        label: 'OpenAI-compatible endpoint (Ollama, vLLM, ...)',
+        defaultModel: 'llama3.1',
+        defaultEmbeddingModel: 'nomic-embed-text',
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        requiresApiKey: false,
+        structuredOutputs: false // Support varies by server; enabled per setting
+    }
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+// complete() takes { messages, temperature, maxTokens, json, responseSchema, signal, onToken }.
+// responseSchema ({ name, schema }) is enforced by providers with structured outputs; the
+// others only get the json flag. signal (an AbortSignal) cancels the HTTP request itself.
+// With onToken the response is streamed and onToken(text) is called with the text received so far.
+
+// Secrets are stored per provider. The OpenAI one keeps the name used before providers
+// existed so that already configured keys keep working.
+function getSecretKeyName(providerId) {
+    return `${providerId}ApiKey`;
+}
+
+class OpenAIChatProvider {
+    constructor(id, client, model, embeddingModel, structuredOutputs = false) {
+        this.id = id;
+        this.client = client;
+        this.model = model;
+        this.embeddingModel = embeddingModel;
+        this.structuredOutputs = structuredOutputs;
+    }
+
+    async complete(options) {
+        const { messages, temperature = 0.3, maxTokens = 2000, json = false, responseSchema, signal } = options;
+        const request = {
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        };
+        const structured = Boolean(responseSchema && this.structuredOutputs);
+        if (structured) {
+            request.response_format = {
+                type: 'json_schema',
+                json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+            };
+        } else if (json || responseSchema) {
+            request.response_format = { type: 'json_object' };
+        }
+
+        try {
+            return await this.send(request, options);
+        } catch (error) {
+            // Older models and API versions reject schemas; fall back to plain JSON mode for good
+            if (structured && error.status === 400 && /response_format|json_schema/i.test(error.message) && !signal?.aborted) {
+                this.structuredOutputs = false;
+                return this.complete(options);
+            }
+            throw error;
+        }
+    }
+
+    async send(request, { signal, onToken }) {
+        try {
+            if (!onToken) {
+                const completion = await this.client.chat.completions.create(request, { signal });
+                return completion.choices[0]?.message?.content || '';
+            }
+
+            const stream = await this.client.chat.completions.create({ ...request, stream: true }, { signal });
+            let text = '';
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onToken(text);
+                }
+            }
+            return text;
+        } catch (error) {
+            throw signal?.aborted ? createAbortError() : error;
+        }
+    }
+
+    // Returns one vector per text, in input order
+    async embed(texts) {
+        if (!this.embeddingModel) {
+            throw new Error('No embedding model configured.');
+        }
+        // Plain floats: the SDK's default base64 encoding is not understood by every compatible server
+        const response = await this.client.embeddings.create({ model: this.embeddingModel, input: texts, encoding_format: 'float' });
+        return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+}
+
+class AnthropicProvider {
+    constructor(settings) {
+        this.id = 'anthropic';
+        this.apiKey = settings.apiKey;
+        this.baseUrl = settings.baseUrl;
+        this.model = settings.model;
+        this.structuredOutputs = settings.structuredOutputs !== false;
+    }
+
+    async complete({ messages, temperature = 0.3, maxTokens = 2000, json = false, responseSchema, signal, onToken }) {
+        // Anthropic takes the system prompt separately from the conversation
+        const system = messages.filter(message => message.role === 'system').map(message => message.content);
+        const schema = this.structuredOutputs ? responseSchema : undefined;
+        if (json && !schema) {
+            system.push('Respond with a single JSON object only.');
+        }
+
+        const body = {
+            model: this.model,
+            max_tokens: maxTokens,
+            temperature,
+            messages: messages.filter(message => message.role !== 'system')
+        };
+        if (system.length > 0) {
+            body.system = system.join('\n\n');
+        }
+        // A schema is enforced by forcing a tool call whose input is the response
+        if (schema) {
+            body.tools = [{ name: schema.name, description: 'Report the response.', input_schema: schema.schema }];
+            body.tool_choice = { type: 'tool', name: schema.name };
+        }
+
+        const url = joinUrl(this.baseUrl, '/v1/messages');
+        const headers = {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+
+        if (onToken) {
+            let text = '';
+            await postJson(url, { ...body, stream: true }, headers, {
+                signal,
+                onEvent: event => {
+                    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                        text += event.delta.text;
+                        onToken(text);
+                    } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+                        text += event.delta.partial_json;
+                        onToken(text);
+                    } else if (event.type === 'error') {
+                        throw createStreamError(event.error);
+                    }
+                }
+            });
+            return text;
+        }
+
+        const response = await postJson(url, body, headers, { signal });
+        const toolUse = (response.content || []).find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return JSON.stringify(toolUse.input);
+        }
+        return (response.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+}
+
+function createProvider(settings) {
+    const id = settings.id || DEFAULT_PROVIDER;
+    const definition = PROVIDERS[id];
+    if (!definition) {
+        throw new Error(`Unknown AI provider "${id}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+
+    const baseUrl = settings.baseUrl || definition.defaultBaseUrl;
+    const model = settings.model || definition.defaultModel;
+    const embeddingModel = settings.embeddingModel || definition.defaultEmbeddingModel;
+    const structuredOutputs = settings.structuredOutputs ?? definition.structuredOutputs;
+    if (definition.requiresApiKey && !settings.apiKey) {
+        throw new Error(`${definition.label} API key is not set.`);
+    }
+    if (!model) {
+        throw new Error(`No model configured for ${definition.label}.`);
+    }
+
+    switch (id) {
+        case 'azure':
+            if (!baseUrl) {
+                throw new Error('No endpoint configured for Azure OpenAI.');
+            }
+            return new OpenAIChatProvider(id, new AzureOpenAI({
+                apiKey: settings.apiKey,
+                endpoint: baseUrl,
+                apiVersion: settings.apiVersion || definition.defaultApiVersion,
+                // No fixed deployment: the model of each request picks it, so chat and
+                // embeddings can use different deployments
+                maxRetries: 0 // Retries are handled by createRetryingProvider
+            }), model, embeddingModel, structuredOutputs);
+        case 'anthropic':
+            return new AnthropicProvider({ apiKey: settings.apiKey, baseUrl, model, structuredOutputs });
+        default:
+            // Local OpenAI-compatible servers usually ignore the key, but the SDK insists on one
+            return new OpenAIChatProvider(id, new OpenAI({
+                apiKey: settings.apiKey || 'not-needed',
+                baseURL: baseUrl,
+                maxRetries: 0 // Retries are handled by createRetryingProvider
+            }), model, embeddingModel, structuredOutputs);
+    }
+}
+
+// Errors reported inside an Anthropic event stream, with the status the same error would have
+// had as an HTTP response so the retry logic treats them alike
+const STREAM_ERROR_STATUS = {
+    overloaded_error: 529,
+    rate_limit_error: 429,
+    api_error: 500
+};
+
+function createStreamError(details = {}) {
+    const error = new Error(`Stream failed: ${details.message || details.type || 'unknown error'}`);
+    error.status = STREAM_ERROR_STATUS[details.type] || 400;
+    return error;
+}
+
+function joinUrl(baseUrl, pathname) {
+    return baseUrl.replace(/\/+$/, '') + pathname;
+}
+
+// Minimal JSON POST on top of the Node http modules, so providers without an SDK work
+// on every Node version VS Code ships with. With onEvent, a successful response is read as
+// a server-sent event stream and onEvent is called with every parsed data payload.
+function postJson(url, body, headers = {}, { signal, onEvent } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'http:' ? http : https;
+        const payload = JSON.stringify(body);
+        const fail = error => reject(signal?.aborted ? createAbortError() : error);
+
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'content-length': Buffer.byteLength(payload),
+                ...headers
+            },
+            signal
+        }, response => {
+            const isSuccess = response.statusCode >= 200 && response.statusCode < 300;
+            let data = '';
+            response.setEncoding('utf8');
+
+            if (isSuccess && onEvent) {
+                response.on('data', chunk => {
+                    data += chunk;
+                    const events = data.split(/\r?\n\r?\n/);
+                    data = events.pop();
+                    try {
+                        events.forEach(event => dispatchServerSentEvent(event, onEvent));
+                    } catch (error) {
+                        request.destroy();
+                        fail(error);
+                    }
+                });
+                response.on('end', () => {
+                    try {
+                        dispatchServerSentEvent(data, onEvent);
+                        resolve();
+                    } catch (error) {
+                        fail(error);
+                    }
+                });
+                response.on('error', fail);
+                return;
+            }
+
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => {
+                let parsed;
+                try {
+                    parsed = data ? JSON.parse(data) : {};
+                } catch {
+                    parsed = undefined;
+                }
+
+                if (isSuccess && parsed !== undefined) {
+                    resolve(parsed);
+                    return;
+                }
+
+                const detail = parsed?.error?.message || data || response.statusMessage;
+                const error = new Error(`Request failed with status ${response.statusCode}: ${detail}`);
+                error.status = response.statusCode;
+                error.headers = response.headers;
+                reject(error);
+            });
+            response.on('error', fail);
+        });
+
+        request.on('error', fail);
+        request.end(payload);
+    });
+}
+
+function dispatchServerSentEvent(event, onEvent) {
+    const data = event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+    if (data && data !== '[DONE]') {
+        onEvent(JSON.parse(data));
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    getSecretKeyName,
+    createProvider
+};
@@ -0,0 +1,75 @@
+// Flattens per-file analysis results into a single report that the report view, the
+// exporters and the CLI all share.
+
+const SEVERITIES = ['Error', 'Warning', 'Information'];
+
+function normalizeSeverity(severity) {
+    const match = SEVERITIES.find(known => known.toLowerCase() === String(severity || '').toLowerCase());
+    return match || 'Warning'; // Same default the diagnostics use
+}
+
+function toItems(file, uri, analysis) {
+    const items = [];
+    (analysis.issues || []).forEach(issue => items.push({
+        file,
+        uri,
+        kind: 'issue',
+        type: issue.type || 'Issue',
+        ruleId: issue.ruleId, // Set for violations of a team rule
+        severity: normalizeSeverity(issue.severity),
+        description: issue.description || '',
+        line: typeof issue.line === 'number' && issue.line >= 0 ? issue.line : undefined,
+        column: typeof issue.column === 'number' && issue.column >= 0 ? issue.column : undefined,
+        endLine: typeof issue.endLine === 'number' && issue.endLine >= 0 ? issue.endLine : undefined,
+        endColumn: typeof issue.endColumn === 'number' && issue.endColumn >= 0 ? issue.endColumn : undefined
+    }));
+    (analysis.suggestions || []).forEach(suggestion => items.push({
+        file,
+        uri,
+        kind: 'suggestion',
+        type: suggestion.type || 'Suggestion',
+        severity: 'Information',
+        description: suggestion.description || String(suggestion)
+    }));
+    (analysis.improvements || []).forEach(improvement => items.push({
+        file,
+        uri,
+        kind: 'improvement',
+        type: improvement.type || 'Performance',
+        severity: 'Information',
+        description: improvement.description || String(improvement)
+    }));
+    return items;
+}
+
+function countBy(items, property) {
+    return items.reduce((counts, item) => {
+        counts[item[property]] = (counts[item[property]] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+// results: [{ file, uri, analysis }] where file is a display path and uri is optional
+function buildReport(results) {
+    const sorted = [...results].sort((a, b) => a.file.localeCompare(b.file));
+    const items = sorted.flatMap(result => toItems(result.file, result.uri, result.analysis || {}));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        fileCount: sorted.length,
+        files: sorted.map(result => result.file),
+        items,
+        counts: {
+            total: items.length,
+            byKind: countBy(items, 'kind'),
+            bySeverity: countBy(items, 'severity'),
+            byType: countBy(items, 'type')
+        }
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    normalizeSeverity,
+    buildReport
+};
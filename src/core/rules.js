@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+const { ISSUE_TYPES, SEVERITIES, RULE_VIOLATION } = require('./structuredOutput');
+
+// Team configuration of what the analysis reports. It comes from the settings and from a
+// .aiassistant.json file in the project root, which takes precedence:
+// {
+//     "categories": ["Bug", "Security Vulnerability", "Suggestion"], // reported categories
+//     "minSeverity": "Warning", // issues below are not reported
+//     "rules": ["No default exports", { "id": "repo-layer", "description": "...", "severity": "Error" }],
+//     "languages": { "python": { "minSeverity": "Error", "rules": [...] } } // per language overrides
+// }
+
+const RULES_FILE_NAME = '.aiassistant.json';
+const ANALYSIS_CATEGORIES = [...ISSUE_TYPES, 'Suggestion', 'Improvement'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Texts without ASCII letters or digits, e.g. in Chinese or Russian, get a hash of the text
+function slugify(text) {
+    const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return slug || `rule-${crypto.createHash('sha256').update(text).digest('hex').slice(0, 8)}`;
+}
+
+// Rules are free text or { id, description, severity, languages }. Free text rules get an
+// id derived from their text, so the id stays the same as long as the text does.
+function normalizeRule(rule) {
+    const definition = typeof rule === 'string' ? { description: rule } : rule;
+    if (!isPlainObject(definition) || typeof definition.description !== 'string' || !definition.description.trim()) {
+        return null;
+    }
+    const description = definition.description.trim();
+    const id = typeof definition.id === 'string' && definition.id.trim() ? definition.id.trim() : slugify(description);
+    return {
+        id,
+        description,
+        severity: SEVERITIES.includes(definition.severity) ? definition.severity : undefined,
+        languages: Array.isArray(definition.languages) ? definition.languages : undefined
+    };
+}
+
+// Returns the configuration in a .aiassistant.json file; throws for invalid JSON or values
+function parseRulesConfig(text) {
+    const config = JSON.parse(text);
+    if (!isPlainObject(config)) {
+        throw new Error(`${RULES_FILE_NAME} must contain a JSON object.`);
+    }
+    const errors = [];
+    const checkScope = (scope, where) => {
+        if (scope.categories !== undefined && (!Array.isArray(scope.categories) || scope.categories.some(category => !ANALYSIS_CATEGORIES.includes(category)))) {
+            errors.push(`${where}categories must be a list of ${ANALYSIS_CATEGORIES.map(category => `"${category}"`).join(', ')}`);
+        }
+        if (scope.minSeverity !== undefined && !SEVERITIES.includes(scope.minSeverity)) {
+            errors.push(`${where}minSeverity must be one of ${SEVERITIES.map(severity => `"${severity}"`).join(', ')}`);
+        }
+        if (scope.rules !== undefined && (!Array.isArray(scope.rules) || scope.rules.some(rule => !normalizeRule(rule)))) {
+            errors.push(`${where}rules must be a list of texts or { "id", "description" } objects`);
+        }
+    };
+
+    checkScope(config, '');
+    if (config.languages !== undefined) {
+        if (!isPlainObject(config.languages)) {
+            errors.push('languages must map language ids to settings');
+        } else {
+            Object.entries(config.languages).forEach(([languageId, scope]) => isPlainObject(scope)
+                ? checkScope(scope, `languages.${languageId}.`)
+                : errors.push(`languages.${languageId} must be an object`));
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${RULES_FILE_NAME}: ${errors.join('; ')}.`);
+    }
+    return config;
+}
+
+// Later configurations override earlier ones; rules are combined, and a rule with the id of
+// an earlier rule replaces it
+function mergeRulesConfig(...configs) {
+    const merged = { rules: [], languages: {} };
+    for (const config of configs.filter(isPlainObject)) {
+        if (config.categories !== undefined) {
+            merged.categories = config.categories;
+        }
+        if (config.minSeverity !== undefined) {
+            merged.minSeverity = config.minSeverity;
+        }
+        merged.rules.push(...(config.rules || []));
+        for (const [languageId, scope] of Object.entries(config.languages || {})) {
+            const languageConfig = mergeRulesConfig(merged.languages[languageId] || {}, scope);
+            delete languageConfig.languages;
+            merged.languages[languageId] = languageConfig;
+        }
+    }
+    return merged;
+}
+
+function mergeRules(rules) {
+    const byId = new Map();
+    rules.map(normalizeRule).filter(Boolean).forEach(rule => byId.set(rule.id, rule));
+    return [...byId.values()];
+}
+
+// The effective rules for one language: { categories, minSeverity, rules: [{ id, description, severity }] }
+function resolveRules(config = {}, languageId) {
+    const scope = config.languages?.[languageId] || {};
+    const categories = scope.categories || config.categories || ANALYSIS_CATEGORIES;
+    return {
+        categories: ANALYSIS_CATEGORIES.filter(category => categories.includes(category)),
+        minSeverity: scope.minSeverity || config.minSeverity || SEVERITIES[SEVERITIES.length - 1],
+        rules: mergeRules([...(config.rules || []), ...(scope.rules || [])])
+            .filter(rule => !rule.languages || rule.languages.includes(languageId))
+            .map(rule => ({ id: rule.id, description: rule.description, severity: rule.severity }))
+    };
+}
+
+// Drops what the rules exclude, in case the model reported it anyway, and gives rule
+// violations the severity of their rule
+function applyRules(analysis, resolved) {
+    const rulesById = new Map(resolved.rules.map(rule => [rule.id, rule]));
+    const threshold = SEVERITIES.indexOf(resolved.minSeverity);
+    const issues = (analysis.issues || [])
+        .map(issue => {
+            const rule = rulesById.get(issue.ruleId);
+            if (!rule) {
+                // A violation of a rule that was not sent is not trustworthy
+                return issue.type === RULE_VIOLATION ? null : { ...issue, ruleId: undefined };
+            }
+            return { ...issue, type: RULE_VIOLATION, severity: rule.severity || issue.severity };
+        })
+        .filter(issue => issue && (issue.type === RULE_VIOLATION || resolved.categories.includes(issue.type)))
+        .filter(issue => SEVERITIES.indexOf(issue.severity) <= threshold);
+
+    return {
+        ...analysis,
+        issues,
+        suggestions: resolved.categories.includes('Suggestion') ? analysis.suggestions || [] : [],
+        improvements: resolved.categories.includes('Improvement') ? analysis.improvements || [] : []
+    };
+}
+
+module.exports = {
+    RULES_FILE_NAME,
+    ANALYSIS_CATEGORIES,
+    parseRulesConfig,
+    mergeRulesConfig,
+    resolveRules,
+    applyRules
+};
@@ -0,0 +1,373 @@
+const { buildRepairRequest } = require('./prompts');
+const { FILE_OPERATION_TYPES } = require('./fileOperations');
+
+// Response formats the model is asked for, as JSON schemas. The schemas are sent to providers
+// that can enforce them (OpenAI structured outputs, Anthropic tool input) and every response
+// is validated against them. They follow the strict subset OpenAI accepts: every property is
+// required and optional values are nullable.
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+const ISSUE_TYPES = ['Bug', 'Code Smell', 'Security Vulnerability', 'Performance Issue'];
+const RULE_VIOLATION = 'Rule Violation'; // Issue type of violations of a team rule
+const SEVERITIES = ['Error', 'Warning', 'Information'];
+const SUGGESTION_TYPES = ['Refactoring', 'Best Practice', 'Readability'];
+const IMPROVEMENT_TYPES = ['Performance'];
+
+// Common spellings models use instead of the enum values, matched case-insensitively
+const ALIASES = {
+    security: 'Security Vulnerability',
+    vulnerability: 'Security Vulnerability',
+    performance: 'Performance Issue',
+    smell: 'Code Smell',
+    'code-smell': 'Code Smell',
+    info: 'Information',
+    warn: 'Warning',
+    critical: 'Error',
+    high: 'Error',
+    medium: 'Warning',
+    low: 'Information'
+};
+
+function object(properties) {
+    return { type: 'object', properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+const position = object({
+    line: { type: 'integer', minimum: 0 },
+    character: { type: 'integer', minimum: 0 }
+});
+
+// With team rules, issues may be rule violations that name the rule they violate
+function createAnalysisSchema(ruleIds) {
+    const issue = {
+        type: { type: 'string', enum: ruleIds.length > 0 ? [...ISSUE_TYPES, RULE_VIOLATION] : ISSUE_TYPES },
+        description: { type: 'string' },
+        severity: { type: 'string', enum: SEVERITIES },
+        line: { type: 'integer', minimum: 1 },
+        column: { type: ['integer', 'null'], minimum: 1 },
+        endLine: { type: ['integer', 'null'], minimum: 1 },
+        endColumn: { type: ['integer', 'null'], minimum: 1 },
+        snippet: { type: 'string' }
+    };
+    if (ruleIds.length > 0) {
+        issue.ruleId = { type: ['string', 'null'], enum: [...ruleIds, null] };
+    }
+    return object({ issues: arrayOf(object(issue)), ...ANALYSIS_SCHEMA_SECTIONS });
+}
+
+const ANALYSIS_SCHEMA_SECTIONS = {
+    suggestions: arrayOf(object({
+        description: { type: 'string' },
+        type: { type: 'string', enum: SUGGESTION_TYPES }
+    })),
+    improvements: arrayOf(object({
+        description: { type: 'string' },
+        type: { type: 'string', enum: IMPROVEMENT_TYPES }
+    }))
+};
+
+const CHANGES_SCHEMA = object({
+    description: { type: 'string' },
+    changes: arrayOf(object({
+        range: object({ start: position, end: position }),
+        newText: { type: 'string' },
+        originalText: { type: ['string', 'null'] }
+    })),
+    fileOperations: arrayOf(object({
+        type: { type: 'string', enum: FILE_OPERATION_TYPES },
+        path: { type: 'string' },
+        newPath: { type: ['string', 'null'] },
+        content: { type: ['string', 'null'] },
+        changes: {
+            type: ['array', 'null'],
+            items: object({ originalText: { type: 'string' }, newText: { type: 'string' } })
+        }
+    }))
+});
+
+// Thrown when the model keeps answering in the wrong format; errors lists what was wrong
+class InvalidResponseError extends Error {
+    constructor(errors) {
+        super(`The AI response did not match the expected format: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; ...' : ''}`);
+        this.name = 'InvalidResponseError';
+        this.errors = errors;
+    }
+}
+
+// Clean the response by removing markdown code blocks if the model insists on them, and any
+// text around the JSON object
+function parseModelJson(rawResponseContent) {
+    const jsonString = rawResponseContent.replace(/```json\n?|\n?```/g, '').trim();
+    try {
+        return JSON.parse(jsonString);
+    } catch (error) {
+        const start = jsonString.indexOf('{');
+        const end = jsonString.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw error;
+        }
+        return JSON.parse(jsonString.slice(start, end + 1));
+    }
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+// Validates value against the schema subset used above. Returns a list of readable errors,
+// empty when the value is valid. Unknown properties are tolerated, and so are nullable ones
+// that are left out.
+function validateSchema(value, schema, path = 'response') {
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        return [`${path} must be ${types.join(' or ')}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`];
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        return [`${path} must be at least ${schema.minimum}, got ${value}`];
+    }
+
+    const errors = [];
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (actual === 'object' && schema.properties) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined && ![].concat(schema.properties[key]?.type).includes('null')) {
+                errors.push(`${path}.${key} is missing`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+function normalizeEnum(value, options) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const key = value.trim().toLowerCase();
+    return options.find(option => option.toLowerCase() === key) ||
+        (options.includes(ALIASES[key]) ? ALIASES[key] : value);
+}
+
+function normalizeInteger(value) {
+    return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+}
+
+function orEmptyList(value) {
+    return value === undefined || value === null ? [] : value;
+}
+
+// Strings where objects were asked for are taken as their description
+function normalizeDescribed(item, types) {
+    const described = typeof item === 'string' ? { description: item, type: types[0] } : item;
+    return described && typeof described === 'object' ? { ...described, type: normalizeEnum(described.type, types) } : described;
+}
+
+// Fixes deviations that do not change the meaning: enum spelling, numbers sent as strings,
+// missing empty lists and optional fields sent as null. Everything else is left for validation.
+function normalizeAnalysis(analysis) {
+    if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        return analysis;
+    }
+    const issues = orEmptyList(analysis.issues);
+    const suggestions = orEmptyList(analysis.suggestions);
+    const improvements = orEmptyList(analysis.improvements);
+    return {
+        ...analysis,
+        issues: Array.isArray(issues) ? issues.map(issue => {
+            if (!issue || typeof issue !== 'object') {
+                return issue;
+            }
+            const normalized = {
+                ...issue,
+                type: normalizeEnum(issue.type ?? (issue.ruleId ? RULE_VIOLATION : undefined), [...ISSUE_TYPES, RULE_VIOLATION]),
+                severity: normalizeEnum(issue.severity, SEVERITIES),
+                line: normalizeInteger(issue.line),
+                snippet: issue.snippet ?? ''
+            };
+            if (normalized.ruleId === null) {
+                delete normalized.ruleId;
+            }
+            for (const key of ['column', 'endLine', 'endColumn']) {
+                normalized[key] = normalizeInteger(issue[key]);
+                if (normalized[key] === null || normalized[key] === undefined) {
+                    delete normalized[key];
+                }
+            }
+            return normalized;
+        }) : issues,
+        suggestions: Array.isArray(suggestions) ? suggestions.map(item => normalizeDescribed(item, SUGGESTION_TYPES)) : suggestions,
+        improvements: Array.isArray(improvements) ? improvements.map(item => normalizeDescribed(item, IMPROVEMENT_TYPES)) : improvements
+    };
+}
+
+function normalizePosition(value) {
+    return value && typeof value === 'object'
+        ? { ...value, line: normalizeInteger(value.line), character: normalizeInteger(value.character) }
+        : value;
+}
+
+function normalizeChanges(proposal) {
+    if (!proposal || typeof proposal !== 'object' || Array.isArray(proposal)) {
+        return proposal;
+    }
+    const changes = orEmptyList(proposal.changes);
+    return {
+        ...proposal,
+        description: proposal.description ?? '',
+        changes: Array.isArray(changes) ? changes.map(change => {
+            if (!change || typeof change !== 'object') {
+                return change;
+            }
+            const normalized = {
+                ...change,
+                range: change.range && typeof change.range === 'object'
+                    ? { start: normalizePosition(change.range.start), end: normalizePosition(change.range.end) }
+                    : change.range
+            };
+            if (normalized.originalText === null) {
+                delete normalized.originalText;
+            }
+            return normalized;
+        }) : changes,
+        // File operations are checked by normalizeFileOperations() before they are used
+        fileOperations: orEmptyList(proposal.fileOperations)
+    };
+}
+
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+// Line numbers must point into the listing that was sent (1-indexed, as shown)
+function checkAnalysis(analysis, { minLine = 1, maxLine } = {}) {
+    const errors = [];
+    analysis.issues.forEach((issue, i) => {
+        for (const key of ['line', 'endLine']) {
+            if (issue[key] !== undefined && maxLine !== undefined && (issue[key] < minLine || issue[key] > maxLine)) {
+                errors.push(`response.issues[${i}].${key} must be between ${minLine} and ${maxLine}, got ${issue[key]}`);
+            }
+        }
+        if (issue.endLine !== undefined && issue.endLine < issue.line) {
+            errors.push(`response.issues[${i}].endLine must not be before line`);
+        }
+    });
+    return errors;
+}
+
+// Ranges must lie within the code that was sent (0-indexed) and not end before they start
+function checkChanges(proposal, { lineCount } = {}) {
+    const errors = [];
+    proposal.changes.forEach((change, i) => {
+        const { start, end } = change.range;
+        if (comparePositions(end, start) < 0) {
+            errors.push(`response.changes[${i}].range ends before it starts`);
+        }
+        if (lineCount !== undefined && end.line > lineCount) {
+            errors.push(`response.changes[${i}].range.end.line must be at most ${lineCount}, got ${end.line}`);
+        }
+    });
+    return errors;
+}
+
+// ruleIds are the ids of the team rules sent with the prompt
+function createAnalysisFormat({ ruleIds = [] } = {}) {
+    return {
+        name: 'code_analysis',
+        schema: createAnalysisSchema(ruleIds),
+        normalize: normalizeAnalysis,
+        check: checkAnalysis
+    };
+}
+
+const ANALYSIS_FORMAT = createAnalysisFormat();
+
+const CHANGES_FORMAT = {
+    name: 'code_changes',
+    schema: CHANGES_SCHEMA,
+    normalize: normalizeChanges,
+    check: checkChanges
+};
+
+// Returns { value, errors }; value is only usable when errors is empty. limits are passed to
+// the format's own checks.
+function parseStructuredResponse(rawResponseContent, format, limits) {
+    let parsed;
+    try {
+        parsed = parseModelJson(rawResponseContent);
+    } catch (error) {
+        return { value: undefined, errors: [`The response is not valid JSON (${error.message})`] };
+    }
+
+    const value = format.normalize(parsed);
+    const errors = validateSchema(value, format.schema);
+    if (errors.length === 0) {
+        errors.push(...format.check(value, limits));
+    }
+    return { value, errors };
+}
+
+// Sends the request with the format's schema and validates the answer. An invalid answer is
+// sent back with the validation errors, at most maxRepairs times, before InvalidResponseError
+// is thrown. Returns { value, raw } for the valid answer.
+async function completeStructured(provider, request, format, { maxRepairs = DEFAULT_MAX_REPAIRS, limits } = {}) {
+    let messages = request.messages;
+    for (let attempt = 0; ; attempt++) {
+        const raw = await provider.complete({
+            ...request,
+            messages,
+            json: true,
+            responseSchema: { name: format.name, schema: format.schema }
+        });
+        const { value, errors } = parseStructuredResponse(raw, format, limits);
+        if (errors.length === 0) {
+            return { value, raw };
+        }
+        if (attempt >= maxRepairs) {
+            throw new InvalidResponseError(errors);
+        }
+        messages = [
+            ...messages,
+            { role: 'assistant', content: raw },
+            { role: 'user', content: buildRepairRequest(errors) }
+        ];
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_REPAIRS,
+    ISSUE_TYPES,
+    SEVERITIES,
+    RULE_VIOLATION,
+    ANALYSIS_FORMAT,
+    createAnalysisFormat,
+    CHANGES_FORMAT,
+    InvalidResponseError,
+    parseModelJson,
+    validateSchema,
+    parseStructuredResponse,
+    completeStructured
+};
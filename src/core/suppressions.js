@@ -0,0 +1,95 @@
+// Inline suppression comments, in any comment syntax:
+//     // ai-assistant-ignore-next-line Security Vulnerability
+//     query(sql); // ai-assistant-ignore-line
+//     # ai-assistant-ignore-file Code Smell, no-default-exports -- generated code
+// Without a list every finding is suppressed; otherwise findings whose type or rule id is
+// listed (case-insensitive). Text after " -- " is a free-form reason.
+
+const SUPPRESSION_PATTERN = /ai-assistant-ignore-(next-line|line|file)\b(.*)$/;
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'shellscript', 'perl', 'r', 'yaml', 'dockerfile', 'makefile', 'powershell'];
+
+function parseTargets(text) {
+    return text
+        .replace(/(\*\/|-->).*$/, '') // End of a block comment
+        .replace(/\s--(\s.*)?$/, '') // Reason
+        .split(',')
+        .map(target => target.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// An unrestricted suppression wins over a restricted one
+function combineTargets(existing, targets) {
+    if (!existing) {
+        return targets;
+    }
+    return existing.length === 0 || targets.length === 0 ? [] : [...existing, ...targets];
+}
+
+// Returns { file: [targets...] | null, lines: Map(0-based line -> [targets]) }; an empty
+// target list suppresses everything
+function findSuppressions(code) {
+    const suppressions = { file: null, lines: new Map() };
+
+    code.split('\n').forEach((text, line) => {
+        const match = SUPPRESSION_PATTERN.exec(text);
+        if (!match) {
+            return;
+        }
+        const targets = parseTargets(match[2]);
+        if (match[1] === 'file') {
+            suppressions.file = combineTargets(suppressions.file, targets);
+        } else {
+            const target = match[1] === 'next-line' ? line + 1 : line;
+            suppressions.lines.set(target, combineTargets(suppressions.lines.get(target), targets));
+        }
+    });
+    return suppressions;
+}
+
+function matchesTargets(issue, targets) {
+    return targets.length === 0 ||
+        targets.includes(String(issue.type || '').toLowerCase()) ||
+        (issue.ruleId !== undefined && targets.includes(String(issue.ruleId).toLowerCase()));
+}
+
+// issue.line is the 0-based line the issue was anchored to
+function isSuppressed(issue, suppressions) {
+    if (suppressions.file && matchesTargets(issue, suppressions.file)) {
+        return true;
+    }
+    const targets = suppressions.lines.get(issue.line);
+    return Boolean(targets) && matchesTargets(issue, targets);
+}
+
+function filterSuppressed(analysis, code) {
+    const suppressions = findSuppressions(code);
+    if (!suppressions.file && suppressions.lines.size === 0) {
+        return analysis;
+    }
+    return { ...analysis, issues: (analysis.issues || []).filter(issue => !isSuppressed(issue, suppressions)) };
+}
+
+// The comment that suppresses a finding on the line after it, e.g. for a quick fix
+function buildSuppressionComment(languageId, target) {
+    const directive = `ai-assistant-ignore-next-line${target ? ` ${target}` : ''}`;
+    if (HASH_COMMENT_LANGUAGES.includes(languageId)) {
+        return `# ${directive}`;
+    }
+    if (['sql', 'lua', 'haskell'].includes(languageId)) {
+        return `-- ${directive}`;
+    }
+    if (['html', 'xml', 'markdown', 'vue'].includes(languageId)) {
+        return `<!-- ${directive} -->`;
+    }
+    if (languageId === 'css') {
+        return `/* ${directive} */`;
+    }
+    return `// ${directive}`;
+}
+
+module.exports = {
+    findSuppressions,
+    isSuppressed,
+    filterSuppressed,
+    buildSuppressionComment
+};
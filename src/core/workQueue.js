@@ -0,0 +1,177 @@
+const { estimateTokens } = require('./chunking');
+const { createAbortError, isAbortError, throwIfAborted } = require('./abort');
+
+// Concurrency, retries and per-run budgets for bulk analysis. The provider wrappers keep
+// the provider interface, so callers do not need to know whether they are in place.
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 4;
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+    }
+}
+
+function isRetryableError(error) {
+    if (error instanceof BudgetExceededError || isAbortError(error)) {
+        return false;
+    }
+    if (typeof error.status === 'number') {
+        return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+    }
+    return NETWORK_ERROR_CODES.includes(error.code) || error.name === 'APIConnectionError';
+}
+
+function getHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Delay requested by the server through retry-after-ms or Retry-After (seconds or HTTP date)
+function getRetryAfterMs(error, now = Date.now()) {
+    const milliseconds = Number(getHeader(error.headers, 'retry-after-ms'));
+    if (milliseconds > 0) {
+        return milliseconds;
+    }
+
+    const value = getHeader(error.headers, 'retry-after');
+    if (!value) {
+        return undefined;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// Resolves after the delay, or rejects with an AbortError as soon as signal is aborted
+function sleep(milliseconds, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, milliseconds);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Retries transient failures with exponential backoff and jitter, or after the delay the
+// server asked for, capped at maxDelayMs. Nothing is retried once signal is aborted.
+async function withRetry(fn, { maxRetries = DEFAULT_MAX_RETRIES, baseDelayMs = 1000, maxDelayMs = 60000, onRetry = () => {}, wait = sleep, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        throwIfAborted(signal);
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (signal?.aborted) {
+                throw isAbortError(error) ? error : createAbortError();
+            }
+            if (attempt >= maxRetries || !isRetryableError(error)) {
+                throw error;
+            }
+
+            const backoff = baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+            const delay = Math.min(getRetryAfterMs(error) ?? backoff, maxDelayMs);
+            onRetry({ attempt: attempt + 1, delay, error });
+            await wait(delay, signal);
+        }
+    }
+}
+
+// A streamed attempt that fails is retried from scratch; onToken receives the full text so
+// far, so consumers simply show the new attempt.
+function createRetryingProvider(provider, retryOptions = {}) {
+    return {
+        ...provider,
+        complete: request => withRetry(() => provider.complete(request), { ...retryOptions, signal: request.signal }),
+        embed: provider.embed && (texts => withRetry(() => provider.embed(texts), retryOptions))
+    };
+}
+
+// Request and token limits for one run; 0 means unlimited. Tokens are estimated from the
+// prompt and the response text.
+class RequestBudget {
+    constructor({ maxRequests = 0, maxTokens = 0 } = {}) {
+        this.maxRequests = maxRequests;
+        this.maxTokens = maxTokens;
+        this.requests = 0;
+        this.tokens = 0;
+    }
+
+    reserve(request) {
+        if (this.maxRequests > 0 && this.requests >= this.maxRequests) {
+            throw new BudgetExceededError(`Request budget of ${this.maxRequests} requests exhausted.`);
+        }
+        const promptTokens = request.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        if (this.maxTokens > 0 && this.tokens + promptTokens > this.maxTokens) {
+            throw new BudgetExceededError(`Token budget of ${this.maxTokens} tokens exhausted.`);
+        }
+        this.requests++;
+        this.tokens += promptTokens;
+    }
+
+    record(responseText) {
+        this.tokens += estimateTokens(responseText || '');
+    }
+}
+
+function createBudgetedProvider(provider, budget) {
+    return {
+        ...provider,
+        complete: async request => {
+            budget.reserve(request);
+            const response = await provider.complete(request);
+            budget.record(response);
+            return response;
+        }
+    };
+}
+
+// Runs worker over items with at most `concurrency` in flight. Returns [{ item, value }] or
+// [{ item, error }] in input order; items not started because of cancellation are left out.
+async function runQueue(items, worker, { concurrency = DEFAULT_CONCURRENCY, isCancelled = () => false } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runWorker = async () => {
+        while (next < items.length && !isCancelled()) {
+            const index = next++;
+            try {
+                results[index] = { item: items[index], value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { item: items[index], error };
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results.filter(Boolean);
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    BudgetExceededError,
+    getRetryAfterMs,
+    withRetry,
+    createRetryingProvider,
+    RequestBudget,
+    createBudgetedProvider,
+    runQueue
+};
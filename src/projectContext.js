@@ -0,0 +1,171 @@
+const vscode = require('vscode');
+const { findSymbolBoundaries } = require('./core/chunking');
+const { DEFAULT_CONTEXT_MAX_TOKENS, MAX_OUTLINE_LINES, PROJECT_CONFIG_FILES, findImports, getImportCandidates, packContext } = require('./core/projectContext');
+
+const MAX_DEFINITIONS = 15;
+const MAX_DEFINITION_LINES = 40;
+
+function getLocationTarget(location) {
+    // Definition providers return Locations or LocationLinks
+    return location.targetUri
+        ? { uri: location.targetUri, range: location.targetRange }
+        : { uri: location.uri, range: location.range };
+}
+
+function flattenSymbols(symbols) {
+    return symbols.flatMap(symbol => [symbol, ...flattenSymbols(symbol.children || [])]);
+}
+
+// Gathers what the model needs to understand a file beyond its own code: the definitions of
+// the symbols it imports, an outline of the workspace modules it imports and the project
+// configuration, in that order of importance and within a token budget. Files for which
+// isNeverSend(uri) returns true are left out.
+class ProjectContextBuilder {
+    constructor({ isNeverSend = () => false } = {}) {
+        this.isNeverSend = isNeverSend;
+    }
+
+    async build(uri, code, languageId) {
+        const config = vscode.workspace.getConfiguration('aiAssistant');
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!config.get('context.enabled', true) || !workspaceFolder) {
+            return '';
+        }
+
+        try {
+            const imports = findImports(code, languageId);
+            const definitions = await this.getDefinitionSections(uri, imports, workspaceFolder);
+            const definedFiles = new Set(definitions.map(section => section.file));
+            const outlines = await this.getImportedModuleSections(uri, imports, languageId, workspaceFolder, definedFiles);
+            const configuration = await this.getProjectConfigSections(workspaceFolder);
+            return packContext([...definitions, ...outlines, ...configuration], config.get('context.maxTokens', DEFAULT_CONTEXT_MAX_TOKENS));
+        } catch (error) {
+            // Context makes answers better but is never required
+            console.warn(`Project context unavailable for ${uri.toString()}:`, error.message);
+            return '';
+        }
+    }
+
+    // Definitions of imported names, as found by the language service
+    async getDefinitionSections(uri, imports, workspaceFolder) {
+        const sections = [];
+        const seen = new Set();
+        const names = imports.flatMap(entry => entry.names).slice(0, MAX_DEFINITIONS);
+
+        for (const name of names) {
+            const locations = await vscode.commands.executeCommand('vscode.executeDefinitionProvider', uri, new vscode.Position(name.line, name.character)) || [];
+            const target = locations.map(getLocationTarget).find(location =>
+                location.uri.toString() !== uri.toString() && this.isInWorkspace(location.uri, workspaceFolder) && !this.isNeverSend(location.uri));
+            const key = target && `${target.uri.toString()}#${target.range.start.line}`;
+            if (!target || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const document = await vscode.workspace.openTextDocument(target.uri);
+            const range = await this.getDefinitionRange(document, target.range);
+            const lastLine = Math.min(range.end.line, range.start.line + MAX_DEFINITION_LINES - 1);
+            const text = document.getText(new vscode.Range(range.start.line, 0, lastLine, document.lineAt(lastLine).text.length));
+            sections.push({
+                title: `Definition of ${name.name} (${vscode.workspace.asRelativePath(target.uri, false)}:${range.start.line + 1})`,
+                content: lastLine < range.end.line ? `${text}\n...` : text,
+                languageId: document.languageId,
+                file: target.uri.toString()
+            });
+        }
+        return sections;
+    }
+
+    // The whole symbol at a definition location, not just its name
+    async getDefinitionRange(document, range) {
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri) || [];
+        const containing = flattenSymbols(symbols)
+            .map(symbol => symbol.range || symbol.location.range)
+            .filter(symbolRange => symbolRange.start.line === range.start.line || symbolRange.contains(range))
+            .sort((a, b) => (a.end.line - a.start.line) - (b.end.line - b.start.line));
+        return containing[0] || range;
+    }
+
+    // Declaration lines of the workspace modules that are imported, for files not already
+    // covered by a definition
+    async getImportedModuleSections(uri, imports, languageId, workspaceFolder, definedFiles) {
+        const fromFile = vscode.workspace.asRelativePath(uri, false);
+        const sections = [];
+
+        for (const entry of imports) {
+            const moduleUri = await this.resolveImport(workspaceFolder, getImportCandidates(fromFile, entry.specifier, languageId));
+            if (!moduleUri || definedFiles.has(moduleUri.toString()) || moduleUri.toString() === uri.toString() || this.isNeverSend(moduleUri)) {
+                continue;
+            }
+            definedFiles.add(moduleUri.toString());
+
+            const document = await vscode.workspace.openTextDocument(moduleUri);
+            sections.push({
+                title: `Outline of ${vscode.workspace.asRelativePath(moduleUri, false)} (imported as '${entry.specifier}')`,
+                content: await this.getOutline(document),
+                languageId: document.languageId
+            });
+        }
+        return sections;
+    }
+
+    async resolveImport(workspaceFolder, candidates) {
+        for (const candidate of candidates) {
+            const candidateUri = vscode.Uri.joinPath(workspaceFolder.uri, candidate);
+            try {
+                if ((await vscode.workspace.fs.stat(candidateUri)).type & vscode.FileType.File) {
+                    return candidateUri;
+                }
+            } catch {
+                // Try the next candidate
+            }
+        }
+        return undefined;
+    }
+
+    // The declaration line of every symbol, indented by nesting depth
+    async getOutline(document) {
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri) || [];
+        const lines = [];
+        const addSymbols = (children, depth) => children.forEach(symbol => {
+            const range = symbol.selectionRange || symbol.range || symbol.location.range;
+            lines.push('    '.repeat(depth) + document.lineAt(range.start.line).text.trim());
+            addSymbols(symbol.children || [], depth + 1);
+        });
+        addSymbols(symbols, 0);
+
+        if (lines.length === 0) {
+            // No symbol provider for the language; fall back to top-level statements
+            findSymbolBoundaries(document.getText()).forEach(line => lines.push(document.lineAt(line).text.trim()));
+        }
+        return [...new Set(lines)].slice(0, MAX_OUTLINE_LINES).join('\n');
+    }
+
+    async getProjectConfigSections(workspaceFolder) {
+        const sections = [];
+        for (const file of PROJECT_CONFIG_FILES) {
+            const fileUri = vscode.Uri.joinPath(workspaceFolder.uri, file.name);
+            if (this.isNeverSend(fileUri)) {
+                continue;
+            }
+            try {
+                const text = Buffer.from(await vscode.workspace.fs.readFile(fileUri)).toString('utf-8');
+                const content = file.summarize(text);
+                if (content) {
+                    sections.push({ title: file.name, content, languageId: file.languageId });
+                }
+            } catch {
+                // Not every project has every file
+            }
+        }
+        return sections;
+    }
+
+    isInWorkspace(uri, workspaceFolder) {
+        const relativePath = vscode.workspace.asRelativePath(uri, false);
+        return vscode.workspace.getWorkspaceFolder(uri)?.uri.toString() === workspaceFolder.uri.toString() &&
+            !relativePath.split('/').includes('node_modules');
+    }
+}
+
+module.exports = { ProjectContextBuilder };
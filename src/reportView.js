@@ -0,0 +1,256 @@
+const vscode = require('vscode');
+const { createNonce, getWebviewOptions, getContentSecurityPolicyTag, validateMessage } = require('./webviewSecurity');
+
+const EMPTY_REPORT = { items: [], counts: { total: 0, bySeverity: {}, byType: {} }, fileCount: 0 };
+
+// Single report panel for workspace-wide runs. Results are posted to the webview as data
+// and rendered there, so grouping and filtering never need a round trip. The report is kept
+// in the webview state, from which the serializer restores the panel after a reload.
+class AnalysisReportPanel {
+    static viewType = 'aiAnalysisReport';
+    static currentPanel = undefined;
+
+    static show(context, report) {
+        if (AnalysisReportPanel.currentPanel) {
+            AnalysisReportPanel.currentPanel.panel.reveal(vscode.ViewColumn.Two);
+            AnalysisReportPanel.currentPanel.update(report);
+            return AnalysisReportPanel.currentPanel;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            AnalysisReportPanel.viewType,
+            'AI Codebase Report',
+            vscode.ViewColumn.Two,
+            getWebviewOptions({ retainContextWhenHidden: true })
+        );
+        AnalysisReportPanel.currentPanel = new AnalysisReportPanel(context, panel, report);
+        return AnalysisReportPanel.currentPanel;
+    }
+
+    static registerSerializer(context) {
+        return vscode.window.registerWebviewPanelSerializer(AnalysisReportPanel.viewType, {
+            deserializeWebviewPanel: async (panel, state) => {
+                panel.webview.options = getWebviewOptions();
+                AnalysisReportPanel.currentPanel?.panel.dispose();
+                AnalysisReportPanel.currentPanel = new AnalysisReportPanel(context, panel, state?.report || EMPTY_REPORT);
+            }
+        });
+    }
+
+    constructor(context, panel, report) {
+        this.panel = panel;
+        this.report = report;
+        this.panel.webview.html = this.getWebviewContent(this.panel.webview);
+
+        this.panel.onDidDispose(() => {
+            AnalysisReportPanel.currentPanel = undefined;
+        }, null, context.subscriptions);
+
+        this.panel.webview.onDidReceiveMessage(received => {
+            const message = validateMessage(received, {
+                ready: {},
+                navigate: { uri: 'string', line: 'number?', column: 'number?' }
+            });
+            switch (message?.command) {
+                case 'ready':
+                    this.update(this.report);
+                    return;
+                case 'navigate':
+                    // Only files of the report can be opened from it
+                    if (this.report.items.some(item => item.uri === message.uri)) {
+                        this.navigate(message.uri, message.line, message.column);
+                    }
+                    return;
+            }
+        }, undefined, context.subscriptions);
+    }
+
+    update(report) {
+        this.report = report;
+        this.panel.webview.postMessage({ command: 'update', report });
+    }
+
+    async navigate(uri, line, column) {
+        if (!uri) {
+            return;
+        }
+
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+            const position = new vscode.Position(
+                Math.min(Math.max(line || 0, 0), Math.max(document.lineCount - 1, 0)),
+                Math.max(column || 0, 0)
+            );
+            await vscode.window.showTextDocument(document, {
+                viewColumn: vscode.ViewColumn.One,
+                selection: new vscode.Range(position, position)
+            });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open ${uri}: ${error.message}`);
+        }
+    }
+
+    getWebviewContent(webview) {
+        const nonce = createNonce();
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            ${getContentSecurityPolicyTag(webview, nonce)}
+            <style nonce="${nonce}">
+                body { font-family: Arial, sans-serif; padding: 20px; color: var(--vscode-editor-foreground); background-color: var(--vscode-editor-background); }
+                h1, h2 { color: var(--vscode-textLink-foreground); }
+                .summary span { display: inline-block; margin-right: 15px; }
+                .filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin: 15px 0; padding-bottom: 10px; border-bottom: 1px solid var(--vscode-list-hoverBackground); }
+                select, input[type="text"] { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 4px; }
+                details { margin-bottom: 10px; }
+                summary { cursor: pointer; font-weight: bold; padding: 4px 0; }
+                .item { padding: 8px 10px; margin: 5px 0; border-left: 3px solid var(--vscode-editorInfo-foreground); background: var(--vscode-editorWidget-background); cursor: pointer; }
+                .item:hover { background: var(--vscode-list-hoverBackground); }
+                .item.Error { border-left-color: var(--vscode-editorError-foreground); }
+                .item.Warning { border-left-color: var(--vscode-editorWarning-foreground); }
+                .meta { opacity: 0.8; font-size: 0.9em; }
+                .empty { opacity: 0.8; }
+            </style>
+        </head>
+        <body>
+            <h1>AI Codebase Report</h1>
+            <div class="summary" id="summary"></div>
+
+            <div class="filters">
+                <label>Group by
+                    <select id="groupBy">
+                        <option value="file">File</option>
+                        <option value="type">Type</option>
+                        <option value="severity">Severity</option>
+                    </select>
+                </label>
+                <label>Kind
+                    <select id="kind">
+                        <option value="">All</option>
+                        <option value="issue">Issues</option>
+                        <option value="suggestion">Suggestions</option>
+                        <option value="improvement">Improvements</option>
+                    </select>
+                </label>
+                <label>Severity
+                    <select id="severity">
+                        <option value="">All</option>
+                        <option value="Error">Error</option>
+                        <option value="Warning">Warning</option>
+                        <option value="Information">Information</option>
+                    </select>
+                </label>
+                <label>Type <select id="type"><option value="">All</option></select></label>
+                <input type="text" id="search" placeholder="Filter text...">
+            </div>
+
+            <div id="groups"></div>
+
+            <script nonce="${nonce}">
+                const vscode = acquireVsCodeApi();
+                let report = { items: [], counts: { total: 0, bySeverity: {}, byType: {} }, fileCount: 0 };
+                const controls = ['groupBy', 'kind', 'severity', 'type', 'search'].map(id => document.getElementById(id));
+
+                controls.forEach(control => control.addEventListener('input', render));
+
+                window.addEventListener('message', event => {
+                    if (event.data.command === 'update') {
+                        report = event.data.report;
+                        vscode.setState({ report });
+                        renderTypeOptions();
+                        render();
+                    }
+                });
+
+                function element(tag, className, text) {
+                    const node = document.createElement(tag);
+                    if (className) {
+                        node.className = className;
+                    }
+                    if (text !== undefined) {
+                        node.textContent = text;
+                    }
+                    return node;
+                }
+
+                function renderTypeOptions() {
+                    const select = document.getElementById('type');
+                    const selected = select.value;
+                    select.replaceChildren(element('option', '', 'All'));
+                    select.firstChild.value = '';
+                    Object.keys(report.counts.byType).sort().forEach(type => {
+                        const option = element('option', '', type + ' (' + report.counts.byType[type] + ')');
+                        option.value = type;
+                        select.appendChild(option);
+                    });
+                    select.value = selected;
+                }
+
+                function render() {
+                    const [groupBy, kind, severity, type, search] = controls.map(control => control.value);
+                    const needle = search.toLowerCase();
+                    const items = report.items.filter(item =>
+                        (!kind || item.kind === kind) &&
+                        (!severity || item.severity === severity) &&
+                        (!type || item.type === type) &&
+                        (!needle || (item.description + ' ' + item.file).toLowerCase().includes(needle))
+                    );
+
+                    const summary = document.getElementById('summary');
+                    summary.replaceChildren(
+                        element('span', '', report.fileCount + ' files'),
+                        element('span', '', report.counts.total + ' findings'),
+                        ...['Error', 'Warning', 'Information'].map(level => element('span', '', level + ': ' + (report.counts.bySeverity[level] || 0))),
+                        element('span', '', 'Showing: ' + items.length)
+                    );
+
+                    const groups = new Map();
+                    items.forEach(item => {
+                        const key = item[groupBy];
+                        if (!groups.has(key)) {
+                            groups.set(key, []);
+                        }
+                        groups.get(key).push(item);
+                    });
+
+                    const container = document.getElementById('groups');
+                    if (groups.size === 0) {
+                        container.replaceChildren(element('p', 'empty', 'No findings match the current filters.'));
+                        return;
+                    }
+
+                    container.replaceChildren(...[...groups.entries()].map(([key, groupItems]) => {
+                        const details = element('details');
+                        details.open = true;
+                        details.appendChild(element('summary', '', key + ' (' + groupItems.length + ')'));
+                        groupItems.forEach(item => details.appendChild(renderItem(item, groupBy)));
+                        return details;
+                    }));
+                }
+
+                function renderItem(item, groupBy) {
+                    const node = element('div', 'item ' + item.severity);
+                    const location = item.line !== undefined ? item.file + ':' + (item.line + 1) : item.file;
+                    const meta = [item.severity, item.type, groupBy === 'file' ? (item.line !== undefined ? 'Line ' + (item.line + 1) : '') : location]
+                        .filter(Boolean).join(' · ');
+                    node.appendChild(element('div', 'meta', meta));
+                    node.appendChild(element('div', '', item.description));
+                    node.addEventListener('click', () => vscode.postMessage({
+                        command: 'navigate',
+                        uri: item.uri,
+                        line: item.line,
+                        column: item.column
+                    }));
+                    return node;
+                }
+
+                vscode.postMessage({ command: 'ready' });
+            </script>
+        </body>
+        </html>
+        `;
+    }
+}
+
+module.exports = { AnalysisReportPanel };
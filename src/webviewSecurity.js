@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// Shared protections for the webviews, which display model output: a strict Content Security
+// Policy that only runs the page's own nonce'd script and style, no local resource access,
+// escaping of every model text that is put into HTML, and validation of incoming messages,
+// which can come from a compromised page.
+
+function createNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Options for webviews created by the extension; nothing is loaded from disk
+function getWebviewOptions(options = {}) {
+    return { enableScripts: true, localResourceRoots: [], ...options };
+}
+
+function getContentSecurityPolicy(webview, nonce) {
+    return [
+        "default-src 'none'",
+        `img-src ${webview.cspSource} data:`,
+        `style-src 'nonce-${nonce}'`,
+        `script-src 'nonce-${nonce}'`
+    ].join('; ');
+}
+
+// The <meta> tag for the <head> of a webview page
+function getContentSecurityPolicyTag(webview, nonce) {
+    return `<meta http-equiv="Content-Security-Policy" content="${getContentSecurityPolicy(webview, nonce)}">`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+// Escaped inline markup: `code`, **bold** and *italic*. Links and images are not rendered.
+function renderInlineMarkdown(text) {
+    return escapeHtml(text)
+        .split(/(`[^`]+`)/)
+        .map(part => part.length > 2 && part.startsWith('`') && part.endsWith('`')
+            ? `<code>${part.slice(1, -1)}</code>`
+            : part
+                .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>'))
+        .join('');
+}
+
+// Renders the Markdown that models typically use in descriptions: paragraphs, headings,
+// lists, fenced code and inline markup. All text is escaped before any markup is added, so
+// the result cannot contain markup of its own.
+function renderMarkdown(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (const line of String(text ?? '').replace(/\r\n/g, '\n').split('\n')) {
+        if (code) {
+            if (/^\s*```/.test(line)) {
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        const item = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/.exec(line);
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            code = [];
+        } else if (heading) {
+            flushParagraph();
+            flushList();
+            const level = Math.min(heading[1].length + 2, 6); // Below the page's own headings
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+        } else if (item) {
+            flushParagraph();
+            const tag = item[1] ? 'ul' : 'ol';
+            if (list && list.tag !== tag) {
+                flushList();
+            }
+            list = list || { tag, items: [] };
+            list.items.push(item[2]);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+    if (code) {
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+    return blocks.join('\n');
+}
+
+// Checks a message from a webview against the commands the page may send, given as
+// { command: { field: type } } with types 'string', 'number', 'boolean', 'array' or
+// 'object', optionally suffixed with '?' for optional fields. Returns the message, or
+// undefined for anything else.
+function validateMessage(message, commands) {
+    if (!message || typeof message !== 'object' || typeof message.command !== 'string' ||
+        !Object.prototype.hasOwnProperty.call(commands, message.command)) {
+        return undefined;
+    }
+    const fields = commands[message.command];
+    const valid = Object.entries(fields).every(([field, type]) => {
+        const optional = type.endsWith('?');
+        const expected = optional ? type.slice(0, -1) : type;
+        const value = message[field];
+        if (value === undefined || value === null) {
+            return optional;
+        }
+        if (expected === 'array') {
+            return Array.isArray(value);
+        }
+        if (expected === 'number') {
+            return typeof value === 'number' && Number.isFinite(value);
+        }
+        if (expected === 'object') {
+            return typeof value === 'object' && !Array.isArray(value);
+        }
+        return typeof value === expected;
+    });
+    return valid ? message : undefined;
+}
+
+module.exports = {
+    createNonce,
+    getWebviewOptions,
+    getContentSecurityPolicy,
+    getContentSecurityPolicyTag,
+    escapeHtml,
+    renderMarkdown,
+    validateMessage
+};
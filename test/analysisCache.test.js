@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AnalysisCache } = require('../src/analysisCache');
+
+suite('Analysis Cache Test Suite', () => {
+	let storageDir;
+
+	setup(() => {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	test('Key changes with content, language, model, prompt version and context', () => {
+		const base = { code: 'a', languageId: 'javascript', model: 'openai:gpt-4o', promptVersion: 1 };
+		const key = AnalysisCache.computeKey(base);
+
+		assert.strictEqual(AnalysisCache.computeKey({ ...base }), key);
+		assert.notStrictEqual(AnalysisCache.computeKey({ ...base, code: 'b' }), key);
+		assert.notStrictEqual(AnalysisCache.computeKey({ ...base, languageId: 'typescript' }), key);
+		assert.notStrictEqual(AnalysisCache.computeKey({ ...base, model: 'anthropic:claude' }), key);
+		assert.notStrictEqual(AnalysisCache.computeKey({ ...base, promptVersion: 2 }), key);
+		assert.notStrictEqual(AnalysisCache.computeKey({ ...base, contextHash: AnalysisCache.hashContent('context') }), key);
+	});
+
+	test('Entries survive a reload from workspace storage', async () => {
+		const context = { storageUri: { fsPath: storageDir } };
+		const cache = new AnalysisCache(context);
+		await cache.set('key-1', { issues: [] }, { uri: 'file:///a.js', languageId: 'javascript', model: 'm' });
+
+		const reloaded = new AnalysisCache(context);
+		assert.deepStrictEqual(await reloaded.get('key-1'), { issues: [] });
+		assert.deepStrictEqual((await reloaded.getIndexedEntries()).map(entry => entry.uri), ['file:///a.js']);
+	});
+
+	test('A new result for a file replaces its previous entry', async () => {
+		const cache = new AnalysisCache({ storageUri: { fsPath: storageDir } });
+		await cache.set('old', { issues: [] }, { uri: 'file:///a.js' });
+		await cache.set('new', { issues: [] }, { uri: 'file:///a.js' });
+
+		assert.strictEqual(await cache.get('old'), undefined);
+		assert.strictEqual((await cache.getStats()).entryCount, 1);
+	});
+});
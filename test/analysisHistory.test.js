@@ -0,0 +1,45 @@
+const assert = require('assert');
+
+const { AnalysisHistory } = require('../src/analysisHistory');
+
+// In-memory stand-in for the workspace state
+function createMemento() {
+	const values = new Map();
+	return {
+		get: key => values.get(key),
+		update: async (key, value) => {
+			values.set(key, JSON.parse(JSON.stringify(value)));
+		}
+	};
+}
+
+suite('Analysis History Test Suite', () => {
+	test('Keeps the newest entries per file', async () => {
+		const memento = createMemento();
+		const history = new AnalysisHistory(memento, { maxEntriesPerFile: 2 });
+		await history.add('file:///a.js', { kind: 'analysis', analysis: { issues: [], n: 1 } });
+		await history.add('file:///a.js', { kind: 'analysis', analysis: { issues: [], n: 2 } });
+		await history.add('file:///a.js', { kind: 'analysis', analysis: { issues: [], n: 3 } });
+
+		const reloaded = new AnalysisHistory(memento);
+		assert.deepStrictEqual(reloaded.getEntries('file:///a.js').map(entry => entry.analysis.n), [3, 2]);
+		assert.deepStrictEqual(reloaded.getEntries('file:///b.js'), []);
+	});
+
+	test('Updates suggestion sessions and forgets the least recent files', async () => {
+		const history = new AnalysisHistory(createMemento(), { maxFiles: 2 });
+		const session = await history.add('file:///a.js', { kind: 'changes', requests: ['Add logging'], status: 'proposed' });
+		await history.add('file:///b.js', { kind: 'analysis', analysis: { issues: [] } });
+
+		const updated = await history.update('file:///a.js', session.id, { requests: ['Add logging', 'Use debug level'], status: 'applied' });
+		assert.strictEqual(updated.status, 'applied');
+		assert.deepStrictEqual(history.getEntries('file:///a.js')[0].requests, ['Add logging', 'Use debug level']);
+
+		await history.add('file:///c.js', { kind: 'analysis', analysis: { issues: [] } });
+		assert.deepStrictEqual(history.getEntries('file:///a.js'), []);
+		assert.strictEqual(history.getEntries('file:///c.js').length, 1);
+
+		await history.clear('file:///c.js');
+		assert.deepStrictEqual(history.getEntries('file:///c.js'), []);
+	});
+});
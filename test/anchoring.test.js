@@ -0,0 +1,43 @@
+const assert = require('assert');
+
+const { numberLines, anchorIssues, adjustRangeForEdit } = require('../src/core/anchoring');
+
+suite('Anchoring Test Suite', () => {
+	const code = 'function a() {\n    return b;\n}\n\nfunction c() {\n    return b;\n}';
+
+	test('Numbers lines starting at 1', () => {
+		assert.strictEqual(numberLines('x\ny'), '1 | x\n2 | y');
+	});
+
+	test('Anchors issues to the snippet occurrence closest to the reported line', () => {
+		const [issue] = anchorIssues([{ line: 5, snippet: 'return b;' }], code);
+		assert.deepStrictEqual([issue.line, issue.column, issue.endLine, issue.endColumn], [5, 4, 5, 13]);
+	});
+
+	test('Converts reported 1-based positions and clamps them to the code', () => {
+		const [withColumn, outOfRange, missing] = anchorIssues([
+			{ line: 2, column: 12, endColumn: 13 },
+			{ line: 99 },
+			{}
+		], code);
+
+		assert.deepStrictEqual([withColumn.line, withColumn.column, withColumn.endColumn], [1, 11, 12]);
+		assert.deepStrictEqual([outOfRange.line, outOfRange.column, outOfRange.endColumn], [6, 0, 1]);
+		assert.deepStrictEqual([missing.line, missing.column, missing.endColumn], [0, 0, 14]);
+	});
+
+	test('Moves ranges after an edit and drops ranges the edit touched', () => {
+		const range = { start: { line: 5, character: 4 }, end: { line: 5, character: 13 } };
+
+		assert.deepStrictEqual(
+			adjustRangeForEdit(range, { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } }, '// header\n'),
+			{ start: { line: 6, character: 4 }, end: { line: 6, character: 13 } }
+		);
+		assert.deepStrictEqual(
+			adjustRangeForEdit(range, { start: { line: 5, character: 0 }, end: { line: 5, character: 4 } }, '  '),
+			{ start: { line: 5, character: 2 }, end: { line: 5, character: 11 } }
+		);
+		assert.strictEqual(adjustRangeForEdit(range, { start: { line: 6, character: 0 }, end: { line: 6, character: 1 } }, ''), range);
+		assert.strictEqual(adjustRangeForEdit(range, { start: { line: 5, character: 6 }, end: { line: 5, character: 7 } }, 'x'), null);
+	});
+});
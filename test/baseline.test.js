@@ -0,0 +1,51 @@
+const assert = require('assert');
+
+const { fingerprintIssue, fingerprintAnalysis, parseBaseline, addToBaseline, filterBaselined } = require('../src/core/baseline');
+
+suite('Baseline Test Suite', () => {
+	test('Fingerprints survive moved code and reworded descriptions', () => {
+		const issue = { type: 'Bug', line: 1, endLine: 1, description: 'b is undefined' };
+		const moved = { type: 'Bug', line: 3, endLine: 3, description: 'The variable b is not defined' };
+
+		assert.strictEqual(
+			fingerprintIssue(issue, 'import x;\nconst a = b;'),
+			fingerprintIssue(moved, 'import x;\n\n\n  const a  =  b;')
+		);
+		assert.notStrictEqual(fingerprintIssue(issue, 'import x;\nconst a = b;'), fingerprintIssue({ ...issue, type: 'Code Smell' }, 'import x;\nconst a = b;'));
+		assert.notStrictEqual(fingerprintIssue(issue, 'import x;\nconst a = b;'), fingerprintIssue(issue, 'import x;\nconst a = c;'));
+	});
+
+	test('Adds findings once and keeps existing entries', () => {
+		const code = 'const a = b;\neval(x);';
+		const analysis = fingerprintAnalysis({
+			issues: [
+				{ type: 'Bug', severity: 'Error', line: 0, endLine: 0, description: 'undefined' },
+				{ type: 'Security Vulnerability', severity: 'Error', line: 1, endLine: 1, description: 'eval' }
+			]
+		}, code);
+
+		const first = addToBaseline(undefined, [{ file: 'src\\b.js', analysis: { issues: [analysis.issues[1]] } }]);
+		const baseline = addToBaseline(parseBaseline(JSON.stringify(first)), [{ file: 'src/a.js', analysis }, { file: 'src/b.js', analysis: { issues: [analysis.issues[1]] } }]);
+
+		assert.strictEqual(baseline.version, 1);
+		assert.deepStrictEqual(baseline.findings.map(finding => [finding.file, finding.type, finding.line]), [
+			['src/a.js', 'Bug', 1],
+			['src/a.js', 'Security Vulnerability', 2],
+			['src/b.js', 'Security Vulnerability', 2]
+		]);
+		assert.throws(() => parseBaseline('{ "findings": [{ "file": "a.js" }] }'), /Invalid \.aiassistant-baseline\.json/);
+	});
+
+	test('Only drops baselined findings of the same file', () => {
+		const analysis = fingerprintAnalysis({
+			issues: [
+				{ type: 'Bug', line: 0, endLine: 0, description: 'accepted' },
+				{ type: 'Bug', line: 1, endLine: 1, description: 'new' }
+			]
+		}, 'const a = b;\nconst c = d;');
+		const baseline = addToBaseline(undefined, [{ file: 'a.js', analysis: { issues: [analysis.issues[0]] } }]);
+
+		assert.deepStrictEqual(filterBaselined(analysis, 'a.js', baseline).issues.map(issue => issue.description), ['new']);
+		assert.strictEqual(filterBaselined(analysis, 'other.js', baseline).issues.length, 2);
+	});
+});
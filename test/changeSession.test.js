@@ -0,0 +1,54 @@
+const assert = require('assert');
+
+const { ChangeSession } = require('../src/core/changeSession');
+
+function scriptedProvider(responses) {
+	const requests = [];
+	return {
+		requests,
+		complete: async request => {
+			requests.push(request.messages.map(message => ({ ...message })));
+			const response = responses.shift();
+			if (response instanceof Error) {
+				throw response;
+			}
+			return JSON.stringify(response);
+		}
+	};
+}
+
+suite('Change Session Test Suite', () => {
+	const change = line => ({ range: { start: { line, character: 0 }, end: { line, character: 3 } }, newText: 'let' });
+
+	test('Maps excerpt ranges back to document lines', async () => {
+		const session = new ChangeSession({
+			code: 'var a;\nvar b;',
+			languageId: 'javascript',
+			userRequest: 'use let',
+			excerpt: { startLine: 40, endLine: 41, totalLines: 100 },
+			selection: { startLine: 0, endLine: 1 }
+		});
+		const changes = await session.request(scriptedProvider([{ description: 'd', changes: [change(1)] }]));
+
+		assert.strictEqual(changes.changes[0].range.start.line, 41);
+		assert.ok(session.messages[0].content.includes('The user selected lines 0-1'));
+	});
+
+	test('Follow-ups resend the conversation and replace the proposal', async () => {
+		const provider = scriptedProvider([
+			{ description: 'first', changes: [change(0)] },
+			new Error('network down'),
+			{ description: 'second', changes: [change(1)] }
+		]);
+		const session = new ChangeSession({ code: 'var a;\nvar b;', languageId: 'javascript', userRequest: 'use let' });
+
+		await session.request(provider);
+		await assert.rejects(session.refine(provider, 'only the second line'), /network down/);
+		assert.deepStrictEqual(session.requests, ['use let']);
+
+		const revised = await session.refine(provider, 'only the second line');
+		assert.strictEqual(revised.description, 'second');
+		assert.deepStrictEqual(session.requests, ['use let', 'only the second line']);
+		assert.deepStrictEqual(provider.requests[2].map(message => message.role), ['user', 'assistant', 'user']);
+	});
+});
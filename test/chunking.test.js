@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const { estimateTokens, findSymbolBoundaries, splitIntoChunks, mergeAnalyses } = require('../src/core/chunking');
+const { analyzeCode, extractPartialJsonString } = require('../src/core/analysis');
+const { createAbortError, isAbortError } = require('../src/core/abort');
+
+function makeFunctions(count, bodyLines) {
+	return Array.from({ length: count }, (_, i) =>
+		[`function f${i}() {`, ...Array.from({ length: bodyLines }, () => '    doSomethingUseful();'), '}', ''].join('\n')
+	).join('\n');
+}
+
+suite('Chunking Test Suite', () => {
+	test('Small files stay in one chunk', () => {
+		const chunks = splitIntoChunks('const a = 1;', { maxTokens: 100 });
+		assert.deepStrictEqual(chunks, [{ startLine: 0, endLine: 0, text: 'const a = 1;' }]);
+	});
+
+	test('Large files split on symbol boundaries within the budget', () => {
+		const code = makeFunctions(10, 10);
+		const boundaries = findSymbolBoundaries(code);
+		const chunks = splitIntoChunks(code, { maxTokens: 200, overlapLines: 2, boundaries });
+
+		assert.ok(chunks.length > 1);
+		chunks.slice(1).forEach(chunk => {
+			assert.ok(/^function f\d+\(\) \{$/m.test(chunk.text.split('\n')[2]), 'chunk body starts at a function');
+			assert.ok(estimateTokens(chunk.text) <= 200 + 20);
+		});
+		assert.strictEqual(chunks[chunks.length - 1].endLine, code.split('\n').length - 1);
+	});
+
+	test('Merged analyses drop findings repeated in overlapping lines', () => {
+		const merged = mergeAnalyses([
+			{ issues: [{ line: 3, type: 'Bug', description: 'x' }], suggestions: [{ description: 's' }], improvements: [] },
+			{ issues: [{ line: 3, type: 'Bug', description: 'x' }, { line: 9, type: 'Bug', description: 'y' }], suggestions: [{ description: 's' }] }
+		]);
+
+		assert.deepStrictEqual(merged.issues.map(issue => issue.line), [3, 9]);
+		assert.strictEqual(merged.suggestions.length, 1);
+	});
+
+	test('Chunk findings are reported with file line numbers', async () => {
+		const code = makeFunctions(6, 10);
+		const prompts = [];
+		const provider = {
+			complete: async ({ messages }) => {
+				prompts.push(messages[0].content);
+				// Report the first numbered line of the listing
+				const firstLine = Number(/^\s*(\d+) \| /m.exec(messages[0].content)[1]);
+				return JSON.stringify({ issues: [{ type: 'Bug', severity: 'Error', description: `at ${firstLine}`, line: firstLine }], suggestions: [], improvements: [] });
+			}
+		};
+
+		const analysis = await analyzeCode(provider, code, 'javascript', { maxPromptTokens: 200, overlapLines: 0 });
+
+		assert.ok(prompts.length > 1);
+		analysis.issues.forEach(issue => assert.strictEqual(issue.line + 1, Number(issue.description.slice(3))));
+	});
+
+	test('Cancelled analyses are not reported as failures', async () => {
+		const controller = new AbortController();
+		const provider = {
+			complete: async ({ signal, onToken }) => {
+				onToken('{"issues": [');
+				assert.strictEqual(signal, controller.signal);
+				throw createAbortError();
+			}
+		};
+		const streamed = [];
+
+		await assert.rejects(
+			analyzeCode(provider, 'let a;', 'javascript', { signal: controller.signal, onToken: progress => streamed.push(progress) }),
+			error => isAbortError(error) && !/Failed to get analysis/.test(error.message)
+		);
+		assert.deepStrictEqual(streamed, [{ text: '{"issues": [', chunkIndex: 0, chunkCount: 1 }]);
+	});
+
+	test('Reads a string property from JSON that is still streaming', () => {
+		assert.strictEqual(extractPartialJsonString('{"desc', 'description'), undefined);
+		assert.strictEqual(extractPartialJsonString('{"description": "Use \\"let\\" in', 'description'), 'Use "let" in');
+		assert.strictEqual(extractPartialJsonString('{"description":"Done.","changes":[', 'description'), 'Done.');
+	});
+});
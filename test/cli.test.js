@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { run } = require('../src/cli');
+
+function collect() {
+	const stream = { output: '', write: chunk => { stream.output += chunk; } };
+	return stream;
+}
+
+suite('CLI Test Suite', () => {
+	let server;
+	let baseUrl;
+	let projectDir;
+
+	suiteSetup(done => {
+		// Mock OpenAI-compatible endpoint that reports one error per file
+		server = http.createServer((req, res) => {
+			req.resume();
+			req.on('end', () => {
+				res.writeHead(200, { 'content-type': 'application/json' });
+				res.end(JSON.stringify({
+					choices: [{ message: { role: 'assistant', content: JSON.stringify({
+						issues: [{ type: 'Bug', severity: 'Error', description: 'Broken', line: 1, column: 1, snippet: 'b' }],
+						suggestions: [],
+						improvements: []
+					}) } }]
+				}));
+			});
+		});
+		server.listen(0, '127.0.0.1', () => {
+			baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+			done();
+		});
+	});
+
+	suiteTeardown(() => server.close());
+
+	setup(() => {
+		projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cli-'));
+		fs.writeFileSync(path.join(projectDir, 'index.js'), 'const a = b;\n');
+		fs.writeFileSync(path.join(projectDir, 'styles.css'), 'body {}\n');
+	});
+
+	teardown(() => fs.rmSync(projectDir, { recursive: true, force: true }));
+
+	test('Writes SARIF and fails on error findings', async () => {
+		const stdout = collect();
+		const exitCode = await run(
+			['analyze', projectDir, '--format', 'sarif', '--provider', 'openaiCompatible', '--base-url', baseUrl],
+			{ stdout, stderr: collect(), env: {} }
+		);
+
+		const sarif = JSON.parse(stdout.output);
+		assert.strictEqual(exitCode, 1);
+		assert.strictEqual(sarif.runs[0].results.length, 1);
+		assert.strictEqual(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, 'index.js');
+	});
+
+	test('Passes when the threshold is disabled', async () => {
+		const exitCode = await run(
+			['analyze', projectDir, '--fail-on', 'none', '--provider', 'openaiCompatible', '--base-url', baseUrl],
+			{ stdout: collect(), stderr: collect(), env: {} }
+		);
+		assert.strictEqual(exitCode, 0);
+	});
+
+	test('Baselined findings no longer fail the run', async () => {
+		const args = ['analyze', projectDir, '--provider', 'openaiCompatible', '--base-url', baseUrl];
+		assert.strictEqual(await run([...args, '--update-baseline'], { stdout: collect(), stderr: collect(), env: {} }), 0);
+
+		const baseline = JSON.parse(fs.readFileSync(path.join(projectDir, '.aiassistant-baseline.json'), 'utf-8'));
+		assert.deepStrictEqual(baseline.findings.map(finding => [finding.file, finding.type, finding.line]), [['index.js', 'Bug', 1]]);
+
+		const stdout = collect();
+		assert.strictEqual(await run(args, { stdout, stderr: collect(), env: {} }), 0);
+		assert.deepStrictEqual(JSON.parse(stdout.output).items, []);
+	});
+
+	test('Rejects unknown formats', async () => {
+		const stderr = collect();
+		assert.strictEqual(await run(['analyze', projectDir, '--format', 'xml'], { stdout: collect(), stderr, env: {} }), 2);
+		assert.ok(stderr.output.includes('Usage'));
+	});
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CodebaseIndex } = require('../src/codebaseIndex');
+const { LocalEmbeddingProvider } = require('../src/core/embeddings');
+
+// Counts the texts sent for embedding, to check that unchanged files are skipped
+function countingEmbedder() {
+	const local = new LocalEmbeddingProvider({ dimensions: 32 });
+	const embedder = {
+		id: local.id,
+		embeddingModel: local.embeddingModel,
+		embedded: 0,
+		embed: async texts => {
+			embedder.embedded += texts.length;
+			return local.embed(texts);
+		}
+	};
+	return embedder;
+}
+
+function file(key, text) {
+	return { key, label: key, readText: async () => text };
+}
+
+suite('Codebase Index Test Suite', () => {
+	let storageDir;
+
+	setup(() => {
+		storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-index-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(storageDir, { recursive: true, force: true });
+	});
+
+	test('Updates only embed new and changed files and drop removed ones', async () => {
+		const index = new CodebaseIndex({ storageUri: { fsPath: storageDir } });
+		const embedder = countingEmbedder();
+
+		const first = await index.update(embedder, [file('a.js', 'const a = 1;'), file('b.js', 'const b = 2;')]);
+		assert.deepStrictEqual([first.embedded, first.fileCount], [2, 2]);
+
+		const embeddedBefore = embedder.embedded;
+		const second = await index.update(embedder, [file('a.js', 'const a = 1;'), file('b.js', 'const b = 3;')]);
+		assert.strictEqual(second.embedded, 1);
+		assert.strictEqual(embedder.embedded - embeddedBefore, 1);
+
+		const third = await index.update(embedder, [file('a.js', 'const a = 1;')]);
+		assert.deepStrictEqual([third.embedded, third.fileCount], [0, 1]);
+	});
+
+	test('The index is persisted and reloaded for the same embedder', async () => {
+		const embedder = countingEmbedder();
+		await new CodebaseIndex({ storageUri: { fsPath: storageDir } }).update(embedder, [file('auth.js', 'function storeApiKey(key) { secrets.store(key); }')]);
+
+		const reloaded = new CodebaseIndex({ storageUri: { fsPath: storageDir } });
+		const [match] = await reloaded.search(embedder, 'store api key', 1);
+		assert.strictEqual(match.file, 'auth.js');
+		assert.strictEqual(match.startLine, 0);
+	});
+
+	test('Saved files are re-embedded only when already indexed', async () => {
+		const index = new CodebaseIndex({ storageUri: { fsPath: storageDir } });
+		const embedder = countingEmbedder();
+		await index.update(embedder, [file('a.js', 'const a = 1;')]);
+
+		assert.strictEqual(await index.updateFile(embedder, 'a.js', 'a.js', 'const a = 2;'), true);
+		assert.strictEqual(await index.updateFile(embedder, 'a.js', 'a.js', 'const a = 2;'), false);
+		assert.strictEqual(await index.updateFile(embedder, 'new.js', 'new.js', 'const n = 1;'), false);
+	});
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const { diffLines, isValidChange, getRangeText, locateChange, findOverlappingChanges, applyTextChanges } = require('../src/core/diff');
+
+function range(startLine, startCharacter, endLine, endCharacter) {
+	return { start: { line: startLine, character: startCharacter }, end: { line: endLine, character: endCharacter } };
+}
+
+suite('Diff Test Suite', () => {
+	test('diffLines keeps unchanged lines between edits', () => {
+		const ops = diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+		assert.deepStrictEqual(ops, [
+			{ type: 'equal', text: 'a' },
+			{ type: 'remove', text: 'b' },
+			{ type: 'add', text: 'B' },
+			{ type: 'equal', text: 'c' },
+			{ type: 'equal', text: 'd' },
+			{ type: 'add', text: 'e' }
+		]);
+	});
+
+	test('diffLines finds moved-around common lines instead of replacing everything', () => {
+		const ops = diffLines('x\nkeep\ny', 'keep\nz');
+		assert.deepStrictEqual(ops.filter(op => op.type === 'equal').map(op => op.text), ['keep']);
+		assert.deepStrictEqual(ops.filter(op => op.type === 'remove').map(op => op.text), ['x', 'y']);
+		assert.deepStrictEqual(ops.filter(op => op.type === 'add').map(op => op.text), ['z']);
+	});
+
+	test('diffLines of identical text has only equal lines', () => {
+		assert.ok(diffLines('one\ntwo', 'one\ntwo').every(op => op.type === 'equal'));
+	});
+
+	test('applyTextChanges applies non-overlapping changes regardless of order', () => {
+		const text = 'const a = 1;\nconst b = 2;\nconst c = 3;';
+		const result = applyTextChanges(text, [
+			{ range: range(0, 10, 0, 11), newText: '10' },
+			{ range: range(2, 0, 2, 12), newText: 'let c = 30;\nlet d = 4;' }
+		]);
+		assert.strictEqual(result, 'const a = 10;\nconst b = 2;\nlet c = 30;\nlet d = 4;');
+	});
+
+	test('applyTextChanges clamps positions past the end of a line', () => {
+		assert.strictEqual(applyTextChanges('ab\ncd', [{ range: range(0, 1, 0, 99), newText: 'X' }]), 'aX\ncd');
+	});
+
+	test('isValidChange rejects changes without numeric ranges or text', () => {
+		assert.ok(isValidChange({ range: range(0, 0, 0, 1), newText: 'x' }));
+		assert.ok(!isValidChange({ range: { start: { line: 0 }, end: { line: 0, character: 1 } }, newText: 'x' }));
+		assert.ok(!isValidChange({ range: range(0, 0, 0, 1) }));
+		assert.ok(!isValidChange(null));
+	});
+
+	test('locateChange keeps a change whose originalText is still in place', () => {
+		const change = { range: range(1, 6, 1, 7), newText: 'y', originalText: 'b' };
+		assert.strictEqual(locateChange('const a;\nconst b;', change), change);
+	});
+
+	test('locateChange moves a change to the nearest occurrence of its originalText', () => {
+		const text = '// added line\nconst value = 1;\nconst other = 2;\nconst value = 1;';
+		const located = locateChange(text, { range: range(0, 0, 0, 16), newText: 'let value = 1;', originalText: 'const value = 1;' });
+		assert.deepStrictEqual(located.range, range(1, 0, 1, 16));
+		assert.strictEqual(getRangeText(text, located.range), 'const value = 1;');
+	});
+
+	test('locateChange returns null when the originalText is gone', () => {
+		assert.strictEqual(locateChange('const renamed = 1;', { range: range(0, 0, 0, 16), newText: '', originalText: 'const value = 1;' }), null);
+	});
+
+	test('findOverlappingChanges reports overlapping ranges but allows touching ones', () => {
+		const text = 'abcdefghij';
+		const changes = [
+			{ range: range(0, 0, 0, 4), newText: '' },
+			{ range: range(0, 4, 0, 6), newText: '' },
+			{ range: range(0, 5, 0, 8), newText: '' }
+		];
+		assert.deepStrictEqual(findOverlappingChanges(text, changes), [[1, 2]]);
+	});
+
+	test('locateChange places a change without a range at the first occurrence of its originalText', () => {
+		const located = locateChange('a\nimport x;\nimport x;', { newText: 'import y;', originalText: 'import x;' });
+		assert.deepStrictEqual(located.range, range(1, 0, 1, 9));
+	});
+});
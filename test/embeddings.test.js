@@ -0,0 +1,57 @@
+const assert = require('assert');
+
+const { LocalEmbeddingProvider, cosineSimilarity, embedFile, EmbeddingIndex } = require('../src/core/embeddings');
+
+suite('Embeddings Test Suite', () => {
+	test('Local embeddings are deterministic and normalized', async () => {
+		const embedder = new LocalEmbeddingProvider({ dimensions: 64 });
+		const [first, second] = await embedder.embed(['function parseJson(text) {}', 'function parseJson(text) {}']);
+
+		assert.strictEqual(first.length, 64);
+		assert.deepStrictEqual(first, second);
+		assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-9);
+	});
+
+	test('Local embeddings rank related code above unrelated code', async () => {
+		const embedder = new LocalEmbeddingProvider();
+		const [query, related, unrelated] = await embedder.embed([
+			'where is the api key stored',
+			'async storeApiKey(apiKey) { await this.secrets.store(getSecretKeyName(id), apiKey); }',
+			'function renderChart(canvas, points) { canvas.drawLine(points); }'
+		]);
+		assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+	});
+
+	test('embedFile embeds every chunk with the file path', async () => {
+		const texts = [];
+		const embedder = { embed: async batch => { texts.push(...batch); return batch.map(() => [1, 0]); } };
+		const code = Array.from({ length: 200 }, (_, i) => `const value${i} = ${i};`).join('\n');
+
+		const chunks = await embedFile(embedder, 'src/values.js', code, { maxTokens: 200 });
+		assert.ok(chunks.length > 1);
+		assert.strictEqual(chunks[0].startLine, 0);
+		assert.strictEqual(chunks[chunks.length - 1].endLine, 199);
+		assert.ok(texts.every(text => text.startsWith('src/values.js\n')));
+	});
+
+	test('EmbeddingIndex searches by similarity and survives serialization', () => {
+		const index = new EmbeddingIndex('local:test');
+		index.setFile('a.js', 'hash-a', [{ startLine: 0, endLine: 4, text: 'a', vector: [1, 0] }]);
+		index.setFile('b.js', 'hash-b', [{ startLine: 10, endLine: 12, text: 'b', vector: [0, 1] }]);
+
+		assert.deepStrictEqual(index.search([0.1, 0.9], { limit: 1 }).map(match => [match.file, match.startLine]), [['b.js', 10]]);
+		assert.strictEqual(index.needsUpdate('a.js', 'hash-a'), false);
+		assert.strictEqual(index.needsUpdate('a.js', 'changed'), true);
+
+		const restored = EmbeddingIndex.fromJSON(JSON.parse(JSON.stringify(index)), 'local:test');
+		assert.deepStrictEqual(restored.getFiles(), ['a.js', 'b.js']);
+		assert.deepStrictEqual(restored.search([1, 0], { limit: 1 })[0].text, 'a');
+		assert.strictEqual(restored.chunkCount, 2);
+	});
+
+	test('EmbeddingIndex discards data from another embedding model', () => {
+		const index = new EmbeddingIndex('openai:text-embedding-3-small');
+		index.setFile('a.js', 'hash', [{ startLine: 0, endLine: 0, text: 'a', vector: [1] }]);
+		assert.deepStrictEqual(EmbeddingIndex.fromJSON(JSON.parse(JSON.stringify(index)), 'local:hashing-512').getFiles(), []);
+	});
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+
+const { buildReport } = require('../src/core/report');
+const { toSarif, toMarkdown } = require('../src/core/exporters');
+
+suite('Exporters Test Suite', () => {
+	const report = buildReport([{
+		file: 'src\\db.js',
+		analysis: {
+			issues: [
+				{ type: 'Security Vulnerability', severity: 'Error', description: 'SQL injection', line: 9, column: 4 },
+				{ type: 'Security Vulnerability', severity: 'Warning', description: 'Weak hash' }
+			],
+			suggestions: [{ type: 'Readability', description: 'Use | pipes' }]
+		}
+	}]);
+
+	test('SARIF maps types to rules and positions to 1-based regions', () => {
+		const sarif = JSON.parse(toSarif(report, { toolVersion: '1.2.3' }));
+		const run = sarif.runs[0];
+
+		assert.strictEqual(sarif.version, '2.1.0');
+		assert.strictEqual(run.tool.driver.version, '1.2.3');
+		assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['issue/security-vulnerability', 'suggestion/readability']);
+		assert.ok(run.tool.driver.rules[0].properties.tags.includes('security'));
+		assert.strictEqual(run.results[0].level, 'error');
+		assert.strictEqual(run.results[0].ruleIndex, 0);
+		assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 10, startColumn: 5 });
+		assert.strictEqual(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'src/db.js');
+		assert.strictEqual(run.results[1].locations[0].physicalLocation.region, undefined);
+		assert.strictEqual(run.results[2].level, 'note');
+	});
+
+	test('Markdown summarizes counts and escapes model text', () => {
+		const markdown = toMarkdown(report);
+
+		assert.ok(markdown.includes('| Error | 1 |'));
+		assert.ok(markdown.includes('(line 10): SQL injection'));
+		assert.ok(markdown.includes('Use \\| pipes'));
+	});
+});
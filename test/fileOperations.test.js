@@ -0,0 +1,62 @@
+const assert = require('assert');
+
+const { normalizeRelativePath, normalizeFileOperations, describeFileOperation } = require('../src/core/fileOperations');
+
+suite('File Operations Test Suite', () => {
+	test('normalizeRelativePath keeps paths inside the workspace folder', () => {
+		assert.strictEqual(normalizeRelativePath('./src//utils.js'), 'src/utils.js');
+		assert.strictEqual(normalizeRelativePath('src\\lib\\..\\utils.js'), 'src/utils.js');
+		assert.strictEqual(normalizeRelativePath('../outside.js'), null);
+		assert.strictEqual(normalizeRelativePath('src/../../outside.js'), null);
+		assert.strictEqual(normalizeRelativePath('/etc/passwd'), null);
+		assert.strictEqual(normalizeRelativePath('C:\\temp\\file.js'), null);
+		assert.strictEqual(normalizeRelativePath(''), null);
+	});
+
+	test('normalizeFileOperations validates every operation type', () => {
+		const { operations, errors } = normalizeFileOperations([
+			{ type: 'create', path: 'src/utils.js', content: 'module.exports = {};\n' },
+			{ type: 'edit', path: 'src/index.js', changes: [{ originalText: 'require(\'./a\')', newText: 'require(\'./utils\')' }, { newText: 'no anchor' }] },
+			{ type: 'rename', path: 'old.js', newPath: 'lib/new.js' },
+			{ type: 'delete', path: 'unused.js' }
+		]);
+		assert.deepStrictEqual(errors, []);
+		assert.deepStrictEqual(operations.map(operation => operation.type), ['create', 'edit', 'rename', 'delete']);
+		assert.strictEqual(operations[1].changes.length, 1);
+		assert.strictEqual(operations[2].newPath, 'lib/new.js');
+	});
+
+	test('normalizeFileOperations reports invalid operations without dropping valid ones', () => {
+		const { operations, errors } = normalizeFileOperations([
+			{ type: 'create', path: '../escape.js', content: '' },
+			{ type: 'move', path: 'a.js' },
+			{ type: 'edit', path: 'a.js', changes: [] },
+			{ type: 'create', path: 'b.js' },
+			{ type: 'delete', path: 'c.js' }
+		]);
+		assert.strictEqual(errors.length, 4);
+		assert.deepStrictEqual(operations, [{ type: 'delete', path: 'c.js' }]);
+	});
+
+	test('normalizeFileOperations rejects protected paths', () => {
+		const { operations, errors } = normalizeFileOperations([
+			{ type: 'create', path: '.git/hooks/pre-commit', content: 'curl evil' },
+			{ type: 'edit', path: 'packages/app/.git/config', changes: [{ originalText: 'a', newText: 'b' }] },
+			{ type: 'delete', path: '.env' },
+			{ type: 'rename', path: 'src/a.js', newPath: 'node_modules/a.js' },
+			{ type: 'delete', path: 'src/unused.js' }
+		], { protectedPaths: ['**/.env', '**/node_modules/**'] });
+		assert.strictEqual(errors.length, 4);
+		assert.ok(errors.every(error => error.includes('cannot be changed')));
+		assert.deepStrictEqual(operations, [{ type: 'delete', path: 'src/unused.js' }]);
+	});
+
+	test('normalizeFileOperations accepts a missing fileOperations field', () => {
+		assert.deepStrictEqual(normalizeFileOperations(undefined), { operations: [], errors: [] });
+	});
+
+	test('describeFileOperation names the affected files', () => {
+		assert.strictEqual(describeFileOperation({ type: 'rename', path: 'a.js', newPath: 'b.js' }), 'Rename a.js to b.js');
+		assert.strictEqual(describeFileOperation({ type: 'edit', path: 'a.js', changes: [] }), 'Edit a.js');
+	});
+});
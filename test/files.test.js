@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getCodeFiles } = require('../src/core/files');
+const { globToRegExp, IgnoreRules } = require('../src/core/ignore');
+
+suite('File Selection Test Suite', () => {
+	let rootDir;
+
+	function write(relativePath, content = 'x') {
+		const fullPath = path.join(rootDir, relativePath);
+		fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+		fs.writeFileSync(fullPath, content);
+	}
+
+	async function listFiles(options) {
+		return (await getCodeFiles(rootDir, options))
+			.map(file => path.relative(rootDir, file).split(path.sep).join('/'))
+			.sort();
+	}
+
+	setup(() => {
+		rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-files-'));
+	});
+
+	teardown(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+	test('Globs support **, braces and trailing directory patterns', () => {
+		assert.ok(globToRegExp('**/*.{js,ts}').test('src/a.ts'));
+		assert.ok(globToRegExp('**/*.{js,ts}').test('a.js'));
+		assert.ok(!globToRegExp('*.js').test('src/a.js'));
+		assert.ok(globToRegExp('**/out/**').test('out'));
+		assert.ok(globToRegExp('**/out/**').test('packages/web/out/main.js'));
+	});
+
+	test('Ignore rules follow gitignore precedence and anchoring', () => {
+		const rules = new IgnoreRules();
+		rules.add('# comment\n*.log\n!keep.log\n/generated\nfixtures/\n');
+		rules.add('local.js\n', 'src');
+
+		assert.ok(rules.ignores('debug.log', false));
+		assert.ok(!rules.ignores('keep.log', false));
+		assert.ok(rules.ignores('generated', true));
+		assert.ok(!rules.ignores('src/generated', true));
+		assert.ok(rules.ignores('test/fixtures', true));
+		assert.ok(!rules.ignores('fixtures', false));
+		assert.ok(rules.ignores('src/local.js', false));
+		assert.ok(!rules.ignores('local.js', false));
+	});
+
+	test('Honors .gitignore, .aiassistantignore, excludes and size limits', async () => {
+		write('.gitignore', 'vendor/\n');
+		write('.aiassistantignore', 'src/secret.js\n');
+		write('src/index.js');
+		write('src/secret.js');
+		write('src/big.js', 'x'.repeat(100));
+		write('vendor/lib.js');
+		write('out/main.js');
+		write('README.md');
+
+		assert.deepStrictEqual(await listFiles({ maxFileSize: 50 }), ['src/index.js']);
+		assert.deepStrictEqual(await listFiles({ respectGitignore: false, exclude: [], maxFileSize: 0 }),
+			['out/main.js', 'src/big.js', 'src/index.js', 'vendor/lib.js']);
+		assert.deepStrictEqual(await listFiles({ include: ['src/**'], maxFileSize: 0 }), ['src/big.js', 'src/index.js']);
+	});
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseUnifiedDiff, getPendingChanges, readStagedFile } = require('../src/core/git');
+const { analyzeCode } = require('../src/core/analysis');
+
+suite('Git Test Suite', () => {
+	let repoDir;
+	const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, stdio: 'pipe' });
+
+	setup(() => {
+		repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-git-'));
+		git('init', '--quiet', '--initial-branch=main');
+		fs.writeFileSync(path.join(repoDir, 'a.js'), 'one\ntwo\nthree\nfour\n');
+		fs.writeFileSync(path.join(repoDir, 'old.js'), 'gone\n');
+		git('add', '.');
+		git('commit', '--quiet', '-m', 'initial');
+	});
+
+	teardown(() => fs.rmSync(repoDir, { recursive: true, force: true }));
+
+	test('Reads changed line ranges from unified diffs', () => {
+		const changes = parseUnifiedDiff([
+			'diff --git a/src/a.js b/src/a.js',
+			'index 1..2 100644',
+			'--- a/src/a.js',
+			'+++ b/src/a.js',
+			'@@ -2 +2 @@ x',
+			'-two',
+			'+TWO',
+			'@@ -3,0 +4,2 @@',
+			'+added',
+			'+added',
+			'@@ -9,2 +10,0 @@',
+			'-removed',
+			'-removed',
+			'diff --git a/b.js b/c.js',
+			'similarity index 90%',
+			'rename from b.js',
+			'rename to c.js',
+			'diff --git a/d.js b/d.js',
+			'deleted file mode 100644',
+			'--- a/d.js',
+			'+++ /dev/null',
+			'@@ -1 +0,0 @@',
+			'-x'
+		].join('\n'));
+
+		assert.deepStrictEqual(changes.map(change => [change.file, change.status]), [['src/a.js', 'modified'], ['c.js', 'renamed'], ['d.js', 'deleted']]);
+		assert.deepStrictEqual(changes[0].changedLines, [{ start: 1, end: 1 }, { start: 3, end: 4 }, { start: 9, end: 10 }]);
+		assert.strictEqual(changes[1].oldFile, 'b.js');
+	});
+
+	test('Lists uncommitted, staged and branch changes', async () => {
+		fs.writeFileSync(path.join(repoDir, 'a.js'), 'one\nTWO\nthree\nfour\n');
+		git('add', 'a.js');
+		fs.writeFileSync(path.join(repoDir, 'a.js'), 'one\nTWO\nthree\nFOUR\n');
+		fs.writeFileSync(path.join(repoDir, 'new.js'), 'fresh\n');
+		fs.rmSync(path.join(repoDir, 'old.js'));
+
+		assert.deepStrictEqual(await getPendingChanges(repoDir), [
+			{ file: 'a.js', status: 'modified', changedLines: [{ start: 1, end: 1 }, { start: 3, end: 3 }] },
+			{ file: 'new.js', status: 'added', changedLines: null }
+		]);
+		assert.deepStrictEqual(await getPendingChanges(repoDir, { scope: 'staged' }), [
+			{ file: 'a.js', status: 'modified', changedLines: [{ start: 1, end: 1 }] }
+		]);
+		assert.strictEqual(await readStagedFile(repoDir, 'a.js'), 'one\nTWO\nthree\nfour\n');
+
+		git('checkout', '--quiet', '-b', 'feature');
+		git('commit', '--quiet', '-m', 'staged');
+		const branch = await getPendingChanges(repoDir, { scope: 'branch', base: 'main' });
+		assert.deepStrictEqual(branch[0].changedLines, [{ start: 1, end: 1 }, { start: 3, end: 3 }]);
+		await assert.rejects(getPendingChanges(repoDir, { scope: 'branch', base: 'missing' }), /git merge-base failed/);
+	});
+
+	test('Reviews only send and keep the changed lines', async () => {
+		const requests = [];
+		const provider = {
+			complete: async request => {
+				requests.push(request);
+				return JSON.stringify({
+					issues: [
+						{ type: 'Bug', severity: 'Error', description: 'on the change', line: 2, snippet: 'b();' },
+						{ type: 'Bug', severity: 'Error', description: 'old code', line: 3, snippet: 'c();' }
+					],
+					suggestions: [],
+					improvements: []
+				});
+			}
+		};
+
+		const analysis = await analyzeCode(provider, 'a();\nb();\nc();', 'javascript', { changedLines: [{ start: 1, end: 1 }] });
+		assert.deepStrictEqual(analysis.issues.map(issue => issue.description), ['on the change']);
+		assert.ok(requests[0].messages[0].content.includes('Only report issues in the changed lines (2)'));
+
+		const unchanged = await analyzeCode(provider, 'a();', 'javascript', { changedLines: [] });
+		assert.deepStrictEqual(unchanged.issues, []);
+		assert.strictEqual(requests.length, 1);
+	});
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findImports, getImportCandidates, summarizePackageJson, summarizeTsconfig, packContext, buildFileContext } = require('../src/core/projectContext');
+const { estimateTokens } = require('../src/core/chunking');
+
+suite('Project Context Test Suite', () => {
+	test('findImports reports ES modules and require calls with name positions', () => {
+		const code = [
+			"import fs from 'fs';",
+			"import { parse, format as fmt } from './utils';",
+			"const { helper } = require('../lib/helper');",
+			"import './styles.css';"
+		].join('\n');
+		const imports = findImports(code, 'javascript');
+
+		assert.deepStrictEqual(imports.map(entry => entry.specifier), ['fs', './utils', '../lib/helper', './styles.css']);
+		assert.deepStrictEqual(imports[1].names, [
+			{ name: 'parse', line: 1, character: 9 },
+			{ name: 'format', line: 1, character: 16 },
+			{ name: 'fmt', line: 1, character: 26 }
+		]);
+		assert.deepStrictEqual(imports[2].names, [{ name: 'helper', line: 2, character: 8 }]);
+		assert.deepStrictEqual(imports[3].names, []);
+	});
+
+	test('findImports understands Python imports', () => {
+		const imports = findImports('import os\nfrom .models import (\n    User,\n    Group,\n)\n', 'python');
+		assert.deepStrictEqual(imports.map(entry => entry.specifier), ['.models', 'os']);
+		assert.deepStrictEqual(imports[0].names.map(name => [name.name, name.line]), [['User', 2], ['Group', 3]]);
+	});
+
+	test('findImports returns nothing for languages without import patterns', () => {
+		assert.deepStrictEqual(findImports('#include <stdio.h>', 'c'), []);
+	});
+
+	test('getImportCandidates resolves relative JavaScript modules', () => {
+		const candidates = getImportCandidates('src/app.js', './utils', 'javascript');
+		assert.strictEqual(candidates[0], 'src/utils.js');
+		assert.ok(candidates.includes('src/utils.ts'));
+		assert.ok(candidates.includes('src/utils/index.js'));
+		assert.deepStrictEqual(getImportCandidates('src/app.ts', '../lib/a.js', 'typescript'), ['lib/a.js', 'lib/a.ts', 'lib/a.tsx']);
+		assert.deepStrictEqual(getImportCandidates('src/app.js', 'lodash', 'javascript'), []);
+		assert.deepStrictEqual(getImportCandidates('app.js', '../outside', 'javascript'), []);
+	});
+
+	test('getImportCandidates resolves relative and absolute Python modules', () => {
+		assert.deepStrictEqual(getImportCandidates('pkg/views.py', '.models', 'python'), ['pkg/models.py', 'pkg/models/__init__.py']);
+		assert.deepStrictEqual(getImportCandidates('pkg/sub/views.py', '..models', 'python'), ['pkg/models.py', 'pkg/models/__init__.py']);
+		assert.deepStrictEqual(getImportCandidates('main.py', 'pkg.models', 'python'), ['pkg/models.py', 'pkg/models/__init__.py']);
+	});
+
+	test('summarizePackageJson and summarizeTsconfig keep the relevant settings', () => {
+		const manifest = JSON.parse(summarizePackageJson(JSON.stringify({ name: 'app', type: 'module', scripts: { test: 'x' }, dependencies: { express: '^4' } })));
+		assert.deepStrictEqual(manifest, { name: 'app', type: 'module', dependencies: { express: '^4' } });
+		assert.strictEqual(summarizePackageJson('{ not json'), null);
+
+		const tsconfig = JSON.parse(summarizeTsconfig('{\n  // comment\n  "compilerOptions": { "strict": true, /* inline */ "paths": { "@/*": ["src/*"] }, },\n}'));
+		assert.deepStrictEqual(tsconfig.compilerOptions, { strict: true, paths: { '@/*': ['src/*'] } });
+	});
+
+	test('packContext keeps sections in order within the budget', () => {
+		const sections = [
+			{ title: 'first', content: 'a'.repeat(200) },
+			{ title: 'second', content: Array.from({ length: 100 }, (_, i) => `line ${i}`).join('\n') },
+			{ title: 'third', content: 'never fits' }
+		];
+		const context = packContext(sections, 200);
+		assert.ok(estimateTokens(context) <= 200);
+		assert.ok(context.startsWith('### first'));
+		assert.ok(context.includes('### second'));
+		assert.ok(context.includes('...'));
+		assert.ok(!context.includes('### third'));
+	});
+
+	test('buildFileContext outlines imported project files and the configuration', async () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-context-'));
+		try {
+			fs.mkdirSync(path.join(root, 'src'));
+			fs.writeFileSync(path.join(root, 'src', 'util.js'), "'use strict';\n\nfunction parse(text) {\n    return text;\n}\n\nfunction format(value) {\n    return value;\n}\n");
+			fs.writeFileSync(path.join(root, 'src', 'secret.js'), "'use strict';\n\nconst key = 'x';\n");
+			fs.writeFileSync(path.join(root, 'package.json'), '{ "name": "demo", "type": "module", "scripts": { "test": "x" } }');
+			const code = "import { parse } from './util';\nimport { key } from './secret';\nimport fs from 'fs';\n";
+
+			const context = await buildFileContext(root, 'src/index.js', code, 'javascript', { isExcluded: file => file === 'src/secret.js' });
+			assert.ok(context.includes("### Outline of src/util.js (imported as './util')"));
+			assert.ok(context.includes('function parse(text) {') && context.includes('function format(value) {'));
+			assert.ok(!context.includes('secret.js'));
+			assert.ok(context.includes('### package.json') && context.includes('"type": "module"') && !context.includes('scripts'));
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
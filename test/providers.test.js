@@ -0,0 +1,233 @@
+const assert = require('assert');
+const http = require('http');
+
+const { createProvider, getSecretKeyName } = require('../src/core/providers');
+const { isAbortError } = require('../src/core/abort');
+
+// Local stand-in for the provider APIs so the tests never leave the machine. The handler
+// returns { status, json }, or { events } to stream them as server-sent events, leaving the
+// stream open when hold is set.
+function startMockServer(handler) {
+	return new Promise(resolve => {
+		const requests = [];
+		const server = http.createServer((req, res) => {
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => {
+				const request = { url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+				requests.push(request);
+				const { status = 200, json, events, hold } = handler(request);
+				if (events) {
+					res.writeHead(status, { 'content-type': 'text/event-stream' });
+					events.forEach(event => res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`));
+					if (!hold) {
+						res.end();
+					}
+					return;
+				}
+				res.writeHead(status, { 'content-type': 'application/json' });
+				res.end(JSON.stringify(json));
+			});
+		});
+		server.listen(0, '127.0.0.1', () => {
+			resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+		});
+	});
+}
+
+suite('Providers Test Suite', () => {
+	test('OpenAI-compatible provider talks to a configured base URL', async () => {
+		const mock = await startMockServer(() => ({
+			json: { choices: [{ message: { role: 'assistant', content: '{"issues":[]}' } }] }
+		}));
+		try {
+			const provider = createProvider({ id: 'openaiCompatible', baseUrl: `${mock.baseUrl}/v1`, model: 'mock-model' });
+			const content = await provider.complete({ messages: [{ role: 'user', content: 'hi' }], json: true, maxTokens: 10 });
+
+			assert.strictEqual(content, '{"issues":[]}');
+			assert.strictEqual(mock.requests[0].url, '/v1/chat/completions');
+			assert.strictEqual(mock.requests[0].body.model, 'mock-model');
+			assert.deepStrictEqual(mock.requests[0].body.response_format, { type: 'json_object' });
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Anthropic provider sends the system prompt separately', async () => {
+		const mock = await startMockServer(() => ({
+			json: { content: [{ type: 'text', text: 'hello' }] }
+		}));
+		try {
+			const provider = createProvider({ id: 'anthropic', baseUrl: mock.baseUrl, apiKey: 'key', model: 'claude' });
+			const content = await provider.complete({
+				messages: [{ role: 'system', content: 'be brief' }, { role: 'user', content: 'hi' }]
+			});
+
+			assert.strictEqual(content, 'hello');
+			assert.strictEqual(mock.requests[0].url, '/v1/messages');
+			assert.strictEqual(mock.requests[0].headers['x-api-key'], 'key');
+			assert.strictEqual(mock.requests[0].body.system, 'be brief');
+			assert.deepStrictEqual(mock.requests[0].body.messages, [{ role: 'user', content: 'hi' }]);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Anthropic errors keep the HTTP status', async () => {
+		const mock = await startMockServer(() => ({ status: 429, json: { error: { message: 'slow down' } } }));
+		try {
+			const provider = createProvider({ id: 'anthropic', baseUrl: mock.baseUrl, apiKey: 'key' });
+			await assert.rejects(
+				provider.complete({ messages: [{ role: 'user', content: 'hi' }] }),
+				error => error.status === 429 && /slow down/.test(error.message)
+			);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('OpenAI-compatible provider streams tokens', async () => {
+		const delta = content => ({ id: '1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content } }] });
+		const mock = await startMockServer(() => ({ events: [delta('{"issues"'), delta(':[]}'), '[DONE]'] }));
+		try {
+			const provider = createProvider({ id: 'openaiCompatible', baseUrl: `${mock.baseUrl}/v1`, model: 'mock-model' });
+			const partials = [];
+			const content = await provider.complete({ messages: [{ role: 'user', content: 'hi' }], onToken: text => partials.push(text) });
+
+			assert.strictEqual(content, '{"issues":[]}');
+			assert.deepStrictEqual(partials, ['{"issues"', '{"issues":[]}']);
+			assert.strictEqual(mock.requests[0].body.stream, true);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Anthropic provider streams text deltas and aborts the request', async () => {
+		const textDelta = text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } });
+		const mock = await startMockServer(request => ({
+			events: [{ type: 'message_start' }, textDelta('hel'), textDelta('lo'), { type: 'message_stop' }],
+			hold: request.body.messages[0].content === 'hold'
+		}));
+		try {
+			const provider = createProvider({ id: 'anthropic', baseUrl: mock.baseUrl, apiKey: 'key', model: 'claude' });
+			const partials = [];
+			const content = await provider.complete({ messages: [{ role: 'user', content: 'hi' }], onToken: text => partials.push(text) });
+
+			assert.strictEqual(content, 'hello');
+			assert.deepStrictEqual(partials, ['hel', 'hello']);
+			assert.strictEqual(mock.requests[0].body.stream, true);
+
+			// The response never ends; only the abort settles the request
+			const controller = new AbortController();
+			await assert.rejects(
+				provider.complete({
+					messages: [{ role: 'user', content: 'hold' }],
+					signal: controller.signal,
+					onToken: () => controller.abort()
+				}),
+				isAbortError
+			);
+		} finally {
+			mock.server.closeAllConnections?.();
+			mock.server.close();
+		}
+	});
+
+	test('Anthropic stream errors keep a retryable status', async () => {
+		const mock = await startMockServer(() => ({
+			events: [{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+		}));
+		try {
+			const provider = createProvider({ id: 'anthropic', baseUrl: mock.baseUrl, apiKey: 'key', model: 'claude' });
+			await assert.rejects(
+				provider.complete({ messages: [{ role: 'user', content: 'hi' }], onToken: () => {} }),
+				error => error.status === 529 && /Overloaded/.test(error.message)
+			);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Schemas are sent as structured outputs and dropped when the server rejects them', async () => {
+		const responseSchema = { name: 'answer', schema: { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'], additionalProperties: false } };
+		const mock = await startMockServer(request => request.body.response_format.type === 'json_schema' && request.body.model === 'old-model'
+			? { status: 400, json: { error: { message: 'Invalid parameter: response_format of type json_schema is not supported with this model.' } } }
+			: { json: { choices: [{ message: { role: 'assistant', content: '{"ok":true}' } }] } });
+		try {
+			const provider = createProvider({ id: 'openaiCompatible', baseUrl: `${mock.baseUrl}/v1`, model: 'mock-model', structuredOutputs: true });
+			assert.strictEqual(await provider.complete({ messages: [{ role: 'user', content: 'hi' }], responseSchema }), '{"ok":true}');
+			assert.deepStrictEqual(mock.requests[0].body.response_format, { type: 'json_schema', json_schema: { ...responseSchema, strict: true } });
+
+			const oldProvider = createProvider({ id: 'openaiCompatible', baseUrl: `${mock.baseUrl}/v1`, model: 'old-model', structuredOutputs: true });
+			assert.strictEqual(await oldProvider.complete({ messages: [{ role: 'user', content: 'hi' }], responseSchema }), '{"ok":true}');
+			assert.deepStrictEqual(mock.requests.slice(1).map(request => request.body.response_format.type), ['json_schema', 'json_object']);
+			assert.strictEqual(oldProvider.structuredOutputs, false);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Anthropic provider returns the input of a forced tool call for schemas', async () => {
+		const mock = await startMockServer(() => ({
+			json: { content: [{ type: 'tool_use', id: 't1', name: 'answer', input: { ok: true } }] }
+		}));
+		try {
+			const provider = createProvider({ id: 'anthropic', baseUrl: mock.baseUrl, apiKey: 'key', model: 'claude' });
+			const content = await provider.complete({
+				messages: [{ role: 'user', content: 'hi' }],
+				json: true,
+				responseSchema: { name: 'answer', schema: { type: 'object' } }
+			});
+
+			assert.strictEqual(content, '{"ok":true}');
+			assert.deepStrictEqual(mock.requests[0].body.tool_choice, { type: 'tool', name: 'answer' });
+			assert.deepStrictEqual(mock.requests[0].body.tools[0].input_schema, { type: 'object' });
+			assert.strictEqual(mock.requests[0].body.system, undefined);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('OpenAI-compatible provider returns embeddings in input order', async () => {
+		const mock = await startMockServer(() => ({
+			json: { data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }
+		}));
+		try {
+			const provider = createProvider({ id: 'openaiCompatible', baseUrl: `${mock.baseUrl}/v1`, model: 'chat', embeddingModel: 'embedder' });
+			const vectors = await provider.embed(['a', 'b']);
+
+			assert.deepStrictEqual(vectors, [[1, 0], [0, 1]]);
+			assert.strictEqual(mock.requests[0].url, '/v1/embeddings');
+			assert.strictEqual(mock.requests[0].body.model, 'embedder');
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Azure routes chat and embeddings to their own deployments', async () => {
+		const mock = await startMockServer(request => ({
+			json: request.url.includes('/embeddings')
+				? { data: [{ index: 0, embedding: [1] }] }
+				: { choices: [{ message: { role: 'assistant', content: 'ok' } }] }
+		}));
+		try {
+			const provider = createProvider({ id: 'azure', baseUrl: mock.baseUrl, apiKey: 'key', model: 'chat-deployment', embeddingModel: 'embedding-deployment' });
+			await provider.complete({ messages: [{ role: 'user', content: 'hi' }] });
+			await provider.embed(['a']);
+
+			assert.match(mock.requests[0].url, /^\/openai\/deployments\/chat-deployment\/chat\/completions/);
+			assert.match(mock.requests[1].url, /^\/openai\/deployments\/embedding-deployment\/embeddings/);
+		} finally {
+			mock.server.close();
+		}
+	});
+
+	test('Providers that need a key refuse to start without one', () => {
+		assert.throws(() => createProvider({ id: 'openai' }), /API key is not set/);
+		assert.throws(() => createProvider({ id: 'unknown', apiKey: 'x' }), /Unknown AI provider/);
+	});
+
+	test('OpenAI keeps the legacy secret name', () => {
+		assert.strictEqual(getSecretKeyName('openai'), 'openaiApiKey');
+	});
+});
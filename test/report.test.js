@@ -0,0 +1,32 @@
+const assert = require('assert');
+
+const { buildReport } = require('../src/core/report');
+
+suite('Report Test Suite', () => {
+	test('Aggregates issues, suggestions and improvements per file', () => {
+		const report = buildReport([
+			{
+				file: 'src/b.js',
+				analysis: {
+					issues: [{ type: 'Bug', severity: 'error', description: 'Null access', line: 3, column: 2 }],
+					suggestions: [{ type: 'Readability', description: 'Rename x' }],
+					improvements: []
+				}
+			},
+			{
+				file: 'src/a.js',
+				uri: 'file:///src/a.js',
+				analysis: { issues: [{ type: 'Code Smell', description: 'Long function' }] }
+			}
+		]);
+
+		assert.strictEqual(report.fileCount, 2);
+		assert.deepStrictEqual(report.files, ['src/a.js', 'src/b.js']);
+		assert.deepStrictEqual(report.counts.byKind, { issue: 2, suggestion: 1 });
+		assert.deepStrictEqual(report.counts.bySeverity, { Warning: 1, Error: 1, Information: 1 });
+		assert.strictEqual(report.items[0].uri, 'file:///src/a.js');
+		assert.strictEqual(report.items[0].line, undefined);
+		assert.strictEqual(report.items[1].severity, 'Error');
+		assert.strictEqual(report.items[1].line, 3);
+	});
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const { parseRulesConfig, mergeRulesConfig, resolveRules, applyRules } = require('../src/core/rules');
+const { analyzeCode } = require('../src/core/analysis');
+
+suite('Rules Test Suite', () => {
+	test('Project files are validated', () => {
+		assert.deepStrictEqual(parseRulesConfig('{ "minSeverity": "Warning" }'), { minSeverity: 'Warning' });
+		assert.throws(() => parseRulesConfig('[]'), /must contain a JSON object/);
+		assert.throws(
+			() => parseRulesConfig('{ "categories": ["Bugs"], "languages": { "python": { "minSeverity": "High" } } }'),
+			/categories must be a list of .*; languages\.python\.minSeverity must be one of/
+		);
+	});
+
+	test('Project files override settings and add their rules per language', () => {
+		const config = mergeRulesConfig(
+			{ categories: ['Bug', 'Suggestion'], minSeverity: 'Information', rules: ['No default exports'], languages: { python: { minSeverity: 'Error' } } },
+			{ minSeverity: 'Warning', rules: [{ id: 'repo-layer', description: 'All DB calls go through the repository layer', severity: 'Error' }, { description: 'Type hints everywhere', languages: ['python'] }] }
+		);
+
+		const javascript = resolveRules(config, 'javascript');
+		assert.deepStrictEqual(javascript.categories, ['Bug', 'Suggestion']);
+		assert.strictEqual(javascript.minSeverity, 'Warning');
+		assert.deepStrictEqual(javascript.rules, [
+			{ id: 'no-default-exports', description: 'No default exports', severity: undefined },
+			{ id: 'repo-layer', description: 'All DB calls go through the repository layer', severity: 'Error' }
+		]);
+
+		const python = resolveRules(config, 'python');
+		assert.strictEqual(python.minSeverity, 'Error');
+		assert.deepStrictEqual(python.rules.map(rule => rule.id), ['no-default-exports', 'repo-layer', 'type-hints-everywhere']);
+	});
+
+	test('Rules without Latin letters get a stable id from their text', () => {
+		const rules = ['Не используйте глобальные переменные', '禁止使用全局变量'];
+		assert.deepStrictEqual(parseRulesConfig(JSON.stringify({ rules })), { rules });
+
+		const ids = resolveRules(mergeRulesConfig({}, { rules }), 'javascript').rules.map(rule => rule.id);
+		assert.ok(ids.every(id => /^rule-[0-9a-f]{8}$/.test(id)));
+		assert.notStrictEqual(ids[0], ids[1]);
+		assert.deepStrictEqual(resolveRules(mergeRulesConfig({}, { rules: [...rules] }), 'javascript').rules.map(rule => rule.id), ids);
+	});
+
+	test('Findings outside the configured categories and severity are dropped', () => {
+		const rules = resolveRules({ categories: ['Bug'], minSeverity: 'Warning', rules: [{ id: 'no-eval', description: 'Never use eval', severity: 'Error' }] }, 'javascript');
+		const analysis = applyRules({
+			issues: [
+				{ type: 'Bug', severity: 'Warning', description: 'kept' },
+				{ type: 'Bug', severity: 'Information', description: 'too minor' },
+				{ type: 'Code Smell', severity: 'Error', description: 'disabled category' },
+				{ type: 'Rule Violation', severity: 'Information', ruleId: 'no-eval', description: 'eval call' }
+			],
+			suggestions: [{ description: 'disabled', type: 'Readability' }],
+			improvements: []
+		}, rules);
+
+		assert.deepStrictEqual(analysis.issues.map(issue => issue.description), ['kept', 'eval call']);
+		assert.strictEqual(analysis.issues[1].severity, 'Error');
+		assert.deepStrictEqual(analysis.suggestions, []);
+	});
+
+	test('Team rules are sent with the prompt and violations keep their rule id', async () => {
+		const requests = [];
+		const provider = {
+			complete: async request => {
+				requests.push(request);
+				return JSON.stringify({
+					issues: [{ type: 'Rule Violation', severity: 'Warning', description: 'Default export', line: 1, snippet: 'export default a;', ruleId: 'no-default-exports' }],
+					suggestions: [],
+					improvements: []
+				});
+			}
+		};
+
+		const analysis = await analyzeCode(provider, 'export default a;', 'javascript', { rules: { rules: ['No default exports'] } });
+
+		assert.ok(requests[0].messages[0].content.includes('- [no-default-exports] No default exports'));
+		assert.deepStrictEqual(requests[0].responseSchema.schema.properties.issues.items.properties.ruleId.enum, ['no-default-exports', null]);
+		assert.strictEqual(analysis.issues[0].ruleId, 'no-default-exports');
+		assert.strictEqual(analysis.issues[0].line, 0);
+	});
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+
+const { ANALYSIS_FORMAT, CHANGES_FORMAT, InvalidResponseError, parseModelJson, parseStructuredResponse, completeStructured } = require('../src/core/structuredOutput');
+
+// Provider that answers with the given responses in order and records every request
+function scriptedProvider(responses) {
+	const requests = [];
+	return {
+		requests,
+		complete: async request => {
+			requests.push(request);
+			return responses[requests.length - 1];
+		}
+	};
+}
+
+const validAnalysis = JSON.stringify({
+	issues: [{ type: 'Bug', severity: 'Error', description: 'Broken', line: 2, snippet: 'b' }],
+	suggestions: [],
+	improvements: []
+});
+
+suite('Structured Output Test Suite', () => {
+	test('Reads JSON wrapped in fences or prose', () => {
+		assert.deepStrictEqual(parseModelJson('```json\n{"a":1}\n```'), { a: 1 });
+		assert.deepStrictEqual(parseModelJson('Here you go: {"a":{"b":2}} Hope it helps.'), { a: { b: 2 } });
+		assert.throws(() => parseModelJson('no json at all'));
+	});
+
+	test('Normalizes tolerable deviations in analyses', () => {
+		const { value, errors } = parseStructuredResponse(JSON.stringify({
+			issues: [{ type: 'security', severity: 'warn', description: 'Injection', line: '3', column: null, snippet: 'eval(x)' }],
+			suggestions: ['Split this function'],
+			improvements: null
+		}), ANALYSIS_FORMAT, { maxLine: 10 });
+
+		assert.deepStrictEqual(errors, []);
+		assert.deepStrictEqual(value.issues[0], { type: 'Security Vulnerability', severity: 'Warning', description: 'Injection', line: 3, snippet: 'eval(x)' });
+		assert.deepStrictEqual(value.suggestions, [{ description: 'Split this function', type: 'Refactoring' }]);
+		assert.deepStrictEqual(value.improvements, []);
+	});
+
+	test('Reports enum, type and range violations with their path', () => {
+		const { errors } = parseStructuredResponse(JSON.stringify({
+			issues: [
+				{ type: 'Typo', severity: 'Error', description: 'x', line: 1, snippet: '' },
+				{ type: 'Bug', severity: 'Error', description: 42, line: 30, snippet: '' }
+			],
+			suggestions: [],
+			improvements: []
+		}), ANALYSIS_FORMAT, { minLine: 1, maxLine: 20 });
+
+		assert.strictEqual(errors.length, 2);
+		assert.ok(errors[0].startsWith('response.issues[0].type must be one of "Bug"'));
+		assert.strictEqual(errors[1], 'response.issues[1].description must be string, got integer');
+
+		const outOfRange = parseStructuredResponse(JSON.stringify({
+			description: 'd',
+			changes: [{ range: { start: { line: 9, character: 0 }, end: { line: 2, character: 0 } }, newText: '' }]
+		}), CHANGES_FORMAT, { lineCount: 5 });
+		assert.deepStrictEqual(outOfRange.errors, [
+			'response.changes[0].range ends before it starts'
+		]);
+		assert.deepStrictEqual(outOfRange.value.fileOperations, []);
+	});
+
+	test('Sends invalid responses back with the validation errors', async () => {
+		const provider = scriptedProvider(['not json', '{"issues": [{"type": "Bug"}]}', validAnalysis]);
+		const { value } = await completeStructured(provider, { messages: [{ role: 'user', content: 'analyze' }] }, ANALYSIS_FORMAT);
+
+		assert.strictEqual(value.issues[0].description, 'Broken');
+		assert.strictEqual(provider.requests.length, 3);
+		assert.strictEqual(provider.requests[0].responseSchema.name, 'code_analysis');
+		assert.deepStrictEqual(provider.requests[2].messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+		assert.ok(provider.requests[2].messages[4].content.includes('response.issues[0].severity is missing'));
+	});
+
+	test('Gives up after the configured number of repairs', async () => {
+		const provider = scriptedProvider(['{"changes": "none"}', '[]']);
+		await assert.rejects(
+			completeStructured(provider, { messages: [{ role: 'user', content: 'change' }] }, CHANGES_FORMAT, { maxRepairs: 1 }),
+			error => error instanceof InvalidResponseError && /must be object, got array/.test(error.message)
+		);
+		assert.strictEqual(provider.requests.length, 2);
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+
+const { findSuppressions, filterSuppressed, buildSuppressionComment } = require('../src/core/suppressions');
+const { analyzeCode } = require('../src/core/analysis');
+
+suite('Suppressions Test Suite', () => {
+	test('Reads directives in any comment syntax', () => {
+		const suppressions = findSuppressions([
+			'// ai-assistant-ignore-next-line Security Vulnerability, no-eval -- reviewed',
+			'eval(input);',
+			'query(sql); /* ai-assistant-ignore-line */',
+			'<!-- ai-assistant-ignore-file Code Smell -->'
+		].join('\n'));
+
+		assert.deepStrictEqual(suppressions.lines.get(1), ['security vulnerability', 'no-eval']);
+		assert.deepStrictEqual(suppressions.lines.get(2), []);
+		assert.deepStrictEqual(suppressions.file, ['code smell']);
+	});
+
+	test('Only drops the listed types and rules on the suppressed lines', () => {
+		const code = [
+			'# ai-assistant-ignore-next-line Bug',
+			'x = compute()',
+			'y = compute()  # ai-assistant-ignore-line',
+			'# ai-assistant-ignore-file naming'
+		].join('\n');
+		const analysis = filterSuppressed({
+			issues: [
+				{ type: 'Bug', line: 1, description: 'suppressed bug' },
+				{ type: 'Performance Issue', line: 1, description: 'other type' },
+				{ type: 'Performance Issue', line: 2, description: 'suppressed line' },
+				{ type: 'Rule Violation', ruleId: 'naming', line: 0, description: 'suppressed rule' },
+				{ type: 'Bug', line: 0, description: 'other line' }
+			],
+			suggestions: []
+		}, code);
+
+		assert.deepStrictEqual(analysis.issues.map(issue => issue.description), ['other type', 'other line']);
+	});
+
+	test('Builds comments in the language syntax', () => {
+		assert.strictEqual(buildSuppressionComment('javascript', 'Bug'), '// ai-assistant-ignore-next-line Bug');
+		assert.strictEqual(buildSuppressionComment('python', 'Bug'), '# ai-assistant-ignore-next-line Bug');
+		assert.strictEqual(buildSuppressionComment('html'), '<!-- ai-assistant-ignore-next-line -->');
+		assert.deepStrictEqual(findSuppressions(`${buildSuppressionComment('css', 'Code Smell')}\na {}`).lines.get(1), ['code smell']);
+	});
+
+	test('Analyses leave out suppressed findings', async () => {
+		const provider = {
+			complete: async () => JSON.stringify({
+				issues: [
+					{ type: 'Security Vulnerability', severity: 'Error', description: 'eval', line: 2, snippet: 'eval(input);' },
+					{ type: 'Bug', severity: 'Error', description: 'undefined', line: 3, snippet: 'run(b);' }
+				],
+				suggestions: [],
+				improvements: []
+			})
+		};
+
+		const analysis = await analyzeCode(provider, '// ai-assistant-ignore-next-line Security Vulnerability\neval(input);\nrun(b);', 'javascript');
+		assert.deepStrictEqual(analysis.issues.map(issue => issue.description), ['undefined']);
+		assert.match(analysis.issues[0].fingerprint, /^[0-9a-f]{16}$/);
+	});
+});
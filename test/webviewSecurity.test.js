@@ -0,0 +1,39 @@
+const assert = require('assert');
+
+const { createNonce, getContentSecurityPolicy, escapeHtml, renderMarkdown, validateMessage } = require('../src/webviewSecurity');
+
+suite('Webview Security Test Suite', () => {
+	test('Only nonce\'d scripts and styles are allowed', () => {
+		const nonce = createNonce();
+		const policy = getContentSecurityPolicy({ cspSource: 'vscode-resource:' }, nonce);
+
+		assert.match(nonce, /^[0-9a-f]{32}$/);
+		assert.notStrictEqual(createNonce(), nonce);
+		assert.ok(policy.startsWith("default-src 'none'"));
+		assert.ok(policy.includes(`script-src 'nonce-${nonce}'`));
+		assert.ok(!policy.includes('unsafe-inline'));
+	});
+
+	test('Model text cannot inject markup', () => {
+		assert.strictEqual(escapeHtml('<img src=x onerror="alert(1)">'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+		assert.strictEqual(escapeHtml(undefined), '');
+
+		const html = renderMarkdown('Use `a<b>` and **bold** <script>alert(1)</script>\n\n- one\n- *two*\n\n```js\n</pre><script>x()</script>\n```');
+		assert.ok(!/<script|<img|<\/pre><script/.test(html));
+		assert.ok(html.includes('<code>a&lt;b&gt;</code>'));
+		assert.ok(html.includes('<strong>bold</strong> &lt;script&gt;'));
+		assert.ok(html.includes('<ul><li>one</li><li><em>two</em></li></ul>'));
+		assert.ok(html.includes('<pre><code>&lt;/pre&gt;&lt;script&gt;x()&lt;/script&gt;</code></pre>'));
+	});
+
+	test('Messages must match a known command and its fields', () => {
+		const commands = { navigate: { uri: 'string', line: 'number?' }, ready: {} };
+
+		assert.deepStrictEqual(validateMessage({ command: 'navigate', uri: 'file:///a.js', line: 3 }, commands), { command: 'navigate', uri: 'file:///a.js', line: 3 });
+		assert.ok(validateMessage({ command: 'ready' }, commands));
+		assert.strictEqual(validateMessage({ command: 'navigate', uri: 42 }, commands), undefined);
+		assert.strictEqual(validateMessage({ command: 'navigate', uri: 'file:///a.js', line: 'x' }, commands), undefined);
+		assert.strictEqual(validateMessage({ command: 'toString' }, commands), undefined);
+		assert.strictEqual(validateMessage(null, commands), undefined);
+	});
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+
+const { getRetryAfterMs, withRetry, RequestBudget, createBudgetedProvider, BudgetExceededError, runQueue } = require('../src/core/workQueue');
+const { isAbortError } = require('../src/core/abort');
+
+function httpError(status, headers = {}) {
+	const error = new Error(`status ${status}`);
+	error.status = status;
+	error.headers = headers;
+	return error;
+}
+
+suite('Work Queue Test Suite', () => {
+	test('Reads Retry-After as seconds, HTTP date or milliseconds', () => {
+		assert.strictEqual(getRetryAfterMs(httpError(429, { 'retry-after': '3' })), 3000);
+		assert.strictEqual(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' })), 250);
+		assert.strictEqual(getRetryAfterMs(httpError(429, { 'retry-after': new Date(10000).toUTCString() }), 4000), 6000);
+		assert.strictEqual(getRetryAfterMs(httpError(429)), undefined);
+	});
+
+	test('Retries rate limits after the requested delay and gives up on client errors', async () => {
+		const delays = [];
+		let calls = 0;
+		const result = await withRetry(async () => {
+			calls++;
+			if (calls < 3) {
+				throw httpError(429, { 'retry-after': '2' });
+			}
+			return 'ok';
+		}, { wait: async delay => delays.push(delay) });
+
+		assert.strictEqual(result, 'ok');
+		assert.deepStrictEqual(delays, [2000, 2000]);
+
+		let badRequests = 0;
+		await assert.rejects(withRetry(async () => {
+			badRequests++;
+			throw httpError(400);
+		}, { wait: async () => {} }));
+		assert.strictEqual(badRequests, 1);
+	});
+
+	test('Aborting stops retries, including the wait before the next attempt', async () => {
+		const controller = new AbortController();
+		let calls = 0;
+		const pending = withRetry(async () => {
+			calls++;
+			throw httpError(503);
+		}, { signal: controller.signal, baseDelayMs: 60000 });
+		setTimeout(() => controller.abort(), 10);
+
+		await assert.rejects(pending, isAbortError);
+		assert.strictEqual(calls, 1);
+
+		await assert.rejects(withRetry(async () => 'never', { signal: controller.signal }), isAbortError);
+	});
+
+	test('Budgets stop requests once exhausted', async () => {
+		const provider = createBudgetedProvider({ complete: async () => 'done' }, new RequestBudget({ maxRequests: 1 }));
+		const request = { messages: [{ role: 'user', content: 'hi' }] };
+
+		assert.strictEqual(await provider.complete(request), 'done');
+		await assert.rejects(provider.complete(request), BudgetExceededError);
+	});
+
+	test('Runs items concurrently and keeps results in input order', async () => {
+		let active = 0;
+		let maxActive = 0;
+		const results = await runQueue([30, 10, 20, 0], async delay => {
+			active++;
+			maxActive = Math.max(maxActive, active);
+			await new Promise(resolve => setTimeout(resolve, delay));
+			active--;
+			if (delay === 0) {
+				throw new Error('failed');
+			}
+			return delay * 2;
+		}, { concurrency: 2 });
+
+		assert.strictEqual(maxActive, 2);
+		assert.deepStrictEqual(results.map(result => result.value), [60, 20, 40, undefined]);
+		assert.strictEqual(results[3].error.message, 'failed');
+	});
+});